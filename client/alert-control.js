@@ -0,0 +1,261 @@
+// Alert list and flashing alert zones
+//
+// Shows the server's crowd alerts in a panel on the map and outlines each
+// alert's area: flashing while the alert is active and unacknowledged,
+// steady once acknowledged, dashed after it resolves. The page supplies:
+//   onAcknowledge(alertId)  ask the server to acknowledge an alert
+//   onClear(alertId)        ask the server to clear a resolved alert
+//
+// Usage:
+//   var alerts = L.control.heatmapAlerts({ onAcknowledge: ..., onClear: ... }).addTo(map);
+//   alerts.setAlerts(list);    // on { type: "alerts" }
+//   alerts.updateAlert(alert); // on { type: "alert" }
+//   alerts.setReadOnly(true);  // viewers can't acknowledge or clear
+(function () {
+  var SEVERITY_ORDER = { critical: 0, warning: 1, info: 2 };
+
+  function formatTime(iso) {
+    return iso ? new Date(iso).toLocaleTimeString() : "";
+  }
+
+  // Leaflet layer for an alert area (see server/geo.js for the shapes)
+  function createAreaLayer(area, className) {
+    var options = { className: className, weight: 3, fillOpacity: 0.15 };
+    if (area.type === "circle") {
+      return L.circle(
+        area.center,
+        L.extend({ radius: area.radiusMeters }, options)
+      );
+    }
+    if (area.type === "polygon") {
+      return L.polygon(area.coordinates, options);
+    }
+    if (area.type === "bbox") {
+      return L.rectangle(
+        [
+          [area.bbox[0], area.bbox[1]],
+          [area.bbox[2], area.bbox[3]],
+        ],
+        options
+      );
+    }
+    return null;
+  }
+
+  L.Control.HeatmapAlerts = L.Control.extend({
+    options: {
+      position: "topright",
+    },
+
+    initialize: function (options) {
+      L.setOptions(this, options);
+      this._alerts = {};
+      this._zones = {};
+      this._readOnly = false;
+    },
+
+    onAdd: function (map) {
+      var container = L.DomUtil.create("div", "heatmap-alerts leaflet-bar");
+      this._title = L.DomUtil.create("div", "heatmap-alerts-title", container);
+      this._list = L.DomUtil.create("ul", "heatmap-alerts-list", container);
+
+      L.DomEvent.disableClickPropagation(container);
+      L.DomEvent.disableScrollPropagation(container);
+
+      this._zoneGroup = L.layerGroup().addTo(map);
+      this._render();
+      return container;
+    },
+
+    onRemove: function (map) {
+      map.removeLayer(this._zoneGroup);
+    },
+
+    // Hide the acknowledge/clear actions (e.g. for the viewer role)
+    setReadOnly: function (readOnly) {
+      this._readOnly = readOnly;
+      this._render();
+    },
+
+    // Replace every alert (e.g. the list sent on connect)
+    setAlerts: function (alerts) {
+      this._alerts = {};
+      this._zoneGroup.clearLayers();
+      this._zones = {};
+      alerts.forEach(function (alert) {
+        this._alerts[alert.id] = alert;
+      }, this);
+      this._render();
+    },
+
+    // Add, change or (state "cleared") remove one alert
+    updateAlert: function (alert) {
+      if (alert.state === "cleared") {
+        delete this._alerts[alert.id];
+      } else {
+        this._alerts[alert.id] = alert;
+      }
+      this._render();
+    },
+
+    _sortedAlerts: function () {
+      var alerts = this._alerts;
+      return Object.keys(alerts)
+        .map(function (id) {
+          return alerts[id];
+        })
+        .sort(function (a, b) {
+          // Active before resolved, then by severity, newest first
+          if ((a.state === "active") !== (b.state === "active")) {
+            return a.state === "active" ? -1 : 1;
+          }
+          var severity =
+            SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity];
+          return severity || (a.raisedAt < b.raisedAt ? 1 : -1);
+        });
+    },
+
+    _zoneClassName: function (alert) {
+      var className =
+        "heatmap-alert-zone heatmap-alert-zone-" +
+        (alert.severity || "warning");
+      if (alert.state !== "active") {
+        className += " heatmap-alert-zone-resolved";
+      } else if (!alert.acknowledged) {
+        className += " heatmap-alert-zone-flashing";
+      }
+      return className;
+    },
+
+    _renderZone: function (alert) {
+      var className = this._zoneClassName(alert);
+      var zone = this._zones[alert.id];
+      if (zone && zone.options.className === className) {
+        return;
+      }
+      if (zone) {
+        this._zoneGroup.removeLayer(zone);
+      }
+      zone = createAreaLayer(alert.area, className);
+      if (zone) {
+        zone.bindTooltip(alert.name);
+        this._zoneGroup.addLayer(zone);
+        this._zones[alert.id] = zone;
+      }
+    },
+
+    _render: function () {
+      if (!this._list) {
+        return;
+      }
+
+      var alerts = this._sortedAlerts();
+      var activeCount = alerts.filter(function (alert) {
+        return alert.state === "active";
+      }).length;
+
+      this._title.textContent =
+        activeCount > 0 ? "🚨 Alerts (" + activeCount + " active)" : "Alerts";
+      L.DomUtil[activeCount > 0 ? "addClass" : "removeClass"](
+        this._title,
+        "heatmap-alerts-title-active"
+      );
+
+      // Drop zones of alerts that were cleared
+      Object.keys(this._zones).forEach(function (id) {
+        if (!this._alerts[id]) {
+          this._zoneGroup.removeLayer(this._zones[id]);
+          delete this._zones[id];
+        }
+      }, this);
+
+      this._list.innerHTML = "";
+      if (alerts.length === 0) {
+        var empty = L.DomUtil.create("li", "heatmap-alerts-empty", this._list);
+        empty.textContent = "No alerts";
+      }
+      alerts.forEach(function (alert) {
+        this._renderZone(alert);
+        this._list.appendChild(this._renderItem(alert));
+      }, this);
+    },
+
+    _renderItem: function (alert) {
+      var item = L.DomUtil.create(
+        "li",
+        "heatmap-alert heatmap-alert-" + (alert.severity || "warning")
+      );
+      if (alert.state !== "active") {
+        L.DomUtil.addClass(item, "heatmap-alert-resolved");
+      }
+
+      var name = L.DomUtil.create("a", "heatmap-alert-name", item);
+      name.href = "#";
+      name.textContent = alert.name;
+      name.title = "Show on map";
+      L.DomEvent.on(
+        name,
+        "click",
+        function (e) {
+          L.DomEvent.preventDefault(e);
+          var zone = this._zones[alert.id];
+          if (zone) {
+            this._map.fitBounds(zone.getBounds(), { maxZoom: 16 });
+          }
+        },
+        this
+      );
+
+      var message = L.DomUtil.create("div", "heatmap-alert-message", item);
+      message.textContent = alert.message;
+
+      var meta = L.DomUtil.create("div", "heatmap-alert-meta", item);
+      var details = ["Raised " + formatTime(alert.raisedAt)];
+      if (alert.resolvedAt) {
+        details.push("resolved " + formatTime(alert.resolvedAt));
+      }
+      if (alert.acknowledged) {
+        details.push("acknowledged");
+      }
+      meta.textContent = details.join(" · ");
+
+      if (this._readOnly) {
+        return item;
+      }
+
+      var actions = L.DomUtil.create("div", "heatmap-alert-actions", item);
+      if (!alert.acknowledged) {
+        var ack = L.DomUtil.create("button", "", actions);
+        ack.type = "button";
+        ack.textContent = "Acknowledge";
+        L.DomEvent.on(
+          ack,
+          "click",
+          function () {
+            this.options.onAcknowledge(alert.id);
+          },
+          this
+        );
+      }
+      if (alert.state !== "active") {
+        var clear = L.DomUtil.create("button", "", actions);
+        clear.type = "button";
+        clear.textContent = "Clear";
+        L.DomEvent.on(
+          clear,
+          "click",
+          function () {
+            this.options.onClear(alert.id);
+          },
+          this
+        );
+      }
+
+      return item;
+    },
+  });
+
+  L.control.heatmapAlerts = function (options) {
+    return new L.Control.HeatmapAlerts(options);
+  };
+})();
@@ -0,0 +1,165 @@
+// Base layers
+//
+// Builds the map's background layers from plain config objects, so a page
+// can offer online tiles, a tile set served on the local network and a
+// vector outline without code changes. They are the app's baseLayers
+// setting (see client/heatmap-app.js):
+//   baseLayers: [
+//     { name: "OpenStreetMap", type: "xyz",
+//       url: "https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png",
+//       attribution: "...", maxZoom: 19, saveOffline: false },
+//     { name: "Local tiles", type: "xyz",
+//       url: "{server}/tiles/{z}/{x}/{y}.png", maxZoom: 16 },
+//     { name: "District outline", type: "geojson",
+//       url: "data/districts.geojson", labelProperty: "district" },
+//   ],
+// "{server}" stands for the heatmap server's HTTP address, which serves
+// tiles from config.tiles.dir (see server/tiles.js). Other xyz settings are
+// passed to L.tileLayer; saveOffline: false keeps the offline panel from
+// downloading a tile set in bulk (see client/offline-control.js).
+//
+// A geojson layer draws the boundaries in the file on a plain background,
+// in a pane under the heat layers, with the labelProperty of each feature
+// (default "name") as its tooltip. The outline above expects the
+// boundaries in data/districts.geojson, which isn't shipped with the map:
+// export them from whichever boundary dataset the site uses.
+//
+// By default only OpenStreetMap is offered. Its tiles can't be saved for
+// offline use, so the offline panel is left out until a layer that can be
+// saved, such as "Local tiles", is configured.
+//
+// Usage:
+//   var layer = L.heatmapBaseLayer(config, { server: "http://localhost:8080" });
+(function () {
+  var OUTLINE_PANE = "heatmapOutline";
+
+  var DEFAULT_OUTLINE_STYLE = {
+    color: "#555",
+    weight: 1,
+    fillColor: "#f4f1ea",
+    fillOpacity: 1,
+  };
+
+  // Boundaries loaded from a GeoJSON file the first time the layer is shown
+  L.HeatmapOutlineLayer = L.GeoJSON.extend({
+    options: {
+      url: "",
+      labelProperty: "name",
+      pane: OUTLINE_PANE,
+      style: DEFAULT_OUTLINE_STYLE,
+    },
+
+    initialize: function (options) {
+      L.GeoJSON.prototype.initialize.call(this, null, options);
+      this._loaded = false;
+    },
+
+    onAdd: function (map) {
+      // Below the overlay pane, so the heat layers stay on top
+      if (!map.getPane(OUTLINE_PANE)) {
+        map.createPane(OUTLINE_PANE).style.zIndex = 250;
+      }
+      L.GeoJSON.prototype.onAdd.call(this, map);
+      if (!this._loaded) {
+        this._loaded = true;
+        this._load();
+      }
+    },
+
+    onRemove: function (map) {
+      L.GeoJSON.prototype.onRemove.call(this, map);
+      this._setNotice(null);
+    },
+
+    _load: function () {
+      var self = this;
+      fetch(this.options.url)
+        .then(function (response) {
+          if (!response.ok) {
+            throw new Error("HTTP " + response.status);
+          }
+          return response.json();
+        })
+        .then(function (data) {
+          self.addData(data);
+          var property = self.options.labelProperty;
+          self.eachLayer(function (layer) {
+            var label =
+              layer.feature.properties && layer.feature.properties[property];
+            if (label) {
+              layer.bindTooltip(String(label), { sticky: true });
+            }
+          });
+        })
+        .catch(function (error) {
+          console.warn(
+            "Could not load outline from " + self.options.url + ":",
+            error
+          );
+          // Loading is tried again the next time the layer is chosen
+          self._loaded = false;
+          self._setNotice(
+            "Outline " + self.options.url + " could not be loaded"
+          );
+        });
+    },
+
+    // Say on the map why it is blank
+    _setNotice: function (text) {
+      var control = this._map && this._map.attributionControl;
+      if (this._notice && control) {
+        control.removeAttribution(this._notice);
+      }
+      this._notice = text;
+      if (text && control) {
+        control.addAttribution(text);
+      }
+    },
+  });
+
+  // config: one entry of the baseLayers setting; context: { server }
+  L.heatmapBaseLayer = function (config, context) {
+    // Everything but type and url becomes a layer option (the name too, for
+    // panels that mention the layer)
+    var options = {};
+    Object.keys(config).forEach(function (key) {
+      if (key !== "type" && key !== "url") {
+        options[key] = config[key];
+      }
+    });
+
+    if (config.type === "geojson") {
+      return new L.HeatmapOutlineLayer(L.extend(options, { url: config.url }));
+    }
+    if (config.type === "xyz") {
+      return L.tileLayer(
+        config.url,
+        L.extend(
+          {
+            server: context.server,
+            // Lets the export panel draw the tiles into a PNG
+            crossOrigin: true,
+          },
+          options
+        )
+      );
+    }
+    throw new Error(
+      'Base layer "' + config.name + '" has unknown type "' + config.type + '"'
+    );
+  };
+
+  // Used when the app config doesn't set baseLayers
+  L.heatmapBaseLayer.DEFAULTS = [
+    {
+      name: "OpenStreetMap",
+      type: "xyz",
+      url: "https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png",
+      attribution:
+        '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
+      maxZoom: 19,
+      // The OSM tile servers' usage policy forbids bulk downloads
+      saveOffline: false,
+    },
+  ];
+})();
@@ -0,0 +1,509 @@
+// Export panel
+//
+// Downloads what the map is showing: the frames of the visible layers as
+// GeoJSON or CSV (formats from shared/heatmap-export.js), or a PNG of the map
+// with the heat layers, a caption and their legends drawn in. A second
+// section asks the server for one layer's recorded history over a time range
+// (GET /history/export).
+//
+// Zoomed out, the server sends bins rather than raw points (see
+// shared/heatmap-binning.js). Live binned frames are exported as the raw
+// points in view, fetched from GET /api/points; bins that can't be swapped
+// (playback, or the server is unreachable) are exported labelled with their
+// binning.
+//
+// The PNG is composed from the loaded tile images and the heat layers'
+// canvases, so markers, zone outlines and the district outline base layer
+// are left out, and the tile server has to allow cross-origin use of its
+// tiles (client/base-layers.js sets crossOrigin: true on tile layers).
+//
+// Usage:
+//   var exporter = L.control.heatmapExport({
+//     getFrames: function () {
+//       return [{ timestamp, layer, points, binning, live }];
+//     },
+//     getLegends: function () { return [legend.getLegendData()]; }, // optional
+//     getLayers: function () { return [{ id, name }]; },  // optional
+//     historyUrl: "http://localhost:8080/history/export",  // optional
+//     pointsUrl: "http://localhost:8080/api/points",  // optional
+//   }).addTo(map);
+//   exporter.exportFrame("csv");
+//   exporter.exportImage();
+(function () {
+  var HOUR_MS = 60 * 60 * 1000;
+  var LEGEND_HEIGHT = 58;
+
+  function createButton(label, parent, className) {
+    var button = L.DomUtil.create("button", className || "", parent);
+    button.type = "button";
+    button.textContent = label;
+    return button;
+  }
+
+  // Save a Blob under the given file name
+  function saveBlob(blob, fileName) {
+    var url = URL.createObjectURL(blob);
+    var link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(function () {
+      URL.revokeObjectURL(url);
+    }, 0);
+  }
+
+  // <input type="datetime-local"> works in local time without a zone
+  function toLocalInputValue(time) {
+    var date = new Date(time - new Date(time).getTimezoneOffset() * 60000);
+    return date.toISOString().slice(0, 16);
+  }
+
+  // The time the frames were taken, or now if they carry none
+  function frameTime(frames) {
+    for (var i = 0; i < frames.length; i++) {
+      if (frames[i].timestamp) {
+        return Date.parse(frames[i].timestamp);
+      }
+    }
+    return Date.now();
+  }
+
+  // Draw an element of the map at the position it has on screen
+  function drawElement(context, element, origin) {
+    var rect = element.getBoundingClientRect();
+    if (rect.width === 0 || rect.height === 0) {
+      return;
+    }
+    context.drawImage(
+      element,
+      rect.left - origin.left,
+      rect.top - origin.top,
+      rect.width,
+      rect.height
+    );
+  }
+
+  function drawCaption(context, lines) {
+    context.font = "12px sans-serif";
+    var width = 0;
+    lines.forEach(function (line) {
+      width = Math.max(width, context.measureText(line).width);
+    });
+    context.fillStyle = "rgba(255, 255, 255, 0.85)";
+    context.fillRect(8, 8, width + 16, lines.length * 16 + 10);
+    context.fillStyle = "#333";
+    context.textBaseline = "top";
+    lines.forEach(function (line, index) {
+      context.fillText(line, 16, 14 + index * 16);
+    });
+  }
+
+  // legend: { title, stops: [[offset, colour]], ticks: [label, ...] };
+  // bottom is the y coordinate the legend box ends at
+  function drawLegend(context, legend, width, bottom) {
+    var boxWidth = 200;
+    var left = width - boxWidth - 10;
+    var top = bottom - LEGEND_HEIGHT;
+
+    context.fillStyle = "rgba(255, 255, 255, 0.85)";
+    context.fillRect(left, top, boxWidth, LEGEND_HEIGHT);
+
+    context.fillStyle = "#333";
+    context.font = "bold 12px sans-serif";
+    context.textBaseline = "top";
+    context.textAlign = "left";
+    context.fillText(legend.title, left + 8, top + 6);
+
+    var barLeft = left + 12;
+    var barWidth = boxWidth - 24;
+    var gradient = context.createLinearGradient(
+      barLeft,
+      0,
+      barLeft + barWidth,
+      0
+    );
+    legend.stops.forEach(function (stop) {
+      gradient.addColorStop(stop[0], stop[1]);
+    });
+    context.fillStyle = legend.stops.length ? gradient : "#ccc";
+    context.fillRect(barLeft, top + 24, barWidth, 10);
+
+    context.fillStyle = "#333";
+    context.font = "11px sans-serif";
+    context.textAlign = "center";
+    legend.ticks.forEach(function (label, index) {
+      var x = barLeft + (barWidth * index) / (legend.ticks.length - 1);
+      context.fillText(label, x, top + 38);
+    });
+    context.textAlign = "left";
+  }
+
+  L.Control.HeatmapExport = L.Control.extend({
+    options: {
+      position: "topright",
+      getFrames: null,
+      getLegends: null,
+      getLayers: null,
+      historyUrl: null,
+      pointsUrl: null,
+    },
+
+    onAdd: function () {
+      var container = L.DomUtil.create("div", "heatmap-export leaflet-bar");
+
+      this._toggle = createButton("Export", container, "heatmap-export-toggle");
+      this._toggle.title = "Download the heatmap data or an image";
+
+      var panel = L.DomUtil.create("div", "heatmap-export-panel", container);
+
+      L.DomUtil.create("div", "heatmap-export-heading", panel).textContent =
+        "Current view";
+      var viewRow = L.DomUtil.create("div", "heatmap-export-row", panel);
+      L.DomEvent.on(
+        createButton("GeoJSON", viewRow),
+        "click",
+        function () {
+          this.exportFrame("geojson");
+        },
+        this
+      );
+      L.DomEvent.on(
+        createButton("CSV", viewRow),
+        "click",
+        function () {
+          this.exportFrame("csv");
+        },
+        this
+      );
+      L.DomEvent.on(
+        createButton("PNG", viewRow),
+        "click",
+        this.exportImage,
+        this
+      );
+
+      if (this.options.historyUrl) {
+        this._createHistorySection(panel);
+      }
+
+      this._status = L.DomUtil.create("div", "heatmap-export-status", panel);
+
+      L.DomEvent.disableClickPropagation(container);
+      L.DomEvent.disableScrollPropagation(container);
+      L.DomEvent.on(
+        this._toggle,
+        "click",
+        function () {
+          if (L.DomUtil.hasClass(container, "heatmap-export-expanded")) {
+            L.DomUtil.removeClass(container, "heatmap-export-expanded");
+          } else {
+            L.DomUtil.addClass(container, "heatmap-export-expanded");
+          }
+        },
+        this
+      );
+
+      return container;
+    },
+
+    // Download the frames on the map as "geojson" or "csv"
+    exportFrame: function (format) {
+      var bounds = this._map.getBounds();
+      this._fetchRawFrames(
+        this.options.getFrames(),
+        bounds,
+        L.bind(function (frames) {
+          var content = window.HeatmapExport.formatFrames(format, frames, {
+            bounds: bounds.toBBoxString(),
+          });
+          saveBlob(
+            new Blob([content], {
+              type: window.HeatmapExport.FORMATS[format].mimeType,
+            }),
+            window.HeatmapExport.exportFileName(
+              "heatmap",
+              frameTime(frames),
+              format
+            )
+          );
+          var binned = frames.some(function (frame) {
+            return frame.binning;
+          });
+          this._setStatus(
+            binned
+              ? "Some layers were exported as bins, labelled with their binning."
+              : ""
+          );
+        }, this)
+      );
+      return this;
+    },
+
+    // Download a PNG of the map as it is shown
+    exportImage: function () {
+      var time = frameTime(this.options.getFrames());
+      var canvas = this.renderImage();
+
+      try {
+        canvas.toBlob(
+          L.bind(function (blob) {
+            saveBlob(
+              blob,
+              window.HeatmapExport.exportFileName("heatmap", time, "png")
+            );
+            this._setStatus("");
+          }, this),
+          "image/png"
+        );
+      } catch (error) {
+        // A tile served without CORS headers taints the canvas
+        console.warn("Could not export map image:", error);
+        this._setStatus(
+          "The map image can't be exported: the tile server doesn't allow it."
+        );
+      }
+      return this;
+    },
+
+    // The map, heat layers, caption and legends drawn onto one canvas
+    renderImage: function () {
+      var map = this._map;
+      var size = map.getSize();
+      var ratio = window.devicePixelRatio || 1;
+      var origin = map.getContainer().getBoundingClientRect();
+
+      var canvas = document.createElement("canvas");
+      canvas.width = size.x * ratio;
+      canvas.height = size.y * ratio;
+      var context = canvas.getContext("2d");
+      context.scale(ratio, ratio);
+      context.fillStyle = "#ddd";
+      context.fillRect(0, 0, size.x, size.y);
+
+      var tiles = map
+        .getPane("tilePane")
+        .querySelectorAll("img.leaflet-tile-loaded");
+      Array.prototype.forEach.call(tiles, function (tile) {
+        drawElement(context, tile, origin);
+      });
+      var canvases = map.getPane("overlayPane").querySelectorAll("canvas");
+      Array.prototype.forEach.call(canvases, function (layerCanvas) {
+        drawElement(context, layerCanvas, origin);
+      });
+
+      var names = {};
+      (this.options.getLayers ? this.options.getLayers() : []).forEach(
+        function (layer) {
+          names[layer.id] = layer.name;
+        }
+      );
+      var frames = this.options.getFrames();
+      var lines = frames.map(function (frame) {
+        return (
+          (names[frame.layer] || frame.layer || "Heatmap") +
+          " - " +
+          frame.points.length +
+          " points"
+        );
+      });
+      lines.push(new Date(frameTime(frames)).toLocaleString());
+      drawCaption(context, lines);
+
+      // Legends stack upwards from the bottom right corner
+      var legends = this.options.getLegends ? this.options.getLegends() : [];
+      var bottom = size.y - 20;
+      legends.forEach(function (legend) {
+        if (legend) {
+          drawLegend(context, legend, size.x, bottom);
+          bottom -= LEGEND_HEIGHT + 6;
+        }
+      });
+      return canvas;
+    },
+
+    // Calls back with the frames, live binned ones swapped for the raw points
+    // within bounds where the server gives them
+    _fetchRawFrames: function (frames, bounds, callback) {
+      var pointsUrl = this.options.pointsUrl;
+      var bbox = [
+        Math.max(bounds.getSouth(), -90),
+        Math.max(bounds.getWest(), -180),
+        Math.min(bounds.getNorth(), 90),
+        Math.min(bounds.getEast(), 180),
+      ].join(",");
+      var result = frames.slice();
+      var pending = 0;
+
+      frames.forEach(function (frame, index) {
+        if (!pointsUrl || !frame.binning || !frame.live) {
+          return;
+        }
+        pending++;
+        fetch(
+          pointsUrl +
+            (pointsUrl.indexOf("?") === -1 ? "?" : "&") +
+            "layer=" +
+            encodeURIComponent(frame.layer) +
+            "&bbox=" +
+            bbox
+        )
+          .then(function (response) {
+            return response.ok ? response.json() : null;
+          })
+          .catch(function (error) {
+            console.warn("Could not fetch raw points for export:", error);
+            return null;
+          })
+          .then(function (reply) {
+            if (reply) {
+              result[index] = {
+                timestamp: reply.timestamp,
+                layer: frame.layer,
+                points: reply.points,
+                binning: null,
+              };
+            }
+            pending--;
+            if (pending === 0) {
+              callback(result);
+            }
+          });
+      });
+      if (pending === 0) {
+        callback(result);
+      }
+    },
+
+    _createHistorySection: function (panel) {
+      L.DomUtil.create("div", "heatmap-export-heading", panel).textContent =
+        "History";
+
+      var now = Date.now();
+      this._from = this._createTimeInput(panel, "From", now - HOUR_MS);
+      this._to = this._createTimeInput(panel, "To", now);
+
+      var row = L.DomUtil.create("div", "heatmap-export-row", panel);
+      if (this.options.getLayers) {
+        this._historyLayer = L.DomUtil.create("select", "", row);
+        this._historyLayer.title = "Layer";
+        L.DomEvent.on(
+          this._historyLayer,
+          "focus",
+          this._updateLayerOptions,
+          this
+        );
+        this._updateLayerOptions();
+      }
+      this._historyFormat = L.DomUtil.create("select", "", row);
+      Object.keys(window.HeatmapExport.FORMATS).forEach(function (format) {
+        var option = document.createElement("option");
+        option.value = format;
+        option.textContent = format === "csv" ? "CSV" : "GeoJSON";
+        this._historyFormat.appendChild(option);
+      }, this);
+      this._historyButton = createButton("Download", row);
+      L.DomEvent.on(this._historyButton, "click", this._exportHistory, this);
+    },
+
+    // The layers can change whenever the client reconnects
+    _updateLayerOptions: function () {
+      var select = this._historyLayer;
+      var selected = select.value;
+      select.innerHTML = "";
+      this.options.getLayers().forEach(function (layer) {
+        var option = document.createElement("option");
+        option.value = layer.id;
+        option.textContent = layer.name;
+        select.appendChild(option);
+      });
+      if (selected) {
+        select.value = selected;
+      }
+      if (!select.value && select.options.length) {
+        select.selectedIndex = 0;
+      }
+    },
+
+    _createTimeInput: function (panel, label, time) {
+      var row = L.DomUtil.create("label", "heatmap-export-row", panel);
+      L.DomUtil.create("span", "heatmap-export-label", row).textContent = label;
+      var input = L.DomUtil.create("input", "", row);
+      input.type = "datetime-local";
+      input.value = toLocalInputValue(time);
+      return input;
+    },
+
+    _exportHistory: function () {
+      var from = new Date(this._from.value).getTime();
+      var to = new Date(this._to.value).getTime();
+      if (!isFinite(from) || !isFinite(to) || from > to) {
+        this._setStatus("Choose a start time before the end time.");
+        return;
+      }
+
+      var format = this._historyFormat.value;
+      var layer = this._historyLayer ? this._historyLayer.value : "";
+      var url =
+        this.options.historyUrl +
+        (this.options.historyUrl.indexOf("?") === -1 ? "?" : "&") +
+        "from=" +
+        encodeURIComponent(new Date(from).toISOString()) +
+        "&to=" +
+        encodeURIComponent(new Date(to).toISOString()) +
+        "&format=" +
+        format +
+        (layer ? "&layer=" + encodeURIComponent(layer) : "");
+
+      this._historyButton.disabled = true;
+      this._setStatus("Exporting…");
+      var button = this._historyButton;
+      var self = this;
+      fetch(url)
+        .then(function (response) {
+          if (response.ok) {
+            return response.blob().then(function (blob) {
+              saveBlob(
+                blob,
+                window.HeatmapExport.exportFileName(
+                  "heatmap-history" + (layer ? "-" + layer : ""),
+                  from,
+                  format
+                )
+              );
+              self._setStatus("");
+            });
+          }
+          // The server explains what was wrong in { error }
+          return response
+            .json()
+            .catch(function () {
+              return {};
+            })
+            .then(function (body) {
+              self._setStatus(
+                body.error || "Export failed (HTTP " + response.status + ")"
+              );
+            });
+        })
+        .catch(function (error) {
+          console.warn("History export failed:", error);
+          self._setStatus("Export failed: the server could not be reached.");
+        })
+        .then(function () {
+          button.disabled = false;
+        });
+    },
+
+    _setStatus: function (text) {
+      if (this._status) {
+        this._status.textContent = text;
+      }
+    },
+  });
+
+  L.control.heatmapExport = function (options) {
+    return new L.Control.HeatmapExport(options);
+  };
+})();
@@ -0,0 +1,167 @@
+// Movement flows layer
+//
+// Draws the server's flows of people (see server/flows.js) over the heat
+// layers as arrows from where a crowd is leaving to where it is heading,
+// with dashes marching along them in the direction of travel. Thicker
+// arrows carry more people; hovering one shows its volume. Flows are kept
+// per live layer, each frame's replacing the last.
+//
+// Usage:
+//   var flows = L.flowLayer({
+//     getUnit: function (layerId) { return "people"; },  // optional, for tooltips
+//   }).addTo(map);
+//   flows.setFlows("footfall", message.flows);   // on { type: "flows" }
+//   flows.clear();                               // e.g. during playback
+(function () {
+  var PANE = "heatmapFlows";
+
+  function formatNumber(value) {
+    if (value >= 100) {
+      return String(Math.round(value));
+    }
+    return String(Number(value.toPrecision(3)));
+  }
+
+  L.FlowLayer = L.Layer.extend({
+    options: {
+      getUnit: function () {
+        return "";
+      },
+      // Arrow thickness in pixels for the smallest and largest flow shown
+      minWeight: 2,
+      maxWeight: 8,
+    },
+
+    initialize: function (options) {
+      L.setOptions(this, options);
+      // layer id -> flows as last received
+      this._flows = {};
+      // "<layer>/<flow id>" -> { line, arrow } currently drawn; kept between
+      // frames so the dash animation runs on uninterrupted
+      this._drawn = {};
+      this._group = L.layerGroup();
+    },
+
+    onAdd: function (map) {
+      if (!map.getPane(PANE)) {
+        // Above the heat layers, below markers and popups
+        map.createPane(PANE).style.zIndex = 450;
+      }
+      map.addLayer(this._group);
+      this._draw();
+    },
+
+    onRemove: function (map) {
+      map.removeLayer(this._group);
+      this._group.clearLayers();
+      this._drawn = {};
+    },
+
+    setFlows: function (layerId, flows) {
+      this._flows[layerId] = flows;
+      this._draw();
+      return this;
+    },
+
+    clear: function () {
+      this._flows = {};
+      this._draw();
+      return this;
+    },
+
+    // Every flow shown, as [{ layer, flow }]
+    getFlows: function () {
+      var flows = this._flows;
+      return [].concat.apply(
+        [],
+        Object.keys(flows).map(function (layerId) {
+          return flows[layerId].map(function (flow) {
+            return { layer: layerId, flow: flow };
+          });
+        })
+      );
+    },
+
+    _draw: function () {
+      if (!this._map) {
+        return;
+      }
+      var entries = this.getFlows();
+      var maxVolume = entries.reduce(function (max, entry) {
+        return Math.max(max, entry.flow.volume);
+      }, 0);
+
+      var seen = {};
+      entries.forEach(function (entry) {
+        var key = entry.layer + "/" + entry.flow.id;
+        seen[key] = true;
+        this._drawFlow(key, entry, maxVolume);
+      }, this);
+
+      Object.keys(this._drawn).forEach(function (key) {
+        if (!seen[key]) {
+          this._group.removeLayer(this._drawn[key].line);
+          this._group.removeLayer(this._drawn[key].arrow);
+          delete this._drawn[key];
+        }
+      }, this);
+    },
+
+    _drawFlow: function (key, entry, maxVolume) {
+      var flow = entry.flow;
+      var options = this.options;
+      // By square root, so small flows stay visible next to big ones
+      var weight =
+        options.minWeight +
+        (options.maxWeight - options.minWeight) *
+          Math.sqrt(maxVolume > 0 ? flow.volume / maxVolume : 0);
+      var unit = options.getUnit(entry.layer);
+      var tooltip =
+        (flow.label ? flow.label + ": " : "") +
+        formatNumber(flow.volume) +
+        (unit ? " " + unit : "") +
+        " moving";
+
+      var drawn = this._drawn[key];
+      if (!drawn) {
+        drawn = {
+          line: L.polyline([], {
+            pane: PANE,
+            className: "heatmap-flow",
+          }).bindTooltip("", { sticky: true }),
+          arrow: L.marker(flow.to, {
+            pane: PANE,
+            interactive: false,
+            keyboard: false,
+            icon: L.divIcon({
+              className: "heatmap-flow-arrow-icon",
+              html: '<div class="heatmap-flow-arrow"></div>',
+              iconSize: [14, 14],
+            }),
+          }),
+        };
+        this._group.addLayer(drawn.line).addLayer(drawn.arrow);
+        this._drawn[key] = drawn;
+      }
+
+      drawn.line.setLatLngs([flow.from, flow.to]);
+      drawn.line.setStyle({ weight: weight });
+      drawn.line.setTooltipContent(tooltip);
+      drawn.arrow.setLatLng(flow.to);
+
+      // The direction on screen is the same at every zoom level
+      var start = this._map.project(flow.from, 0);
+      var end = this._map.project(flow.to, 0);
+      var angle =
+        (Math.atan2(end.y - start.y, end.x - start.x) * 180) / Math.PI;
+      var arrowElement = drawn.arrow.getElement();
+      if (arrowElement) {
+        arrowElement.firstChild.style.transform = "rotate(" + angle + "deg)";
+      }
+    },
+  });
+
+  L.flowLayer = function (options) {
+    return new L.FlowLayer(options);
+  };
+})();
@@ -0,0 +1,1224 @@
+// Heatmap app
+//
+// Everything the map page shows, as one object per map: the map and its
+// base layers, the server's live heat layers and every panel (timeline,
+// alerts, POIs, zones, import, export, offline tiles), wired to a server
+// connection (client/server-connection.js). Nothing is kept in globals, so
+// a page can show several apps side by side and take each one down again.
+//
+// Settings are one config object; everything in it is optional (see
+// createHeatmapApp.DEFAULTS):
+//   id              names the app's saved settings (base layer, styles,
+//                   cached POIs) so apps on one page keep theirs apart
+//   center, zoom    the initial view
+//   socketUrl       the server's WebSocket endpoint
+//   authToken       sent as a "token" query parameter, if the server
+//                   requires one; viewers can't acknowledge or clear alerts
+//                   or edit POIs and zones
+//   reconnect       false to stay disconnected once the connection drops
+//   regions         named regions to receive points for
+//   followViewport  also receive points for the visible map area, updated
+//                   on every pan/zoom
+//   scale           how point values map onto heatmap colours (see
+//                   client/legend-control.js); a unit the server gives a
+//                   layer takes precedence over the one here
+//   layerStyles     starting style per live layer id, e.g.
+//                   { footfall: { radius: 40, gradient: "viridis" } },
+//                   with "default" for unlisted layers (see
+//                   client/style-control.js; { smooth: false } swaps
+//                   frames in without transitions); the user's own changes
+//                   win
+//   baseLayers      background layers (see client/base-layers.js)
+//   poiSources      GeoJSON files with the points of interest to show until
+//                   the server sends its list
+//   fallbackData    [lat, lng, intensity] points shown while disconnected
+//   infoPanel       elements (or their ids) showing coordinates, zoomLevel,
+//                   connectionStatus and lastUpdate
+//   serviceWorker   the service worker script that keeps the page and its
+//                   map tiles available offline (sw.js), or false
+//
+// Server messages:
+// The welcome lists the server's heat layers, { id, name, source, unit? },
+// each drawn as its own layer with its own style panel and legend and
+// listed in the layers control. Points carry a stable id so updates can be
+// sent as deltas, numbered per layer:
+//   - { type: "full_update", layer, seq: 12, points: [[id, lat, lng, intensity], ...] }
+//     Snapshot that replaces every point the client holds for the layer.
+//   - { type: "heatmap_delta", layer, seq: 13, add: [[id, lat, lng, intensity], ...],
+//       update: [[id, lat, lng, intensity], ...], remove: [id, ...] }
+//     Patch against the layer's previous sequence number. If a delta does
+//     not follow on from the last applied seq, the client sends
+//     { type: "resync", layer } and waits for a fresh snapshot.
+//   - { type: "flows", layer, flows: [{ id, from, to, volume, label? }] }
+//     Where people moved since the previous frame, drawn as animated
+//     arrows (client/flow-layer.js) that can be hidden in the layers
+//     control.
+// While the connection is down the fallback data is shown instead.
+//
+// Inspecting:
+// The Inspect button turns map clicks into readouts of the values behind
+// the colours: the interpolated value, the nearest points and the last hour
+// at that spot, asked of the server as
+// { type: "history_series", layer, lat, lng, radiusMeters, from, to }.
+//
+// Level of detail:
+// The app tells the server its zoom level ({ type: "set_zoom", zoom }) on
+// connecting and after every zoom. Zoomed out, the server sums points into
+// grid or hex bins and sends those instead; they are drawn like any other
+// points.
+//
+// Events:
+// The app is an L.Evented, so host pages can keep their own widgets in step
+// with app.on(type, function (event) { ... }):
+//   "data-updated"              { layer, pointCount, timestamp, source }
+//       A live layer shows other points. source is "live", "history"
+//       (timeline playback), "fallback" (no connection) or "setData".
+//   "connection-state-changed"  { state, previousState }
+//       state is "connecting", "live", "reconnecting" or "disconnected".
+//   "alert-raised"              { alert }
+//       The server raised an alert (once per alert; see the alerts panel
+//       for the ones already active on connecting).
+//   "poi-created"               { poi, queued }
+//       A point of interest was added, by anyone. queued is true for one
+//       added here while offline; it is announced again once the server has
+//       it.
+//   "zone-selected"             { zone, stats }
+//       The user picked a zone from the list or clicked it on the map.
+//
+// Usage:
+//   var app = createHeatmapApp("map", {
+//     socketUrl: "wss://your-server.com/heatmap-updates",
+//     regions: ["gujarat", "maharashtra"],
+//   });
+//   app.on("data-updated", function (event) { ... });
+//   app.setData([[23.02, 72.57, 40], ...], { layer: "footfall" });
+//   app.panToRegion("saurashtra");  // or [south, west, north, east]
+//   app.pauseLive();                // and app.resumeLive(), app.isLive()
+//   app.getConnectionState();
+//   app.map;                   // the L.Map
+//   app.connection;            // the L.HeatmapConnection
+//   app.flowLayer;             // the movement arrows (L.FlowLayer)
+//   app.controls.timeline;     // the panels, by name
+//   app.getLiveLayers();       // the L.LiveHeatLayers, in the server's order
+//   app.destroy();             // disconnect and remove the map
+(function () {
+  // Shown while there is no connection to the server
+  var FALLBACK_DATA = [
+    [23.0225, 72.5714, 1.0], // Ahmedabad - maximum intensity
+    [22.3072, 70.8022, 0.8], // Jamnagar
+    [21.1702, 72.8311, 0.9], // Surat
+    [23.1815, 69.6692, 0.7], // Kutch
+    [22.4707, 70.0583, 0.8], // Rajkot
+    [23.2156, 72.6369, 0.9], // Gandhinagar
+    [22.3039, 70.8022, 0.7], // Porbandar
+    [21.7645, 72.1519, 0.8], // Vadodara
+    [23.8481, 72.1293, 0.7], // Patan
+    [24.5854, 72.7023, 0.6], // Palanpur
+    [22.3094, 73.1812, 0.7], // Anand
+    [22.6015, 72.9697, 0.8], // Bharuch
+    [23.1667, 70.1333, 0.6], // Bhuj
+    [22.3, 73.2, 0.7], // Nadiad
+    [23.0333, 72.6167, 0.9], // Kalol
+    [22.7, 72.8667, 0.7], // Mehsana
+    [21.5167, 70.45, 0.6], // Junagadh
+    [22.5667, 72.9167, 0.7], // Modasa
+    [23.0833, 72.6333, 0.8], // Sanand
+    [22.45, 72.8, 0.7], // Kheda
+    [23.0225, 72.5714, 1.0], // Ahmedabad center (maximum intensity)
+    [23.0325, 72.5814, 0.9], // Ahmedabad area
+    [23.0125, 72.5614, 0.9], // Ahmedabad area
+    [23.0425, 72.5914, 0.8], // Ahmedabad area
+    [23.0025, 72.5514, 0.8], // Ahmedabad area
+    [22.3072, 70.8022, 0.8], // Jamnagar
+    [21.1702, 72.8311, 0.9], // Surat
+    [21.1802, 72.8411, 0.8], // Surat area
+    [21.1602, 72.8211, 0.8], // Surat area
+    [21.1902, 72.8511, 0.7], // Surat area
+    [21.1502, 72.8111, 0.7], // Surat area
+    [20.8883, 70.4011, 0.9], // Somnath Mandir - high intensity
+    [20.8983, 70.4111, 0.8], // Somnath area
+    [20.8783, 70.3911, 0.8], // Somnath area
+  ];
+
+  var DEFAULTS = {
+    id: "",
+    // Gujarat, India, where the heatmap data is
+    center: [23.0225, 72.5714],
+    zoom: 7,
+    socketUrl: "ws://localhost:8080/heatmap-updates",
+    authToken: null,
+    reconnect: true,
+    regions: ["gujarat"],
+    followViewport: false,
+    scale: null,
+    layerStyles: {},
+    baseLayers: null,
+    poiSources: ["data/pois.geojson"],
+    fallbackData: FALLBACK_DATA,
+    infoPanel: null,
+    serviceWorker: "sw.js",
+  };
+
+  // Data older than this is flagged as stale in the info panel
+  var STALE_DATA_MS = 10000;
+
+  // The defaults with every setting the config gives (undefined ones don't
+  // count, so a page can pass its settings through unchecked)
+  function resolveConfig(config) {
+    var resolved = L.extend({}, DEFAULTS);
+    Object.keys(config || {}).forEach(function (key) {
+      if (config[key] !== undefined) {
+        resolved[key] = config[key];
+      }
+    });
+    return resolved;
+  }
+
+  function resolveElement(element) {
+    return typeof element === "string"
+      ? document.getElementById(element)
+      : element || null;
+  }
+
+  function formatAge(time) {
+    var seconds = Math.round((Date.now() - time) / 1000);
+    if (seconds < 60) {
+      return seconds + "s ago";
+    }
+    if (seconds < 3600) {
+      return Math.floor(seconds / 60) + "m " + (seconds % 60) + "s ago";
+    }
+    return new Date(time).toLocaleTimeString();
+  }
+
+  // localStorage throws in some privacy modes
+  function readStored(key) {
+    try {
+      return JSON.parse(window.localStorage.getItem(key));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  function writeStored(key, value) {
+    try {
+      window.localStorage.setItem(key, JSON.stringify(value));
+    } catch (error) {
+      console.warn("Could not save", key, "locally:", error);
+    }
+  }
+
+  function featureToPoi(feature) {
+    var properties = feature.properties || {};
+    return {
+      id: String(feature.id),
+      lat: feature.geometry.coordinates[1],
+      lng: feature.geometry.coordinates[0],
+      name: properties.name || "",
+      category: properties.category || "other",
+      description: properties.description || "",
+      updatedAt: properties.updatedAt || new Date(0).toISOString(),
+    };
+  }
+
+  // container: the map's element or its id
+  function createHeatmapApp(container, config) {
+    if (!L.heatLayer) {
+      throw new Error("leaflet.heat must be loaded before createHeatmapApp");
+    }
+    config = resolveConfig(config);
+
+    // Saved settings are per app when it has an id
+    function storageKey(name) {
+      return config.id ? name + "." + config.id : name;
+    }
+
+    var map = L.map(container, {
+      center: config.center,
+      zoom: config.zoom,
+      zoomControl: true,
+    });
+    var controls = {};
+    var destroyed = false;
+    // Host pages listen for the events above on the app itself
+    var app = new L.Evented();
+
+    // The heatmap server's HTTP address, on the same host as the WebSocket
+    // endpoint
+    var serverUrl = config.socketUrl
+      .replace(/^ws/, "http")
+      .replace(/^(https?:\/\/[^\/?#]+).*$/, "$1");
+
+    var connection = L.heatmapConnection({
+      url: config.socketUrl,
+      token: config.authToken,
+      reconnect: config.reconnect,
+    });
+
+    // Base layers; the one last chosen is shown again
+    var baseLayers = {};
+    (config.baseLayers || L.heatmapBaseLayer.DEFAULTS).forEach(function (
+      layerConfig
+    ) {
+      baseLayers[layerConfig.name] = L.heatmapBaseLayer(layerConfig, {
+        server: serverUrl,
+      });
+    });
+    var baseLayerNames = Object.keys(baseLayers);
+    var savedBaseLayer = null;
+    try {
+      savedBaseLayer = window.localStorage.getItem(
+        storageKey("heatmapBaseLayer")
+      );
+    } catch (error) {
+      // Storage disabled; start with the first base layer
+    }
+    var currentBaseLayer =
+      baseLayers[savedBaseLayer] || baseLayers[baseLayerNames[0]];
+    currentBaseLayer.addTo(map);
+    map.on("baselayerchange", function (event) {
+      currentBaseLayer = event.layer;
+      try {
+        window.localStorage.setItem(storageKey("heatmapBaseLayer"), event.name);
+      } catch (error) {
+        // Not remembered; nothing else depends on it
+      }
+    });
+
+    // Base, live and imported layers can be switched on and off
+    var layersControl = L.control
+      .layers(baseLayerNames.length > 1 ? baseLayers : null, {})
+      .addTo(map);
+    controls.layers = layersControl;
+
+    // Where crowds are heading, drawn over the heat layers while live
+    var flowLayer = null;
+    if (L.flowLayer) {
+      flowLayer = L.flowLayer({
+        getUnit: function (layerId) {
+          return liveLayers[layerId] ? liveLayers[layerId].options.unit : "";
+        },
+      }).addTo(map);
+      layersControl.addOverlay(flowLayer, "Movement flows");
+    }
+
+    // Saving the base layer's tiles for use without a network, offered only
+    // if some base layer's tiles may be saved
+    var canSaveTiles = baseLayerNames.some(function (name) {
+      var layer = baseLayers[name];
+      return (
+        layer instanceof L.TileLayer && layer.options.saveOffline !== false
+      );
+    });
+    if (L.control.offlineTiles && canSaveTiles) {
+      controls.offline = L.control
+        .offlineTiles({
+          getTileLayer: function () {
+            return currentBaseLayer instanceof L.TileLayer
+              ? currentBaseLayer
+              : null;
+          },
+        })
+        .addTo(map);
+    }
+
+    // Service workers need HTTPS or localhost
+    if (config.serviceWorker && "serviceWorker" in navigator) {
+      navigator.serviceWorker
+        .register(config.serviceWorker)
+        .catch(function (error) {
+          console.warn("Offline support unavailable:", error);
+        });
+    }
+
+    // Heat layers for imported files, by dataset id
+    var importedLayers = {};
+
+    // The server's heat layers by id, in the order the welcome message lists
+    // them (see client/live-layer.js). Until the first welcome there is just
+    // the server's default layer, which also shows the fallback data.
+    var liveLayers = {};
+    var liveLayerOrder = [];
+
+    // pauseLive() holds the layers on what they show; the timeline leaves
+    // live mode on its own for playback
+    var livePaused = false;
+
+    function isLive() {
+      return !livePaused && (!controls.timeline || controls.timeline.isLive());
+    }
+
+    // Where the points a live layer is about to show come from, for
+    // data-updated: "live", "history", "fallback" or "setData"
+    var frameSource = "live";
+
+    function showFrame(layer, points, timestamp, source, binning) {
+      frameSource = source;
+      layer.showFrame(points, timestamp, binning);
+      frameSource = "live";
+    }
+
+    function firstLiveLayer() {
+      return liveLayers[liveLayerOrder[0]];
+    }
+
+    function visibleLiveLayers() {
+      return liveLayerOrder
+        .map(function (id) {
+          return liveLayers[id];
+        })
+        .filter(function (layer) {
+          return map.hasLayer(layer);
+        });
+    }
+
+    // Imported layers are drawn in the first live layer's style
+    function restyleImportedLayers() {
+      var options = firstLiveLayer() ? firstLiveLayer().getStyleOptions() : {};
+      Object.keys(importedLayers).forEach(function (id) {
+        importedLayers[id].setOptions(options);
+      });
+    }
+
+    // info: { id, name, unit? } from the welcome message. The layer brings
+    // its own styling panel and legend.
+    function createLiveLayer(info) {
+      var layer = L.liveHeatLayer({
+        id: info.id,
+        // Styles are saved under this, so apps with ids keep theirs apart
+        styleId: config.id ? config.id + "." + info.id : info.id,
+        name: info.name,
+        unit: info.unit,
+        scale: config.scale,
+        style: config.layerStyles[info.id] || config.layerStyles.default,
+        isLive: isLive,
+        onResync: function (lastSeq) {
+          connection.send({
+            type: "resync",
+            layer: info.id,
+            lastSeq: lastSeq,
+          });
+        },
+      }).addTo(map);
+      layer.on("stylechange", function () {
+        if (layer === firstLiveLayer()) {
+          restyleImportedLayers();
+        }
+      });
+      layer.on("framechange", function (event) {
+        app.fire("data-updated", {
+          layer: info.id,
+          pointCount: event.pointCount,
+          timestamp: event.timestamp,
+          source: frameSource,
+        });
+      });
+      layersControl.addOverlay(layer, info.name);
+      return layer;
+    }
+
+    function removeLiveLayer(id) {
+      var layer = liveLayers[id];
+      delete liveLayers[id];
+      if (flowLayer) {
+        flowLayer.setFlows(id, []);
+      }
+      map.removeLayer(layer);
+      layersControl.removeLayer(layer);
+    }
+
+    // Match the live layers to the server's list. Layers it still lists
+    // unchanged keep their points and visibility.
+    function setLiveLayers(infos) {
+      var listed = {};
+      infos.forEach(function (info) {
+        listed[info.id] = info;
+      });
+      liveLayerOrder.forEach(function (id) {
+        var info = listed[id];
+        var options = liveLayers[id].options;
+        if (
+          !info ||
+          info.name !== options.name ||
+          (info.unit || "") !== (options.unit || "")
+        ) {
+          removeLiveLayer(id);
+        }
+      });
+      liveLayerOrder = infos.map(function (info) {
+        if (!liveLayers[info.id]) {
+          liveLayers[info.id] = createLiveLayer(info);
+        }
+        return info.id;
+      });
+      restyleImportedLayers();
+    }
+
+    setLiveLayers([{ id: "crowd", name: "Crowd" }]);
+
+    // An endpoint on the server's HTTP side, with the token if there is one
+    function serverEndpointUrl(path) {
+      var url = serverUrl + path;
+      if (config.authToken) {
+        url += "?token=" + encodeURIComponent(config.authToken);
+      }
+      return url;
+    }
+
+    // Local files shown as extra heat layers. Their weights are in whatever
+    // units the file uses, so each layer is scaled to its own largest weight
+    // rather than the live legend.
+    if (L.control.heatmapImport) {
+      controls.import = L.control
+        .heatmapImport({
+          onImport: function (dataset) {
+            var max = 0;
+            dataset.points.forEach(function (point) {
+              max = Math.max(max, point[2]);
+            });
+            var layer = L.heatLayer(
+              dataset.points.map(function (point) {
+                return [point[0], point[1], max > 0 ? point[2] / max : 0];
+              }),
+              L.extend(
+                { maxZoom: 18 },
+                firstLiveLayer() ? firstLiveLayer().getStyleOptions() : {}
+              )
+            ).addTo(map);
+            importedLayers[dataset.id] = layer;
+            layersControl.addOverlay(layer, dataset.name);
+            map.fitBounds(
+              L.latLngBounds(
+                dataset.points.map(function (point) {
+                  return [point[0], point[1]];
+                })
+              ),
+              { maxZoom: 12 }
+            );
+          },
+          onRemove: function (dataset) {
+            var layer = importedLayers[dataset.id];
+            delete importedLayers[dataset.id];
+            map.removeLayer(layer);
+            layersControl.removeLayer(layer);
+          },
+        })
+        .addTo(map);
+    }
+
+    // Downloads of the visible layers' frames, a map image, and recorded
+    // history from the server's HTTP side
+    if (L.control.heatmapExport) {
+      controls.export = L.control
+        .heatmapExport({
+          getFrames: function () {
+            return visibleLiveLayers().map(function (layer) {
+              return layer.getFrame();
+            });
+          },
+          getLegends: function () {
+            return visibleLiveLayers().map(function (layer) {
+              return layer.getLegendData();
+            });
+          },
+          getLayers: function () {
+            return liveLayerOrder.map(function (id) {
+              return { id: id, name: liveLayers[id].options.name };
+            });
+          },
+          historyUrl: serverEndpointUrl("/history/export"),
+          pointsUrl: serverEndpointUrl("/api/points"),
+        })
+        .addTo(map);
+    }
+
+    // Connection status shown in the info panel
+    var infoPanel = config.infoPanel || {};
+    var coordinatesElement = resolveElement(infoPanel.coordinates);
+    var zoomLevelElement = resolveElement(infoPanel.zoomLevel);
+    var connectionStatusElement = resolveElement(infoPanel.connectionStatus);
+    var lastUpdateElement = resolveElement(infoPanel.lastUpdate);
+
+    var showingFallback = false;
+    var lastDataAt = null;
+
+    function renderConnectionStatus() {
+      if (connectionStatusElement) {
+        var state = connection.getState();
+        var text;
+        if (state === "live") {
+          text = "● Live";
+        } else if (state === "connecting") {
+          text = "Connecting…";
+        } else if (state === "reconnecting") {
+          var reconnect = connection.getReconnect();
+          text =
+            "Reconnecting in " +
+            Math.max(0, Math.ceil((reconnect.at - Date.now()) / 1000)) +
+            "s (attempt " +
+            reconnect.attempt +
+            ")";
+        } else {
+          text = "Disconnected";
+        }
+        if (showingFallback) {
+          text += " · showing fallback data";
+        }
+        connectionStatusElement.textContent = text;
+        connectionStatusElement.className =
+          "connection-status connection-status-" +
+          (showingFallback ? "fallback" : state);
+      }
+
+      if (lastUpdateElement) {
+        lastUpdateElement.textContent = lastDataAt
+          ? formatAge(lastDataAt)
+          : "never";
+        var stale = !lastDataAt || Date.now() - lastDataAt > STALE_DATA_MS;
+        lastUpdateElement.className = stale ? "last-update-stale" : "";
+      }
+    }
+
+    // Keeps the age of the last update current
+    var statusTimer = setInterval(renderConnectionStatus, 1000);
+
+    if (zoomLevelElement) {
+      map.on("zoomend", function () {
+        zoomLevelElement.textContent = map.getZoom();
+      });
+      zoomLevelElement.textContent = map.getZoom();
+    }
+    if (coordinatesElement) {
+      map.on("mousemove", function (e) {
+        coordinatesElement.textContent =
+          e.latlng.lat.toFixed(4) + ", " + e.latlng.lng.toFixed(4);
+      });
+    }
+
+    function markDataReceived() {
+      lastDataAt = Date.now();
+      showingFallback = false;
+      renderConnectionStatus();
+    }
+
+    // The live layer a full_update or heatmap_delta is for
+    function layerFor(message) {
+      var layer = liveLayers[message.layer];
+      if (!layer) {
+        console.warn("Data for unknown layer", message.layer);
+      }
+      return layer;
+    }
+
+    function applySnapshot(message) {
+      var layer = layerFor(message);
+      if (layer) {
+        layer.applySnapshot(message);
+        markDataReceived();
+      }
+    }
+
+    function applyDelta(message) {
+      var layer = layerFor(message);
+      if (layer && layer.applyDelta(message)) {
+        markDataReceived();
+      }
+    }
+
+    // Timeline for pausing the live feed and playing back recorded frames
+    if (L.control.heatmapTimeline) {
+      controls.timeline = L.control
+        .heatmapTimeline({
+          // Every layer is recorded on the same clock, so the first layer's
+          // range stands for all of them
+          fetchRange: function (callback) {
+            connection.request(
+              { type: "history_range", layer: liveLayerOrder[0] },
+              callback
+            );
+          },
+          // One request per layer, combined into
+          // { timestamp, layers: { id: points }, binning: { id: binning } }
+          fetchFrame: function (time, callback) {
+            var ids = liveLayerOrder.slice();
+            var frame = { timestamp: null, layers: {}, binning: {} };
+            var remaining = ids.length;
+            var failed = false;
+            ids.forEach(function (id) {
+              connection.request(
+                {
+                  type: "history_frame",
+                  layer: id,
+                  at: new Date(time).toISOString(),
+                },
+                function (reply) {
+                  if (reply) {
+                    frame.layers[id] = reply.points;
+                    frame.binning[id] = reply.binning;
+                    frame.timestamp = frame.timestamp || reply.timestamp;
+                  } else {
+                    failed = true;
+                  }
+                  remaining--;
+                  if (remaining === 0) {
+                    callback(failed ? null : frame);
+                  }
+                }
+              );
+            });
+          },
+          onFrame: function (frame) {
+            // Flows aren't recorded
+            if (flowLayer) {
+              flowLayer.clear();
+            }
+            liveLayerOrder.forEach(function (id) {
+              showFrame(
+                liveLayers[id],
+                frame.layers[id] || [],
+                frame.timestamp,
+                "history",
+                frame.binning && frame.binning[id]
+              );
+            });
+          },
+          onLive: function () {
+            liveLayerOrder.forEach(function (id) {
+              liveLayers[id].showLive();
+            });
+          },
+        })
+        .addTo(map);
+    }
+
+    // Crowd alerts raised by the server
+    if (L.control.heatmapAlerts) {
+      controls.alerts = L.control
+        .heatmapAlerts({
+          onAcknowledge: function (alertId) {
+            connection.send({ type: "alert_ack", alertId: alertId });
+          },
+          onClear: function (alertId) {
+            connection.send({ type: "alert_clear", alertId: alertId });
+          },
+        })
+        .addTo(map);
+    }
+
+    // Points of interest. Changes go to the server, which broadcasts them to
+    // everyone; while offline they are applied locally and queued until the
+    // next connection. The last known list is cached so the map has POIs
+    // even without a server.
+    var poiCacheKey = storageKey("heatmapPois");
+    var poiQueueKey = storageKey("heatmapPoiQueue");
+    var poisFromServer = false;
+    var currentRole = null;
+    var poiLayer = null;
+
+    function cachePois() {
+      writeStored(poiCacheKey, poiLayer.getPois());
+    }
+
+    // Apply a poi_create/update/delete message to the local copy
+    function applyPoiChangeLocally(message) {
+      var existing = poiLayer.getPois().filter(function (poi) {
+        return poi.id === message.id;
+      })[0];
+      if (message.type === "poi_delete") {
+        if (existing) {
+          poiLayer.updatePoi("deleted", existing);
+        }
+        return;
+      }
+      if (message.type === "poi_update" && !existing) {
+        return;
+      }
+      var poi = L.extend({}, existing, message, {
+        updatedAt: new Date().toISOString(),
+      });
+      delete poi.type;
+      poiLayer.updatePoi(
+        message.type === "poi_create" ? "created" : "updated",
+        poi
+      );
+      if (message.type === "poi_create") {
+        app.fire("poi-created", { poi: poi, queued: true });
+      }
+    }
+
+    function submitPoiChange(message) {
+      if (connection.isConnected()) {
+        connection.send(message);
+        return;
+      }
+      applyPoiChangeLocally(message);
+      cachePois();
+      var queue = readStored(poiQueueKey) || [];
+      queue.push(message);
+      writeStored(poiQueueKey, queue);
+      console.log("Offline: POI change queued until reconnect");
+    }
+
+    // Send the changes made while offline
+    function flushPoiQueue() {
+      var queue = readStored(poiQueueKey) || [];
+      if (queue.length === 0) {
+        return;
+      }
+      writeStored(poiQueueKey, []);
+      if (currentRole !== "operator") {
+        console.warn(
+          "Discarding",
+          queue.length,
+          "offline POI change(s): editing needs the operator role"
+        );
+        return;
+      }
+      console.log("Syncing", queue.length, "offline POI change(s)");
+      queue.forEach(function (message) {
+        connection.send(message);
+      });
+    }
+
+    // Until the server answers: the cached list, or the POI sources
+    function loadPoiSources() {
+      Promise.all(
+        config.poiSources.map(function (url) {
+          return fetch(url)
+            .then(function (response) {
+              return response.json();
+            })
+            .then(function (collection) {
+              return collection.features.map(featureToPoi);
+            })
+            .catch(function (error) {
+              console.warn("Could not load " + url + ":", error);
+              return [];
+            });
+        })
+      ).then(function (lists) {
+        if (!poisFromServer && !destroyed) {
+          poiLayer.setPois([].concat.apply([], lists));
+        }
+      });
+    }
+
+    if (L.poiLayer) {
+      poiLayer = L.poiLayer({
+        onCreate: function (fields) {
+          submitPoiChange(
+            L.extend(
+              {
+                type: "poi_create",
+                id:
+                  "poi-" +
+                  Date.now().toString(36) +
+                  "-" +
+                  Math.random().toString(36).slice(2, 8),
+              },
+              fields
+            )
+          );
+        },
+        onUpdate: function (id, changes) {
+          submitPoiChange(L.extend({ type: "poi_update", id: id }, changes));
+        },
+        onDelete: function (id) {
+          submitPoiChange({ type: "poi_delete", id: id });
+        },
+      }).addTo(map);
+
+      var cachedPois = readStored(poiCacheKey);
+      if (cachedPois) {
+        poiLayer.setPois(cachedPois);
+      } else {
+        loadPoiSources();
+      }
+    }
+
+    // Map clicks open the POI form, except while a zone is being drawn or
+    // the inspect tool is on
+    var drawingZone = false;
+    var inspecting = false;
+
+    function updatePoiCreation() {
+      if (poiLayer) {
+        poiLayer.setCreateEnabled(!drawingZone && !inspecting);
+      }
+    }
+
+    // Named zones with live per-zone statistics from the server
+    if (L.control.heatmapZones) {
+      controls.zones = L.control
+        .heatmapZones({
+          onCreate: function (zone) {
+            var message = L.extend({ type: "zone_create" }, zone);
+            if (!connection.send(message)) {
+              window.alert(
+                "Zones can only be saved while connected to the server."
+              );
+            }
+          },
+          onUpdate: function (id, changes) {
+            connection.send(L.extend({ type: "zone_update", id: id }, changes));
+          },
+          onDelete: function (id) {
+            connection.send({ type: "zone_delete", id: id });
+          },
+          onDrawStart: function () {
+            drawingZone = true;
+            updatePoiCreation();
+          },
+          onDrawEnd: function () {
+            drawingZone = false;
+            updatePoiCreation();
+          },
+          onSelect: function (zone, stats) {
+            app.fire("zone-selected", { zone: zone, stats: stats });
+          },
+        })
+        .addTo(map);
+    }
+
+    // Click inspection of the values behind the colours, with the last
+    // hour at the clicked spot from the server's history
+    if (L.control.heatmapInspect) {
+      controls.inspect = L.control
+        .heatmapInspect({
+          getLayers: visibleLiveLayers,
+          fetchSeries: function (query, callback) {
+            connection.request(
+              L.extend({ type: "history_series" }, query),
+              function (reply) {
+                callback(reply && reply.samples);
+              }
+            );
+          },
+          onToggle: function (active) {
+            inspecting = active;
+            updatePoiCreation();
+          },
+        })
+        .addTo(map);
+    }
+
+    function useFallbackData() {
+      // Forget the live state so the next connection starts from fresh
+      // snapshots
+      liveLayerOrder.forEach(function (id) {
+        showFrame(liveLayers[id].reset(), [], null, "fallback");
+      });
+
+      showingFallback = true;
+      renderConnectionStatus();
+      if (flowLayer) {
+        flowLayer.clear();
+      }
+
+      if (firstLiveLayer()) {
+        showFrame(
+          firstLiveLayer(),
+          config.fallbackData.map(function (point, index) {
+            return ["fallback-" + index].concat(point);
+          }),
+          new Date().toISOString(),
+          "fallback"
+        );
+        console.log(
+          "Using fallback static data with",
+          config.fallbackData.length,
+          "data points"
+        );
+      }
+    }
+
+    // Visible map area as [south, west, north, east], padded so small pans
+    // don't reveal unsubscribed edges
+    function getViewportBbox() {
+      var bounds = map.getBounds().pad(0.25);
+      return [
+        Math.max(-90, bounds.getSouth()),
+        Math.max(-180, bounds.getWest()),
+        Math.min(90, bounds.getNorth()),
+        Math.min(180, bounds.getEast()),
+      ];
+    }
+
+    // The server's named regions as { name: [south, west, north, east] },
+    // from its subscriptions message
+    var regionBounds = {};
+
+    // Alerts known to be active, so alert-raised fires once per alert
+    var activeAlerts = {};
+
+    function trackAlert(alert) {
+      var raised = alert.state === "active" && !activeAlerts[alert.id];
+      if (alert.state === "active") {
+        activeAlerts[alert.id] = true;
+      } else {
+        delete activeAlerts[alert.id];
+      }
+      return raised;
+    }
+
+    // Server accepted our version: subscribe to our areas
+    connection.on("welcome", function (event) {
+      var message = event.message;
+      currentRole = message.role;
+      setLiveLayers(message.layers);
+      var readOnly = message.role !== "operator";
+      if (controls.alerts) {
+        controls.alerts.setReadOnly(readOnly);
+      }
+      if (poiLayer) {
+        poiLayer.setReadOnly(readOnly);
+      }
+      if (controls.zones) {
+        controls.zones.setReadOnly(readOnly);
+      }
+
+      // Replace the server's default subscription with ours
+      var subscription = {
+        type: "subscribe",
+        regions: config.regions,
+        replace: true,
+      };
+      if (config.followViewport) {
+        subscription.bboxes = { viewport: getViewportBbox() };
+      }
+      connection.send(subscription);
+      connection.send({ type: "set_zoom", zoom: map.getZoom() });
+    });
+
+    connection.on("message", function (event) {
+      var message = event.message;
+      switch (message.type) {
+        case "full_update":
+          // Snapshot: full data replacement
+          applySnapshot(message);
+          break;
+        case "heatmap_delta":
+          // Incremental add/update/remove against the last seq
+          applyDelta(message);
+          break;
+        case "subscriptions":
+          regionBounds = message.regionBounds || regionBounds;
+          console.log(
+            "Subscribed to regions:",
+            message.regions,
+            "bboxes:",
+            message.bboxes
+          );
+          break;
+        case "alerts":
+          // Full alert list, sent on connect
+          activeAlerts = {};
+          message.alerts.forEach(trackAlert);
+          if (controls.alerts) {
+            controls.alerts.setAlerts(message.alerts);
+          }
+          break;
+        case "alert":
+          if (trackAlert(message.alert)) {
+            console.warn(
+              "Alert:",
+              message.alert.name,
+              "-",
+              message.alert.message
+            );
+            app.fire("alert-raised", { alert: message.alert });
+          }
+          if (controls.alerts) {
+            controls.alerts.updateAlert(message.alert);
+          }
+          break;
+        case "pois":
+          // Full POI list, sent on connect
+          poisFromServer = true;
+          if (poiLayer) {
+            poiLayer.setPois(message.pois);
+            cachePois();
+            flushPoiQueue();
+          }
+          break;
+        case "poi":
+          if (poiLayer) {
+            poiLayer.updatePoi(message.action, message.poi);
+            cachePois();
+          }
+          if (message.action === "created") {
+            app.fire("poi-created", { poi: message.poi, queued: false });
+          }
+          break;
+        case "zones":
+          // Full zone list, sent on connect
+          if (controls.zones) {
+            controls.zones.setZones(message.zones);
+          }
+          break;
+        case "zone":
+          if (controls.zones) {
+            controls.zones.updateZone(message.action, message.zone);
+          }
+          break;
+        case "zone_stats":
+          if (controls.zones) {
+            controls.zones.setStats(message.stats);
+          }
+          break;
+        case "flows":
+          if (flowLayer && isLive()) {
+            flowLayer.setFlows(message.layer, message.flows);
+          }
+          break;
+        default:
+          console.warn("Unhandled message type:", message.type);
+      }
+    });
+
+    var connectionState = connection.getState();
+    connection.on("statechange", function (event) {
+      renderConnectionStatus();
+      if (event.state !== connectionState) {
+        var previousState = connectionState;
+        connectionState = event.state;
+        app.fire("connection-state-changed", {
+          state: event.state,
+          previousState: previousState,
+        });
+      }
+    });
+
+    connection.on("close", function () {
+      // History can't be played back without the server
+      if (controls.timeline) {
+        controls.timeline.goLive();
+      }
+      useFallbackData();
+    });
+
+    // Keep the viewport subscription in step with the map
+    if (config.followViewport) {
+      map.on("moveend", function () {
+        connection.send({
+          type: "subscribe",
+          bboxes: { viewport: getViewportBbox() },
+        });
+      });
+    }
+
+    // Zoomed out, the server sends binned points instead of raw ones; it
+    // needs to know when the zoom changes
+    map.on("zoomend", function () {
+      connection.send({ type: "set_zoom", zoom: map.getZoom() });
+    });
+
+    L.control
+      .scale({
+        imperial: false,
+        metric: true,
+      })
+      .addTo(map);
+
+    useFallbackData();
+    connection.connect();
+
+    return L.extend(app, {
+      map: map,
+      config: config,
+      connection: connection,
+      controls: controls,
+      poiLayer: poiLayer,
+      flowLayer: flowLayer,
+
+      getLiveLayers: function () {
+        return liveLayerOrder.map(function (id) {
+          return liveLayers[id];
+        });
+      },
+
+      // "connecting", "live", "reconnecting" or "disconnected"
+      getConnectionState: function () {
+        return connection.getState();
+      },
+
+      // Show [lat, lng, value] points in a live layer (the first unless
+      // options.layer names another) until the live feed draws over them;
+      // pauseLive() first to keep them up
+      setData: function (points, options) {
+        var id = (options && options.layer) || liveLayerOrder[0];
+        var layer = liveLayers[id];
+        if (!layer) {
+          throw new Error("Unknown layer: " + id);
+        }
+        showFrame(
+          layer,
+          points.map(function (point, index) {
+            return ["data-" + index].concat(point);
+          }),
+          (options && options.timestamp) || new Date().toISOString(),
+          "setData"
+        );
+        return this;
+      },
+
+      // Fit the map to one of the server's named regions (subscribing to it
+      // as well, so its points arrive) or to a [south, west, north, east]
+      // box. Returns false for a region the server hasn't listed.
+      panToRegion: function (region) {
+        var bbox = typeof region === "string" ? regionBounds[region] : region;
+        if (!bbox) {
+          console.warn("Unknown region:", region);
+          return false;
+        }
+        if (typeof region === "string") {
+          connection.send({ type: "subscribe", regions: [region] });
+        }
+        map.fitBounds([
+          [bbox[0], bbox[1]],
+          [bbox[2], bbox[3]],
+        ]);
+        return true;
+      },
+
+      // Stop drawing live updates; they keep being tracked, so resuming
+      // shows the latest state straight away
+      pauseLive: function () {
+        livePaused = true;
+        return this;
+      },
+
+      resumeLive: function () {
+        livePaused = false;
+        if (isLive()) {
+          liveLayerOrder.forEach(function (id) {
+            liveLayers[id].showLive();
+          });
+        }
+        return this;
+      },
+
+      isLive: isLive,
+
+      // Disconnect for good and take the map and its panels off the page
+      destroy: function () {
+        if (destroyed) {
+          return;
+        }
+        destroyed = true;
+        clearInterval(statusTimer);
+        connection.off();
+        connection.close();
+        // Panels clean up their own timers and listeners as they go
+        Object.keys(controls).forEach(function (name) {
+          controls[name].remove();
+        });
+        map.remove();
+      },
+    });
+  }
+
+  createHeatmapApp.DEFAULTS = DEFAULTS;
+
+  window.createHeatmapApp = createHeatmapApp;
+})();
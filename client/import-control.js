@@ -0,0 +1,566 @@
+// Import panel
+//
+// Loads a local file picked in the panel or dropped on the map, so data
+// that arrives as a spreadsheet can be looked at without a server:
+//   CSV      a header row, then one point per row; the user maps columns to
+//            latitude, longitude and (optionally) weight, with likely
+//            columns preselected. Comma, semicolon and tab separators work.
+//   GeoJSON  Point and MultiPoint features (a FeatureCollection, a single
+//            Feature or a bare geometry); the weight comes from a
+//            "weight", "intensity", "value" or "count" property
+//   JSON     an array of [lat, lng, weight?] arrays, or an array of objects
+//            whose keys are mapped like CSV columns
+// Rows without usable coordinates or weight are skipped and counted; a blank
+// weight counts as 1. Each import becomes a dataset { id, name, points:
+// [[lat, lng, weight], ...], skipped } listed in the panel. The page draws it:
+//   onImport(dataset)
+//   onRemove(dataset)
+//
+// Usage:
+//   L.control.heatmapImport({ onImport: ..., onRemove: ... }).addTo(map);
+(function () {
+  var LAT_NAMES = /^(lat|latitude|y)$/i;
+  var LNG_NAMES = /^(lng|lon|long|longitude|x)$/i;
+  var WEIGHT_NAMES = /^(weight|intensity|value|count|total|people)$/i;
+
+  var nextId = 1;
+
+  function createButton(label, parent, className) {
+    var button = L.DomUtil.create("button", className || "", parent);
+    button.type = "button";
+    button.textContent = label;
+    return button;
+  }
+
+  function baseName(fileName) {
+    return fileName.replace(/\.[^.]*$/, "") || fileName;
+  }
+
+  // The separator that splits the header line into the most columns
+  function detectDelimiter(line) {
+    var best = ",";
+    var bestCount = 0;
+    [",", ";", "\t"].forEach(function (delimiter) {
+      var count = line.split(delimiter).length;
+      if (count > bestCount) {
+        best = delimiter;
+        bestCount = count;
+      }
+    });
+    return best;
+  }
+
+  // CSV text -> array of rows (arrays of strings), honouring quoted fields
+  // with embedded separators, quotes and line breaks
+  function parseCsv(text) {
+    // Spreadsheets often start the file with a byte order mark
+    text = text.replace(/^\uFEFF/, "");
+    var delimiter = detectDelimiter(text.split(/\r?\n/, 1)[0]);
+    var rows = [];
+    var row = [];
+    var field = "";
+    var quoted = false;
+
+    for (var i = 0; i < text.length; i++) {
+      var char = text[i];
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === delimiter) {
+        row.push(field);
+        field = "";
+      } else if (char === "\n" || char === "\r") {
+        if (char === "\r" && text[i + 1] === "\n") {
+          i++;
+        }
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = "";
+      } else {
+        field += char;
+      }
+    }
+    if (field !== "" || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    return rows.filter(function (cells) {
+      return cells.some(function (cell) {
+        return cell.trim() !== "";
+      });
+    });
+  }
+
+  // Index of the first column whose name matches, or -1
+  function guessColumn(columns, pattern) {
+    for (var i = 0; i < columns.length; i++) {
+      if (pattern.test(String(columns[i]).trim())) {
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  function isBlank(value) {
+    return value === undefined || value === null || String(value).trim() === "";
+  }
+
+  // Blank weights count as 1; returns null for anything unusable
+  function toPoint(lat, lng, weight) {
+    if (isBlank(lat) || isBlank(lng)) {
+      return null;
+    }
+    lat = Number(lat);
+    lng = Number(lng);
+    if (
+      !isFinite(lat) ||
+      !isFinite(lng) ||
+      Math.abs(lat) > 90 ||
+      Math.abs(lng) > 180
+    ) {
+      return null;
+    }
+    if (isBlank(weight)) {
+      return [lat, lng, 1];
+    }
+    weight = Number(weight);
+    if (!isFinite(weight) || weight < 0) {
+      return null;
+    }
+    return [lat, lng, weight];
+  }
+
+  // table: { columns: [...], rows: [[...], ...] }
+  // mapping: { lat, lng, weight } column indexes (weight -1 for none)
+  function tableToPoints(table, mapping) {
+    var points = [];
+    var skipped = 0;
+    table.rows.forEach(function (row) {
+      var point = toPoint(
+        row[mapping.lat],
+        row[mapping.lng],
+        mapping.weight >= 0 ? row[mapping.weight] : undefined
+      );
+      if (point) {
+        points.push(point);
+      } else {
+        skipped++;
+      }
+    });
+    return { points: points, skipped: skipped };
+  }
+
+  function featureWeight(properties) {
+    var keys = Object.keys(properties || {});
+    var index = guessColumn(keys, WEIGHT_NAMES);
+    return index >= 0 ? properties[keys[index]] : undefined;
+  }
+
+  function geoJsonToPoints(geojson) {
+    var features =
+      geojson.type === "FeatureCollection"
+        ? geojson.features || []
+        : geojson.type === "Feature"
+        ? [geojson]
+        : [{ type: "Feature", geometry: geojson, properties: {} }];
+    var points = [];
+    var skipped = 0;
+
+    features.forEach(function (feature) {
+      var geometry = feature.geometry || {};
+      var coordinates =
+        geometry.type === "Point"
+          ? [geometry.coordinates]
+          : geometry.type === "MultiPoint"
+          ? geometry.coordinates
+          : null;
+      if (!coordinates) {
+        skipped++;
+        return;
+      }
+      var weight = featureWeight(feature.properties);
+      coordinates.forEach(function (position) {
+        var point = position ? toPoint(position[1], position[0], weight) : null;
+        if (point) {
+          points.push(point);
+        } else {
+          skipped++;
+        }
+      });
+    });
+    return { points: points, skipped: skipped };
+  }
+
+  function arrayToPoints(list) {
+    var points = [];
+    var skipped = 0;
+    list.forEach(function (entry) {
+      var point = Array.isArray(entry)
+        ? toPoint(entry[0], entry[1], entry[2])
+        : null;
+      if (point) {
+        points.push(point);
+      } else {
+        skipped++;
+      }
+    });
+    return { points: points, skipped: skipped };
+  }
+
+  // Objects become a table with the union of their keys as columns
+  function objectsToTable(list) {
+    var columns = [];
+    list.forEach(function (entry) {
+      Object.keys(entry || {}).forEach(function (key) {
+        if (columns.indexOf(key) === -1) {
+          columns.push(key);
+        }
+      });
+    });
+    return {
+      columns: columns,
+      rows: list.map(function (entry) {
+        return columns.map(function (key) {
+          return entry ? entry[key] : undefined;
+        });
+      }),
+    };
+  }
+
+  // File contents -> { table } needing a column mapping, or { points,
+  // skipped } ready to import. Throws with a message for the user.
+  function parseFile(fileName, text) {
+    if (/\.(csv|tsv|txt)$/i.test(fileName)) {
+      var rows = parseCsv(text);
+      if (rows.length < 2) {
+        throw new Error("The file needs a header row and at least one row.");
+      }
+      return { table: { columns: rows[0], rows: rows.slice(1) } };
+    }
+
+    var data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error("The file is not valid JSON or GeoJSON.");
+    }
+    if (Array.isArray(data)) {
+      if (data.length > 0 && !Array.isArray(data[0])) {
+        return { table: objectsToTable(data) };
+      }
+      return arrayToPoints(data);
+    }
+    if (data && typeof data.type === "string") {
+      return geoJsonToPoints(data);
+    }
+    throw new Error("Expected a GeoJSON object or an array of points.");
+  }
+
+  L.Control.HeatmapImport = L.Control.extend({
+    options: {
+      position: "topright",
+      onImport: function () {},
+      onRemove: function () {},
+    },
+
+    initialize: function (options) {
+      L.setOptions(this, options);
+      this._datasets = [];
+    },
+
+    onAdd: function (map) {
+      var container = L.DomUtil.create("div", "heatmap-import leaflet-bar");
+
+      this._toggle = createButton("Import", container, "heatmap-import-toggle");
+      this._toggle.title = "Show a local data file on the map";
+
+      var panel = L.DomUtil.create("div", "heatmap-import-panel", container);
+
+      this._fileInput = L.DomUtil.create("input", "", panel);
+      this._fileInput.type = "file";
+      this._fileInput.accept = ".csv,.tsv,.txt,.json,.geojson";
+      L.DomUtil.create("div", "heatmap-import-hint", panel).textContent =
+        "CSV, GeoJSON or JSON; you can also drop a file on the map.";
+
+      this._mapping = L.DomUtil.create("form", "heatmap-import-mapping", panel);
+      this._status = L.DomUtil.create("div", "heatmap-import-status", panel);
+      this._list = L.DomUtil.create("ul", "heatmap-import-list", panel);
+
+      L.DomEvent.disableClickPropagation(container);
+      L.DomEvent.disableScrollPropagation(container);
+      L.DomEvent.on(this._toggle, "click", this._onToggle, this);
+      L.DomEvent.on(this._fileInput, "change", this._onFileChosen, this);
+
+      var mapContainer = map.getContainer();
+      L.DomEvent.on(mapContainer, "dragover", this._onDragOver, this);
+      L.DomEvent.on(mapContainer, "dragleave", this._onDragLeave, this);
+      L.DomEvent.on(mapContainer, "drop", this._onDrop, this);
+
+      return container;
+    },
+
+    onRemove: function (map) {
+      var mapContainer = map.getContainer();
+      L.DomEvent.off(mapContainer, "dragover", this._onDragOver, this);
+      L.DomEvent.off(mapContainer, "dragleave", this._onDragLeave, this);
+      L.DomEvent.off(mapContainer, "drop", this._onDrop, this);
+    },
+
+    getDatasets: function () {
+      return this._datasets.slice();
+    },
+
+    // Import file contents directly (as if the file had been dropped)
+    importText: function (fileName, text) {
+      var result;
+      try {
+        result = parseFile(fileName, text);
+      } catch (error) {
+        this._setStatus(fileName + ": " + error.message);
+        return this;
+      }
+      if (result.table) {
+        this._showMapping(fileName, result.table);
+      } else {
+        this._addDataset(baseName(fileName), result);
+      }
+      return this;
+    },
+
+    removeDataset: function (id) {
+      var dataset = null;
+      this._datasets = this._datasets.filter(function (candidate) {
+        if (candidate.id === id) {
+          dataset = candidate;
+          return false;
+        }
+        return true;
+      });
+      if (dataset) {
+        this._renderList();
+        this.options.onRemove(dataset);
+      }
+      return this;
+    },
+
+    _onToggle: function () {
+      var container = this.getContainer();
+      if (L.DomUtil.hasClass(container, "heatmap-import-expanded")) {
+        L.DomUtil.removeClass(container, "heatmap-import-expanded");
+      } else {
+        L.DomUtil.addClass(container, "heatmap-import-expanded");
+      }
+    },
+
+    _expand: function () {
+      L.DomUtil.addClass(this.getContainer(), "heatmap-import-expanded");
+    },
+
+    _onFileChosen: function () {
+      var file = this._fileInput.files[0];
+      if (file) {
+        this._readFile(file);
+      }
+      // Choosing the same file again should import it again
+      this._fileInput.value = "";
+    },
+
+    _onDragOver: function (e) {
+      L.DomEvent.preventDefault(e);
+      L.DomUtil.addClass(this._map.getContainer(), "heatmap-import-dragging");
+    },
+
+    _onDragLeave: function () {
+      L.DomUtil.removeClass(
+        this._map.getContainer(),
+        "heatmap-import-dragging"
+      );
+    },
+
+    _onDrop: function (e) {
+      L.DomEvent.preventDefault(e);
+      this._onDragLeave();
+      var files = e.dataTransfer && e.dataTransfer.files;
+      if (files && files.length > 0) {
+        this._expand();
+        this._readFile(files[0]);
+      }
+    },
+
+    _readFile: function (file) {
+      var reader = new FileReader();
+      this._setStatus("Reading " + file.name + "…");
+      reader.onload = L.bind(function () {
+        this._setStatus("");
+        this.importText(file.name, reader.result);
+      }, this);
+      reader.onerror = L.bind(function () {
+        this._setStatus("Could not read " + file.name + ".");
+      }, this);
+      reader.readAsText(file);
+    },
+
+    // Ask which columns hold the coordinates and weight
+    _showMapping: function (fileName, table) {
+      var form = this._mapping;
+      form.innerHTML = "";
+
+      var nameRow = L.DomUtil.create("label", "heatmap-import-row", form);
+      L.DomUtil.create("span", "heatmap-import-label", nameRow).textContent =
+        "Name";
+      var name = L.DomUtil.create("input", "", nameRow);
+      name.type = "text";
+      name.required = true;
+      name.value = baseName(fileName);
+
+      var selects = {};
+      [
+        { key: "lat", label: "Latitude", pattern: LAT_NAMES },
+        { key: "lng", label: "Longitude", pattern: LNG_NAMES },
+        { key: "weight", label: "Weight", pattern: WEIGHT_NAMES },
+      ].forEach(function (field) {
+        var row = L.DomUtil.create("label", "heatmap-import-row", form);
+        L.DomUtil.create("span", "heatmap-import-label", row).textContent =
+          field.label;
+        var select = L.DomUtil.create("select", "", row);
+        if (field.key === "weight") {
+          var none = document.createElement("option");
+          none.value = "-1";
+          none.textContent = "(none, each row counts 1)";
+          select.appendChild(none);
+        }
+        table.columns.forEach(function (column, index) {
+          var option = document.createElement("option");
+          option.value = String(index);
+          option.textContent = String(column) || "Column " + (index + 1);
+          select.appendChild(option);
+        });
+        var guess = guessColumn(table.columns, field.pattern);
+        if (guess >= 0) {
+          select.value = String(guess);
+        }
+        selects[field.key] = select;
+      });
+
+      var actions = L.DomUtil.create("div", "heatmap-import-row", form);
+      var submit = createButton(
+        "Import " + table.rows.length + " rows",
+        actions
+      );
+      submit.type = "submit";
+      L.DomEvent.on(
+        createButton("Cancel", actions),
+        "click",
+        function () {
+          form.innerHTML = "";
+        },
+        this
+      );
+
+      L.DomEvent.on(
+        form,
+        "submit",
+        function (e) {
+          L.DomEvent.preventDefault(e);
+          var mapping = {
+            lat: Number(selects.lat.value),
+            lng: Number(selects.lng.value),
+            weight: Number(selects.weight.value),
+          };
+          if (mapping.lat === mapping.lng) {
+            this._setStatus(
+              "Latitude and longitude must be different columns."
+            );
+            return;
+          }
+          form.innerHTML = "";
+          this._addDataset(
+            name.value.trim() || baseName(fileName),
+            tableToPoints(table, mapping)
+          );
+        },
+        this
+      );
+    },
+
+    _addDataset: function (name, result) {
+      if (result.points.length === 0) {
+        this._setStatus(
+          name +
+            ": no usable points" +
+            (result.skipped ? " (" + result.skipped + " skipped)" : "") +
+            "."
+        );
+        return;
+      }
+
+      // Layer names must tell datasets apart
+      var taken = this._datasets.map(function (dataset) {
+        return dataset.name;
+      });
+      var unique = name;
+      for (var n = 2; taken.indexOf(unique) !== -1; n++) {
+        unique = name + " (" + n + ")";
+      }
+
+      var dataset = {
+        id: "import-" + nextId++,
+        name: unique,
+        points: result.points,
+        skipped: result.skipped,
+      };
+      this._datasets.push(dataset);
+      this._renderList();
+      this._setStatus(
+        result.skipped
+          ? unique +
+              ": " +
+              result.skipped +
+              " rows without usable coordinates or weight were skipped."
+          : ""
+      );
+      this.options.onImport(dataset);
+    },
+
+    _renderList: function () {
+      this._list.innerHTML = "";
+      this._datasets.forEach(function (dataset) {
+        var item = L.DomUtil.create("li", "heatmap-import-item", this._list);
+        L.DomUtil.create("span", "heatmap-import-item-name", item).textContent =
+          dataset.name;
+        L.DomUtil.create(
+          "span",
+          "heatmap-import-item-count",
+          item
+        ).textContent = dataset.points.length + " points";
+        var remove = createButton("Remove", item);
+        L.DomEvent.on(
+          remove,
+          "click",
+          function () {
+            this.removeDataset(dataset.id);
+          },
+          this
+        );
+      }, this);
+    },
+
+    _setStatus: function (text) {
+      this._status.textContent = text;
+    },
+  });
+
+  L.control.heatmapImport = function (options) {
+    return new L.Control.HeatmapImport(options);
+  };
+})();
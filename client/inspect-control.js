@@ -0,0 +1,355 @@
+// Inspect tool
+//
+// The heatmap's colours only show where values are high relative to each
+// other. With the tool on, clicking the map opens a popup giving, for each
+// visible live layer:
+//   - the value at that spot, interpolated from the points within the
+//     layer's heat radius (see shared/heatmap-inspect.js)
+//   - the nearest of those points, with their own values, distances and the
+//     time they were last updated
+//   - a sparkline of the value at that spot over the last hour, from the
+//     server's recorded history
+// Values are in the layer's own unit. Zoomed out, the server may send
+// binned points (sums of the points in a cell) instead of raw ones; the
+// popup says so, since the values are then per cell. The history is always
+// read from raw points. Escape or the button turns the tool off again.
+//
+// Usage:
+//   var inspect = L.control.heatmapInspect({
+//     getLayers: function () { return visibleLiveLayers; },  // L.LiveHeatLayers
+//     // Ask for [[timestamp, value | null], ...] at a spot, or null
+//     fetchSeries: function (query, callback) { ... },  // { layer, lat, lng, radiusMeters, from, to }
+//     onToggle: function (active) { ... },  // optional; e.g. to pause other click handlers
+//   }).addTo(map);
+//   inspect.activate();          // and deactivate(), isActive()
+//   inspect.inspect(latlng);     // open the popup for a spot
+(function () {
+  // Nearest points listed per layer
+  var NEAREST_POINTS = 5;
+
+  // Sparkline size in pixels
+  var SPARKLINE_WIDTH = 220;
+  var SPARKLINE_HEIGHT = 40;
+
+  var SVG_NAMESPACE = "http://www.w3.org/2000/svg";
+
+  // Point ids the server gives bins (see server/binning.js)
+  var BIN_ID_PATTERN = /^(grid|hex):\d+:/;
+
+  function formatNumber(value) {
+    if (value >= 100) {
+      return String(Math.round(value));
+    }
+    return String(Number(value.toPrecision(3)));
+  }
+
+  function formatValue(value, unit) {
+    return formatNumber(value) + (unit ? " " + unit : "");
+  }
+
+  function formatDistance(meters) {
+    if (meters < 1000) {
+      return Math.round(meters) + " m";
+    }
+    return formatNumber(meters / 1000) + " km";
+  }
+
+  function formatTime(timestamp) {
+    return timestamp ? new Date(timestamp).toLocaleTimeString() : "";
+  }
+
+  function createSvgElement(name, attributes, parent) {
+    var element = document.createElementNS(SVG_NAMESPACE, name);
+    Object.keys(attributes).forEach(function (key) {
+      element.setAttribute(key, attributes[key]);
+    });
+    parent.appendChild(element);
+    return element;
+  }
+
+  // Line chart of [timestamp, value | null] samples between two times; the
+  // line breaks where a sample has no value
+  function renderSparkline(samples, from, to, parent) {
+    var values = samples
+      .map(function (sample) {
+        return sample[1];
+      })
+      .filter(function (value) {
+        return value !== null;
+      });
+    var min = Math.min.apply(null, values);
+    var max = Math.max.apply(null, values);
+    var span = max - min || 1;
+
+    var svg = createSvgElement(
+      "svg",
+      {
+        class: "heatmap-inspect-sparkline",
+        width: SPARKLINE_WIDTH,
+        height: SPARKLINE_HEIGHT,
+        viewBox: "0 0 " + SPARKLINE_WIDTH + " " + SPARKLINE_HEIGHT,
+      },
+      parent
+    );
+
+    var runs = [[]];
+    samples.forEach(function (sample) {
+      if (sample[1] === null) {
+        if (runs[runs.length - 1].length > 0) {
+          runs.push([]);
+        }
+        return;
+      }
+      var x =
+        ((Date.parse(sample[0]) - from) / (to - from)) * (SPARKLINE_WIDTH - 2) +
+        1;
+      var y =
+        SPARKLINE_HEIGHT -
+        1 -
+        ((sample[1] - min) / span) * (SPARKLINE_HEIGHT - 2);
+      runs[runs.length - 1].push(x.toFixed(1) + "," + y.toFixed(1));
+    });
+    runs.forEach(function (run) {
+      if (run.length === 1) {
+        var xy = run[0].split(",");
+        createSvgElement("circle", { cx: xy[0], cy: xy[1], r: 1.5 }, svg);
+      } else if (run.length > 1) {
+        createSvgElement("polyline", { points: run.join(" ") }, svg);
+      }
+    });
+    return { min: min, max: max };
+  }
+
+  L.Control.HeatmapInspect = L.Control.extend({
+    options: {
+      position: "topleft",
+      getLayers: function () {
+        return [];
+      },
+      fetchSeries: null,
+      onToggle: function () {},
+      // How far back the sparkline goes
+      historyMinutes: 60,
+      // Samples asked for per sparkline
+      historySamples: 60,
+    },
+
+    initialize: function (options) {
+      L.setOptions(this, options);
+      this._active = false;
+      this._popup = null;
+    },
+
+    onAdd: function () {
+      var container = L.DomUtil.create("div", "heatmap-inspect leaflet-bar");
+      this._button = L.DomUtil.create(
+        "button",
+        "heatmap-inspect-toggle",
+        container
+      );
+      this._button.type = "button";
+      this._button.textContent = "Inspect";
+      this._button.title = "Click the map to read the heat values there";
+
+      L.DomEvent.disableClickPropagation(container);
+      L.DomEvent.on(
+        this._button,
+        "click",
+        function () {
+          if (this._active) {
+            this.deactivate();
+          } else {
+            this.activate();
+          }
+        },
+        this
+      );
+      return container;
+    },
+
+    onRemove: function () {
+      this.deactivate();
+    },
+
+    isActive: function () {
+      return this._active;
+    },
+
+    activate: function () {
+      if (!this._map || this._active) {
+        return this;
+      }
+      this._active = true;
+      var map = this._map;
+      L.DomUtil.addClass(map.getContainer(), "heatmap-inspecting");
+      L.DomUtil.addClass(this._button, "heatmap-inspect-active");
+      map.on("click", this._onMapClick, this);
+      L.DomEvent.on(document, "keydown", this._onKey, this);
+      this.options.onToggle(true);
+      return this;
+    },
+
+    deactivate: function () {
+      if (!this._active) {
+        return this;
+      }
+      this._active = false;
+      var map = this._map;
+      L.DomUtil.removeClass(map.getContainer(), "heatmap-inspecting");
+      L.DomUtil.removeClass(this._button, "heatmap-inspect-active");
+      map.off("click", this._onMapClick, this);
+      L.DomEvent.off(document, "keydown", this._onKey, this);
+      if (this._popup) {
+        map.closePopup(this._popup);
+        this._popup = null;
+      }
+      this.options.onToggle(false);
+      return this;
+    },
+
+    // Open the popup for a spot, whether or not the tool is on
+    inspect: function (latlng) {
+      if (!this._map) {
+        return this;
+      }
+      latlng = L.latLng(latlng);
+      var content = L.DomUtil.create("div", "heatmap-inspect-popup");
+      var layers = this.options.getLayers();
+      if (layers.length === 0) {
+        L.DomUtil.create("div", "heatmap-inspect-note", content).textContent =
+          "No heat layer is shown.";
+      }
+      layers.forEach(function (layer) {
+        this._renderLayer(layer, latlng, content);
+      }, this);
+
+      this._popup = L.popup({ minWidth: 240, maxWidth: 320 })
+        .setLatLng(latlng)
+        .setContent(content)
+        .openOn(this._map);
+      return this;
+    },
+
+    _onMapClick: function (e) {
+      this.inspect(e.latlng);
+    },
+
+    _onKey: function (e) {
+      if (e.key === "Escape") {
+        this.deactivate();
+      }
+    },
+
+    // The layer's heat radius in meters at a spot: leaflet.heat's radius is
+    // in screen pixels, so it covers more ground zoomed out
+    _radiusMeters: function (layer, latlng) {
+      var map = this._map;
+      var radius = layer.getStyleOptions().radius || 25;
+      var point = map.latLngToContainerPoint(latlng);
+      return map.distance(
+        latlng,
+        map.containerPointToLatLng(point.add([radius, 0]))
+      );
+    },
+
+    _renderLayer: function (layer, latlng, parent) {
+      var section = L.DomUtil.create("div", "heatmap-inspect-layer", parent);
+      var unit = layer.options.unit;
+      L.DomUtil.create("b", "", section).textContent = layer.options.name;
+
+      var points = layer.getFrame().points;
+      var radiusMeters = this._radiusMeters(layer, latlng);
+      var value = HeatmapInspect.interpolate(
+        points,
+        latlng.lat,
+        latlng.lng,
+        radiusMeters
+      );
+      var summary = L.DomUtil.create("div", "heatmap-inspect-value", section);
+      summary.textContent =
+        value === null
+          ? "No points within " + formatDistance(radiusMeters)
+          : "≈ " + formatValue(value, unit) + " here";
+
+      var nearest = HeatmapInspect.nearestPoints(
+        points,
+        latlng.lat,
+        latlng.lng,
+        radiusMeters,
+        NEAREST_POINTS
+      );
+      if (nearest.length > 0) {
+        var table = L.DomUtil.create(
+          "table",
+          "heatmap-inspect-points",
+          section
+        );
+        nearest.forEach(function (entry) {
+          var row = L.DomUtil.create("tr", "", table);
+          [
+            entry.point[0],
+            formatValue(entry.point[3], unit),
+            formatDistance(entry.distance),
+            formatTime(layer.getPointTimestamp(entry.point[0])),
+          ].forEach(function (text) {
+            L.DomUtil.create("td", "", row).textContent = text;
+          });
+        });
+        if (BIN_ID_PATTERN.test(nearest[0].point[0])) {
+          L.DomUtil.create("div", "heatmap-inspect-note", section).textContent =
+            "Zoomed out: points are bins summing the points in a cell. Zoom in for raw values.";
+        }
+      }
+
+      this._renderHistory(layer, latlng, radiusMeters, section);
+    },
+
+    _renderHistory: function (layer, latlng, radiusMeters, parent) {
+      if (!this.options.fetchSeries) {
+        return;
+      }
+      var history = L.DomUtil.create("div", "heatmap-inspect-history", parent);
+      history.textContent = "Loading the last hour…";
+
+      var to = Date.now();
+      var from = to - this.options.historyMinutes * 60 * 1000;
+      var unit = layer.options.unit;
+      this.options.fetchSeries(
+        {
+          layer: layer.options.id,
+          lat: latlng.lat,
+          lng: latlng.lng,
+          radiusMeters: radiusMeters,
+          from: new Date(from).toISOString(),
+          to: new Date(to).toISOString(),
+          maxSamples: this.options.historySamples,
+        },
+        function (samples) {
+          if (!samples) {
+            history.textContent = "History is unavailable.";
+            return;
+          }
+          var hasValues = samples.some(function (sample) {
+            return sample[1] !== null;
+          });
+          if (!hasValues) {
+            history.textContent = "Nothing recorded here in the last hour.";
+            return;
+          }
+          history.textContent = "";
+          var label = L.DomUtil.create("div", "heatmap-inspect-note", history);
+          var range = renderSparkline(samples, from, to, history);
+          label.textContent =
+            "Last hour: " +
+            formatValue(range.min, unit) +
+            " – " +
+            formatValue(range.max, unit);
+        }
+      );
+    },
+  });
+
+  L.control.heatmapInspect = function (options) {
+    return new L.Control.HeatmapInspect(options);
+  };
+})();
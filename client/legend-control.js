@@ -0,0 +1,278 @@
+// Intensity normalisation and legend
+//
+// Points arrive in real units (people, devices, ...). L.HeatmapScale maps
+// them onto the heat layer's 0-1 range using one of several modes:
+//   fixed       value / max, with max given in the options
+//   rolling     value / the highest value seen in the last windowSeconds
+//   percentile  value / the given percentile of the current frame, so a few
+//               outliers don't wash out everything else
+//   log         log(1 + value) / log(1 + rolling max), for skewed data
+// The legend control draws the current gradient with tick labels in those
+// units and lets the user switch mode; it is redrawn whenever the scale
+// changes.
+//
+// Usage:
+//   var scale = L.heatmapScale({ mode: "rolling", unit: "people" });
+//   scale.update(values);                  // once per rendered frame
+//   layer.setLatLngs(points.map(... scale.normalize(value) ...));
+//   var legend = L.control.heatmapLegend({
+//     name: "Footfall",                             // optional title
+//     scale: scale,
+//     getGradient: function () { return stops; },   // gradient stops
+//     getLayerMax: function () { return 1; },       // heat layer "max"
+//     onModeChange: function (mode) { ... redraw ... },
+//   }).addTo(map);
+//   legend.refresh();
+//   legend.getLegendData();                // { title, stops, ticks }
+(function () {
+  var MODES = {
+    fixed: "Fixed max",
+    rolling: "Rolling max",
+    percentile: "Percentile",
+    log: "Log scale",
+  };
+
+  var TICK_POSITIONS = [0, 0.25, 0.5, 0.75, 1];
+
+  function formatValue(value) {
+    if (value >= 10000) {
+      return Math.round(value / 1000) + "k";
+    }
+    if (value >= 1000) {
+      return (value / 1000).toFixed(1) + "k";
+    }
+    if (value >= 10) {
+      return String(Math.round(value));
+    }
+    return String(Number(value.toPrecision(2)));
+  }
+
+  // Nearest-rank percentile of an unsorted list
+  function percentileOf(values, percentile) {
+    if (values.length === 0) {
+      return 0;
+    }
+    var sorted = values.slice().sort(function (a, b) {
+      return a - b;
+    });
+    var rank = Math.ceil((percentile / 100) * sorted.length);
+    return sorted[Math.max(0, Math.min(sorted.length - 1, rank - 1))];
+  }
+
+  L.HeatmapScale = L.Class.extend({
+    options: {
+      mode: "fixed",
+      // Value shown at full intensity in fixed mode, and the fallback
+      // before any data has been seen
+      max: 1,
+      windowSeconds: 300,
+      percentile: 95,
+      unit: "",
+    },
+
+    initialize: function (options) {
+      L.setOptions(this, options);
+      if (!MODES.hasOwnProperty(this.options.mode)) {
+        console.warn("Unknown heatmap scale mode:", this.options.mode);
+        this.options.mode = "fixed";
+      }
+      // Peak value of each recent frame: [{ time, peak }]
+      this._peaks = [];
+      this._framePercentile = 0;
+      this._max = this.options.max;
+    },
+
+    getMode: function () {
+      return this.options.mode;
+    },
+
+    setMode: function (mode) {
+      if (MODES.hasOwnProperty(mode)) {
+        this.options.mode = mode;
+        this._updateMax();
+      }
+      return this;
+    },
+
+    // The value that maps to 1
+    getMax: function () {
+      return this._max;
+    },
+
+    // Record a frame's raw values (rolling statistics are kept for every
+    // mode, so switching mode takes effect immediately)
+    update: function (values) {
+      var now = Date.now();
+      var peak = 0;
+      values.forEach(function (value) {
+        if (value > peak) {
+          peak = value;
+        }
+      });
+
+      var cutoff = now - this.options.windowSeconds * 1000;
+      this._peaks = this._peaks.filter(function (entry) {
+        return entry.time >= cutoff;
+      });
+      this._peaks.push({ time: now, peak: peak });
+      this._framePercentile = percentileOf(values, this.options.percentile);
+
+      this._updateMax();
+      return this;
+    },
+
+    // Raw value -> heat layer intensity (0 at zero, 1 at getMax())
+    normalize: function (value) {
+      if (this.options.mode === "log") {
+        return Math.log(1 + value) / Math.log(1 + this._max);
+      }
+      return value / this._max;
+    },
+
+    // Heat layer intensity -> raw value (the inverse of normalize)
+    valueAt: function (intensity) {
+      if (this.options.mode === "log") {
+        return Math.exp(intensity * Math.log(1 + this._max)) - 1;
+      }
+      return intensity * this._max;
+    },
+
+    _updateMax: function () {
+      var max;
+      if (this.options.mode === "fixed") {
+        max = this.options.max;
+      } else if (this.options.mode === "percentile") {
+        max = this._framePercentile;
+      } else {
+        max = 0;
+        this._peaks.forEach(function (entry) {
+          max = Math.max(max, entry.peak);
+        });
+      }
+      // An empty or all-zero frame would otherwise divide by zero
+      this._max = max > 0 ? max : this.options.max;
+    },
+  });
+
+  L.heatmapScale = function (options) {
+    return new L.HeatmapScale(options);
+  };
+
+  L.Control.HeatmapLegend = L.Control.extend({
+    options: {
+      position: "bottomright",
+      // Title, e.g. the layer's name
+      name: "Intensity",
+      scale: null,
+      getGradient: null,
+      getLayerMax: function () {
+        return 1;
+      },
+      onModeChange: function () {},
+    },
+
+    onAdd: function () {
+      var container = L.DomUtil.create("div", "heatmap-legend leaflet-bar");
+
+      var header = L.DomUtil.create("div", "heatmap-legend-header", container);
+      this._title = L.DomUtil.create("span", "heatmap-legend-title", header);
+
+      this._modeSelect = L.DomUtil.create(
+        "select",
+        "heatmap-legend-mode",
+        header
+      );
+      Object.keys(MODES).forEach(function (mode) {
+        var option = document.createElement("option");
+        option.value = mode;
+        option.textContent = MODES[mode];
+        this._modeSelect.appendChild(option);
+      }, this);
+
+      this._bar = L.DomUtil.create("div", "heatmap-legend-bar", container);
+      this._ticks = L.DomUtil.create("div", "heatmap-legend-ticks", container);
+
+      L.DomEvent.disableClickPropagation(container);
+      L.DomEvent.disableScrollPropagation(container);
+      L.DomEvent.on(this._modeSelect, "change", this._onModeChange, this);
+
+      this.refresh();
+      return container;
+    },
+
+    // What the legend shows, for drawing it elsewhere (e.g. an exported
+    // image): { title, stops: [[offset, colour], ...], ticks: [label, ...] }
+    // with the ticks evenly spaced from 0 to 1
+    getLegendData: function () {
+      var scale = this.options.scale;
+      var unit = scale.options.unit;
+
+      var gradient = this.options.getGradient && this.options.getGradient();
+      var stops = gradient
+        ? Object.keys(gradient)
+            .sort(function (a, b) {
+              return a - b;
+            })
+            .map(function (stop) {
+              return [Number(stop), gradient[stop]];
+            })
+        : [];
+
+      // Position p on the gradient is a layer intensity of p * layer max
+      var layerMax = this.options.getLayerMax();
+      var ticks = TICK_POSITIONS.map(function (position) {
+        var label = formatValue(scale.valueAt(position * layerMax));
+        // Anything above the top of the gradient is drawn in its colour
+        return position === 1 ? "≥" + label : label;
+      });
+
+      return {
+        title: unit ? this.options.name + " (" + unit + ")" : this.options.name,
+        stops: stops,
+        ticks: ticks,
+      };
+    },
+
+    // Redraw after the scale, gradient or layer max changed
+    refresh: function () {
+      if (!this._bar) {
+        return this;
+      }
+      var data = this.getLegendData();
+
+      this._title.textContent = data.title;
+      this._modeSelect.value = this.options.scale.getMode();
+
+      this._bar.style.background = data.stops.length
+        ? "linear-gradient(to right, " +
+          data.stops
+            .map(function (stop) {
+              return stop[1] + " " + stop[0] * 100 + "%";
+            })
+            .join(", ") +
+          ")"
+        : "";
+
+      this._ticks.innerHTML = "";
+      data.ticks.forEach(function (label) {
+        L.DomUtil.create(
+          "span",
+          "heatmap-legend-tick",
+          this._ticks
+        ).textContent = label;
+      }, this);
+
+      return this;
+    },
+
+    _onModeChange: function () {
+      this.options.scale.setMode(this._modeSelect.value);
+      this.options.onModeChange(this._modeSelect.value);
+      this.refresh();
+    },
+  });
+
+  L.control.heatmapLegend = function (options) {
+    return new L.Control.HeatmapLegend(options);
+  };
+})();
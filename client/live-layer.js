@@ -0,0 +1,533 @@
+// Live heat layer
+//
+// One of the server's named layers (footfall, vehicles, ...). It keeps a
+// local copy of the layer's points that snapshots replace and deltas patch,
+// and draws them through its own L.heatLayer and intensity scale. Its
+// styling panel and legend are on the map only while the layer is, so a
+// layers control switches all of it on and off together.
+//
+// Each new frame glides in from the last over about the time between
+// frames, rather than replacing it at once: points are matched by id, or
+// failing that to a vanished point close by on screen, and move and change
+// in step; the rest fade in or out. The style panel's "Smooth transitions"
+// turns this off, and it is skipped for very large frames and for users
+// who ask their system for reduced motion.
+//
+// Fires "stylechange" after the user restyles the layer, and "framechange"
+// { timestamp, pointCount } whenever it shows other points (live updates,
+// playback frames and the like).
+//
+// Usage:
+//   var layer = L.liveHeatLayer({
+//     id: "footfall",
+//     name: "Footfall",
+//     unit: "people",                          // optional, for the legend
+//     style: { radius: 40 },                   // optional starting style
+//     styleId: "footfall",                     // optional, saves the style
+//                                              // under another id
+//     scale: { mode: "rolling" },              // optional L.heatmapScale options
+//     isLive: function () { return true; },    // false while history plays
+//     onResync: function (lastSeq) { ... },    // a delta was missed
+//   }).addTo(map);
+//   layer.applySnapshot(message);       // { type: "full_update" }
+//   layer.applyDelta(message);          // { type: "heatmap_delta" }
+//   layer.showFrame(points, timestamp, binning); // draw other points
+//                                       // (playback, samples); binning as
+//                                       // the server describes bins, if any
+//   layer.showLive();                   // back to the live points
+//   layer.reset();                      // forget live state before reconnecting
+//   layer.getFrame();                   // { timestamp, layer, points, binning,
+//                                       // live } as drawn; binning is null for
+//                                       // raw points, live false for frames
+//                                       // passed to showFrame()
+//   layer.getPointTimestamp(id);        // when a drawn point last changed
+(function () {
+  // Transitions never take longer than this, however far apart frames are
+  var MAX_TRANSITION_MS = 3000;
+
+  // Frames closer together than this (a snapshot right after a reconnect,
+  // say) are swapped in at once
+  var MIN_TRANSITION_MS = 100;
+
+  // Frames with more points than this are swapped in at once; tweening
+  // them would cost more than it shows
+  var MAX_ANIMATED_POINTS = 5000;
+
+  function prefersReducedMotion() {
+    return !!(
+      window.matchMedia &&
+      window.matchMedia("(prefers-reduced-motion: reduce)").matches
+    );
+  }
+
+  // Key of the grid cell `dx`, `dy` cells away from the one a pixel is in
+  function cellKey(pixel, size, dx, dy) {
+    return (
+      Math.floor(pixel.x / size) + dx + ":" + (Math.floor(pixel.y / size) + dy)
+    );
+  }
+
+  // Pair each point of the next frame with where it starts from in the
+  // current one: the point with the same id, else the nearest unpaired one
+  // within `pixels` on screen (ids change with the level of detail), else
+  // nothing. Points are [id, lat, lng, value]; returns [[from, to]] with
+  // a null for the missing end.
+  function pairPoints(current, next, map, pixels) {
+    // No prototype, so ids like "constructor" find nothing
+    var currentById = Object.create(null);
+    current.forEach(function (point) {
+      currentById[point[0]] = point;
+    });
+    var pairs = [];
+    var unpaired = [];
+    next.forEach(function (point) {
+      var from = currentById[point[0]];
+      if (from) {
+        delete currentById[point[0]];
+        pairs.push([from, point]);
+      } else {
+        unpaired.push(point);
+      }
+    });
+
+    // The leftover points in grid cells `pixels` wide, so only the cell a
+    // point falls in and its neighbours need searching
+    var leftover = [];
+    var cells = {};
+    Object.keys(currentById).forEach(function (id) {
+      var candidate = {
+        point: currentById[id],
+        pixel: map.latLngToLayerPoint([currentById[id][1], currentById[id][2]]),
+        paired: false,
+      };
+      var key = cellKey(candidate.pixel, pixels, 0, 0);
+      (cells[key] = cells[key] || []).push(candidate);
+      leftover.push(candidate);
+    });
+    unpaired.forEach(function (point) {
+      var pixel = map.latLngToLayerPoint([point[1], point[2]]);
+      var nearest = null;
+      var nearestDistance = pixels;
+      for (var dx = -1; dx <= 1; dx++) {
+        for (var dy = -1; dy <= 1; dy++) {
+          (cells[cellKey(pixel, pixels, dx, dy)] || []).forEach(function (
+            candidate
+          ) {
+            var distance = candidate.pixel.distanceTo(pixel);
+            if (!candidate.paired && distance <= nearestDistance) {
+              nearest = candidate;
+              nearestDistance = distance;
+            }
+          });
+        }
+      }
+      if (nearest === null) {
+        pairs.push([null, point]);
+      } else {
+        pairs.push([nearest.point, point]);
+        nearest.paired = true;
+      }
+    });
+    leftover.forEach(function (candidate) {
+      if (!candidate.paired) {
+        pairs.push([candidate.point, null]);
+      }
+    });
+    return pairs;
+  }
+
+  L.LiveHeatLayer = L.Layer.extend({
+    options: {
+      id: "",
+      name: "",
+      unit: "",
+      scale: null,
+      style: null,
+      styleId: null,
+      isLive: function () {
+        return true;
+      },
+      onResync: function () {},
+    },
+
+    initialize: function (options) {
+      L.setOptions(this, options);
+
+      this._heat = L.heatLayer([], { maxZoom: 18 });
+
+      // Point values are in real units; the scale maps them onto the heat
+      // layer's 0-1 range
+      this._scale = L.heatmapScale
+        ? L.heatmapScale(
+            L.extend(
+              {},
+              this.options.scale,
+              this.options.unit ? { unit: this.options.unit } : {}
+            )
+          )
+        : null;
+
+      this._style = L.control.heatmapStyle
+        ? L.control.heatmapStyle({
+            layer: this._heat,
+            id: this.options.styleId || this.options.id,
+            defaults: this.options.style,
+            title: this.options.name + " style",
+            onChange: L.bind(this._onStyleChange, this),
+          })
+        : null;
+      if (this._style) {
+        // Styled from the saved settings even before the panel is shown
+        this._heat.setOptions(this._style.getLayerOptions());
+      }
+
+      var heat = this._heat;
+      this._legend =
+        L.control.heatmapLegend && this._scale
+          ? L.control.heatmapLegend({
+              name: this.options.name,
+              scale: this._scale,
+              getGradient: function () {
+                return heat.options.gradient;
+              },
+              getLayerMax: function () {
+                return heat.options.max || 1;
+              },
+              onModeChange: L.bind(this.redraw, this),
+            })
+          : null;
+
+      // Live state: id -> [lat, lng, value], and the sequence number of the
+      // last snapshot or delta applied to it. Id maps have no prototype, so
+      // ids like "__proto__" are stored like any other.
+      this._points = Object.create(null);
+      this._lastSequence = null;
+      this._awaitingResync = false;
+      this._lastTimestamp = null;
+      // id -> timestamp of the snapshot or delta that last changed the point
+      this._pointTimes = Object.create(null);
+      // How the server binned the live points (the last snapshot's
+      // "binning"), or null for raw points
+      this._binning = null;
+
+      // What is drawn, with [id, lat, lng, value] points
+      this._frame = {
+        timestamp: null,
+        layer: this.options.id,
+        points: [],
+        binning: null,
+        live: false,
+      };
+      this._showingLive = false;
+      this._frameBinning = null;
+
+      // What the heat layer shows right now, mid-transition included, as
+      // [id, lat, lng, 0-1 value]
+      this._displayed = [];
+      this._transition = null;
+      // When the last frame arrived, to time transitions to the feed
+      this._lastFrameAt = null;
+      this._frameInterval = null;
+    },
+
+    onAdd: function (map) {
+      map.addLayer(this._heat);
+      if (this._style) {
+        this._style.addTo(map);
+      }
+      if (this._legend) {
+        this._legend.addTo(map);
+      }
+      // Catch up with frames that arrived while the layer was hidden
+      this._draw();
+    },
+
+    onRemove: function (map) {
+      this._stopTransition();
+      // leaflet.heat doesn't cancel a redraw it has queued, which would then
+      // run without a map
+      if (this._heat._frame) {
+        L.Util.cancelAnimFrame(this._heat._frame);
+        this._heat._frame = null;
+      }
+      map.removeLayer(this._heat);
+      if (this._style) {
+        this._style.remove();
+      }
+      if (this._legend) {
+        this._legend.remove();
+      }
+    },
+
+    // Replace the live points with a server snapshot
+    applySnapshot: function (message) {
+      var previous = this._points;
+      var previousTimes = this._pointTimes;
+      this._points = Object.create(null);
+      this._pointTimes = Object.create(null);
+      message.points.forEach(function (point) {
+        var id = point[0];
+        var old = previous[id];
+        // Points the snapshot leaves as they were keep their time
+        this._pointTimes[id] =
+          old &&
+          previousTimes[id] &&
+          old[0] === point[1] &&
+          old[1] === point[2] &&
+          old[2] === point[3]
+            ? previousTimes[id]
+            : message.timestamp;
+        this._points[id] = [point[1], point[2], point[3]];
+      }, this);
+      this._lastSequence = message.seq;
+      this._lastTimestamp = message.timestamp;
+      this._binning = message.binning || null;
+      this._awaitingResync = false;
+      this.showLive();
+      return this;
+    },
+
+    // Patch the live points with a delta. Returns false if the delta was
+    // not applied; after a gap in the sequence onResync asks for a snapshot.
+    applyDelta: function (message) {
+      if (this._awaitingResync) {
+        return false;
+      }
+
+      if (this._lastSequence !== null && message.seq <= this._lastSequence) {
+        // Already covered by a newer snapshot
+        return false;
+      }
+
+      if (
+        this._lastSequence === null ||
+        message.seq !== this._lastSequence + 1
+      ) {
+        console.warn(
+          "Heatmap delta sequence gap in layer",
+          this.options.id,
+          "(have",
+          this._lastSequence,
+          "got",
+          message.seq + "), requesting resync"
+        );
+        this._awaitingResync = true;
+        this.options.onResync(this._lastSequence);
+        return false;
+      }
+
+      message.add.concat(message.update).forEach(function (point) {
+        this._points[point[0]] = [point[1], point[2], point[3]];
+        this._pointTimes[point[0]] = message.timestamp;
+      }, this);
+      message.remove.forEach(function (id) {
+        delete this._points[id];
+        delete this._pointTimes[id];
+      }, this);
+      this._lastSequence = message.seq;
+      this._lastTimestamp = message.timestamp;
+      this.showLive();
+      return true;
+    },
+
+    // Forget the live state so the next connection starts from a snapshot
+    reset: function () {
+      this._points = Object.create(null);
+      this._pointTimes = Object.create(null);
+      this._lastSequence = null;
+      this._binning = null;
+      this._awaitingResync = false;
+      return this;
+    },
+
+    // Draw the live points (skipped while history is playing; the live
+    // points keep being tracked in the background)
+    showLive: function () {
+      if (!this.options.isLive()) {
+        return this;
+      }
+      var points = this._points;
+      this._showingLive = true;
+      this._frameBinning = this._binning;
+      this._show(
+        Object.keys(points).map(function (id) {
+          return [id].concat(points[id]);
+        }),
+        this._lastTimestamp
+      );
+      return this;
+    },
+
+    // Draw [id, lat, lng, value] points that aren't the live ones
+    showFrame: function (points, timestamp, binning) {
+      this._showingLive = false;
+      this._frameBinning = binning || null;
+      this._show(points, timestamp);
+      return this;
+    },
+
+    // Draw the current frame again, e.g. after the scale mode changed
+    redraw: function () {
+      this._render(this._frame.points, this._frame.timestamp);
+      return this;
+    },
+
+    getFrame: function () {
+      return this._frame;
+    },
+
+    // When a drawn point last changed: its own update time while the live
+    // points are drawn, otherwise the time of the frame shown
+    getPointTimestamp: function (id) {
+      return (
+        (this._showingLive && this._pointTimes[id]) || this._frame.timestamp
+      );
+    },
+
+    getLegendData: function () {
+      return this._legend ? this._legend.getLegendData() : null;
+    },
+
+    // L.heatLayer options for drawing something else in this layer's style
+    getStyleOptions: function () {
+      return this._style ? this._style.getLayerOptions() : {};
+    },
+
+    _show: function (points, timestamp) {
+      var now = Date.now();
+      this._frameInterval =
+        this._lastFrameAt === null ? null : now - this._lastFrameAt;
+      this._lastFrameAt = now;
+      this._render(points, timestamp, true);
+      this.fire("framechange", {
+        timestamp: timestamp,
+        pointCount: points.length,
+      });
+    },
+
+    _render: function (points, timestamp, animate) {
+      this._frame = {
+        timestamp: timestamp,
+        layer: this.options.id,
+        points: points,
+        binning: this._frameBinning,
+        live: this._showingLive,
+      };
+      if (this._scale) {
+        this._scale.update(
+          points.map(function (point) {
+            return point[3];
+          })
+        );
+      }
+      this._draw(animate);
+    },
+
+    // leaflet.heat can only redraw while it is on a map
+    _draw: function (animate) {
+      if (!this._map) {
+        return;
+      }
+      var scale = this._scale;
+      var target = this._frame.points.map(function (point) {
+        return [
+          point[0],
+          point[1],
+          point[2],
+          scale ? scale.normalize(point[3]) : point[3],
+        ];
+      });
+      if (animate && this._shouldAnimate(target)) {
+        this._startTransition(target, this._frameInterval);
+      } else {
+        this._stopTransition();
+        this._display(target);
+      }
+      if (this._legend) {
+        this._legend.refresh();
+      }
+    },
+
+    _shouldAnimate: function (target) {
+      var style = this._style ? this._style.getSettings() : { smooth: true };
+      return (
+        style.smooth &&
+        this._frameInterval >= MIN_TRANSITION_MS &&
+        this._displayed.length + target.length > 0 &&
+        this._displayed.length + target.length <= MAX_ANIMATED_POINTS &&
+        !prefersReducedMotion()
+      );
+    },
+
+    _display: function (points) {
+      this._displayed = points;
+      this._heat.setLatLngs(
+        points.map(function (point) {
+          return [point[1], point[2], point[3]];
+        })
+      );
+    },
+
+    // Glide from what is shown now to `target` over the time frames have
+    // been arriving apart. A frame arriving mid-way starts from wherever
+    // the last transition had got to.
+    _startTransition: function (target, duration) {
+      this._stopTransition();
+      var pixels = this.getStyleOptions().radius || 25;
+      var transition = {
+        pairs: pairPoints(this._displayed, target, this._map, pixels),
+        target: target,
+        start: Date.now(),
+        duration: Math.min(duration, MAX_TRANSITION_MS),
+        frame: null,
+      };
+      this._transition = transition;
+      this._stepTransition();
+    },
+
+    _stepTransition: function () {
+      var transition = this._transition;
+      var progress = Math.min(
+        1,
+        (Date.now() - transition.start) / transition.duration
+      );
+      if (progress >= 1) {
+        this._transition = null;
+        this._display(transition.target);
+        return;
+      }
+      this._display(
+        transition.pairs.map(function (pair) {
+          // Points without a partner fade in or out where they are
+          var from = pair[0] || [pair[1][0], pair[1][1], pair[1][2], 0];
+          var to = pair[1] || [from[0], from[1], from[2], 0];
+          return [
+            to[0],
+            from[1] + (to[1] - from[1]) * progress,
+            from[2] + (to[2] - from[2]) * progress,
+            from[3] + (to[3] - from[3]) * progress,
+          ];
+        })
+      );
+      transition.frame = L.Util.requestAnimFrame(this._stepTransition, this);
+    },
+
+    _stopTransition: function () {
+      if (this._transition) {
+        L.Util.cancelAnimFrame(this._transition.frame);
+        this._transition = null;
+      }
+    },
+
+    _onStyleChange: function () {
+      if (this._legend) {
+        this._legend.refresh();
+      }
+      this.fire("stylechange");
+    },
+  });
+
+  L.liveHeatLayer = function (options) {
+    return new L.LiveHeatLayer(options);
+  };
+})();
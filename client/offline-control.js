@@ -0,0 +1,406 @@
+// Offline tiles panel
+//
+// Saves the current base layer's tiles for the area on screen over a range
+// of zoom levels, so the map keeps its background when the network goes.
+// Tiles are stored in the "heatmap-offline-tiles" cache, which the service
+// worker (sw.js) serves tiles from before trying the network, and stay
+// there until cleared from the panel.
+//
+// Base layers with saveOffline: false (such as the public OpenStreetMap
+// servers, whose usage policy forbids bulk downloads) can't be saved; serve
+// tiles of your own for that (see client/base-layers.js). The Cache API
+// only exists on secure pages (HTTPS or localhost).
+//
+// Usage:
+//   var offline = L.control.offlineTiles({
+//     getTileLayer: function () { return currentBaseLayer; },  // or null
+//     maxTiles: 10000,        // optional limit for one download
+//   }).addTo(map);
+//   offline.saveTiles(9, 13).then(function (result) { ... });
+(function () {
+  var CACHE_NAME = "heatmap-offline-tiles";
+  // Parallel tile downloads, kept low to go easy on the tile server
+  var CONCURRENCY = 4;
+
+  function createButton(label, parent) {
+    var button = L.DomUtil.create("button", "", parent);
+    button.type = "button";
+    button.textContent = label;
+    return button;
+  }
+
+  function createZoomInput(parent) {
+    var input = L.DomUtil.create("input", "", parent);
+    input.type = "number";
+    input.step = 1;
+    return input;
+  }
+
+  // The URL Leaflet requests for a tile. The layer's getTileUrl() can't be
+  // used: it always fills in the zoom level the layer is showing.
+  function tileUrl(layer, x, y, z) {
+    var options = layer.options;
+    var zoom =
+      (options.zoomReverse ? options.maxZoom - z : z) + options.zoomOffset;
+    return L.Util.template(
+      layer._url,
+      L.extend(
+        {
+          r: L.Browser.retina ? "@2x" : "",
+          s: layer._getSubdomain({ x: x, y: y }),
+          x: x,
+          y: y,
+          z: zoom,
+        },
+        options
+      )
+    );
+  }
+
+  L.Control.OfflineTiles = L.Control.extend({
+    options: {
+      position: "topright",
+      getTileLayer: null,
+      maxTiles: 10000,
+      // Zoom levels above the current one offered by default
+      zoomLevels: 3,
+    },
+
+    onAdd: function (map) {
+      var container = L.DomUtil.create("div", "heatmap-offline leaflet-bar");
+
+      var toggle = createButton("Offline", container);
+      toggle.className = "heatmap-offline-toggle";
+      toggle.title = "Save map tiles for use without a network";
+
+      var panel = L.DomUtil.create("div", "heatmap-offline-panel", container);
+      L.DomUtil.create("div", "heatmap-offline-heading", panel).textContent =
+        "Save this view for offline use";
+      this._layerName = L.DomUtil.create("div", "heatmap-offline-note", panel);
+
+      var zoomRow = L.DomUtil.create("label", "heatmap-offline-row", panel);
+      L.DomUtil.create("span", "heatmap-offline-label", zoomRow).textContent =
+        "Zoom";
+      this._fromZoom = createZoomInput(zoomRow);
+      L.DomUtil.create("span", "", zoomRow).textContent = "to";
+      this._toZoom = createZoomInput(zoomRow);
+      this._estimate = L.DomUtil.create("div", "heatmap-offline-note", panel);
+
+      var saveRow = L.DomUtil.create("div", "heatmap-offline-row", panel);
+      this._saveButton = createButton("Save tiles", saveRow);
+      this._cancelButton = createButton("Cancel", saveRow);
+      this._cancelButton.disabled = true;
+
+      var savedRow = L.DomUtil.create("div", "heatmap-offline-row", panel);
+      this._savedCount = L.DomUtil.create(
+        "span",
+        "heatmap-offline-saved",
+        savedRow
+      );
+      this._clearButton = createButton("Clear", savedRow);
+
+      this._status = L.DomUtil.create("div", "heatmap-offline-status", panel);
+
+      L.DomEvent.disableClickPropagation(container);
+      L.DomEvent.disableScrollPropagation(container);
+      L.DomEvent.on(
+        toggle,
+        "click",
+        function () {
+          if (L.DomUtil.hasClass(container, "heatmap-offline-expanded")) {
+            L.DomUtil.removeClass(container, "heatmap-offline-expanded");
+          } else {
+            L.DomUtil.addClass(container, "heatmap-offline-expanded");
+            this._resetZoomRange();
+            this._refresh();
+          }
+        },
+        this
+      );
+      L.DomEvent.on(this._fromZoom, "input", this._updateEstimate, this);
+      L.DomEvent.on(this._toZoom, "input", this._updateEstimate, this);
+      L.DomEvent.on(
+        this._saveButton,
+        "click",
+        function () {
+          this.saveTiles(
+            Number(this._fromZoom.value),
+            Number(this._toZoom.value)
+          );
+        },
+        this
+      );
+      L.DomEvent.on(
+        this._cancelButton,
+        "click",
+        function () {
+          this._cancelled = true;
+        },
+        this
+      );
+      L.DomEvent.on(this._clearButton, "click", this.clearTiles, this);
+
+      map.on("moveend baselayerchange", this._refresh, this);
+      this._saving = false;
+      return container;
+    },
+
+    onRemove: function (map) {
+      map.off("moveend baselayerchange", this._refresh, this);
+      this._cancelled = true;
+    },
+
+    // Tile columns and rows covering the map view at each zoom level from
+    // `from` to `to`, as [{ z, minX, maxX, minY, maxY }]
+    getTileRanges: function (layer, from, to) {
+      var map = this._map;
+      var bounds = map.getBounds();
+      var tileSize = layer.getTileSize();
+      var ranges = [];
+      for (var z = from; z <= to; z++) {
+        var last = Math.pow(2, z) - 1;
+        var northWest = map
+          .project(bounds.getNorthWest(), z)
+          .unscaleBy(tileSize)
+          .floor();
+        var southEast = map
+          .project(bounds.getSouthEast(), z)
+          .unscaleBy(tileSize)
+          .floor();
+        ranges.push({
+          z: z,
+          minX: Math.max(0, northWest.x),
+          maxX: Math.min(last, southEast.x),
+          minY: Math.max(0, northWest.y),
+          maxY: Math.min(last, southEast.y),
+        });
+      }
+      return ranges;
+    },
+
+    countTiles: function (ranges) {
+      return ranges.reduce(function (total, range) {
+        return (
+          total +
+          Math.max(0, range.maxX - range.minX + 1) *
+            Math.max(0, range.maxY - range.minY + 1)
+        );
+      }, 0);
+    },
+
+    // Download and store the tiles of the view from zoom `from` to `to`.
+    // Resolves to { saved, failed }, or null if nothing was downloaded.
+    saveTiles: function (from, to) {
+      var error = this._checkCanSave(from, to);
+      if (error) {
+        this._setStatus(error);
+        return Promise.resolve(null);
+      }
+
+      var layer = this.options.getTileLayer();
+      var ranges = this.getTileRanges(layer, from, to);
+      var count = this.countTiles(ranges);
+      if (count > this.options.maxTiles) {
+        this._setStatus(
+          "That is " +
+            count +
+            " tiles, more than the " +
+            this.options.maxTiles +
+            " allowed at once. Zoom in or save fewer zoom levels."
+        );
+        return Promise.resolve(null);
+      }
+
+      var urls = [];
+      ranges.forEach(function (range) {
+        for (var x = range.minX; x <= range.maxX; x++) {
+          for (var y = range.minY; y <= range.maxY; y++) {
+            urls.push(tileUrl(layer, x, y, range.z));
+          }
+        }
+      });
+
+      this._saving = true;
+      this._cancelled = false;
+      this._saveButton.disabled = true;
+      this._cancelButton.disabled = false;
+
+      var self = this;
+      var next = 0;
+      var saved = 0;
+      var failed = 0;
+
+      function showProgress() {
+        self._setStatus(
+          "Saving tile " + (saved + failed) + " of " + urls.length + "…"
+        );
+      }
+
+      // Each worker takes the next URL until none are left
+      function work(cache) {
+        if (self._cancelled || next >= urls.length) {
+          return Promise.resolve();
+        }
+        var url = urls[next++];
+        return fetch(url, { mode: "cors", credentials: "omit" })
+          .then(function (response) {
+            if (!response.ok) {
+              throw new Error("HTTP " + response.status);
+            }
+            return cache.put(url, response);
+          })
+          .then(
+            function () {
+              saved++;
+            },
+            function () {
+              failed++;
+            }
+          )
+          .then(function () {
+            showProgress();
+            return work(cache);
+          });
+      }
+
+      showProgress();
+      return caches
+        .open(CACHE_NAME)
+        .then(function (cache) {
+          var workers = [];
+          for (var i = 0; i < CONCURRENCY; i++) {
+            workers.push(work(cache));
+          }
+          return Promise.all(workers);
+        })
+        .then(
+          function () {
+            self._setStatus(
+              (self._cancelled ? "Stopped after saving " : "Saved ") +
+                saved +
+                " tiles" +
+                (failed ? " (" + failed + " could not be downloaded)" : "") +
+                "."
+            );
+          },
+          function (error) {
+            console.warn("Saving tiles failed:", error);
+            self._setStatus("Tiles could not be stored: " + error.message);
+          }
+        )
+        .then(function () {
+          self._saving = false;
+          self._saveButton.disabled = false;
+          self._cancelButton.disabled = true;
+          self._refresh();
+          return { saved: saved, failed: failed };
+        });
+    },
+
+    // Delete every saved tile
+    clearTiles: function () {
+      if (!window.caches) {
+        return Promise.resolve();
+      }
+      var self = this;
+      return caches.delete(CACHE_NAME).then(function () {
+        self._setStatus("");
+        self._refresh();
+      });
+    },
+
+    // Returns why the tiles can't be saved, or null
+    _checkCanSave: function (from, to) {
+      var layer = this.options.getTileLayer();
+      if (this._saving) {
+        return "Tiles are already being saved.";
+      }
+      if (!window.caches) {
+        return "Saving tiles needs the page to be served over HTTPS or from localhost.";
+      }
+      if (!layer || !(layer instanceof L.TileLayer)) {
+        return "Choose a tiled base layer to save.";
+      }
+      if (layer.options.saveOffline === false) {
+        return (
+          "The " +
+          (layer.options.name || "current") +
+          " tiles may not be downloaded in bulk; use a tile server of your own."
+        );
+      }
+      if (!(from >= 0 && from <= to)) {
+        return "Choose a zoom range from low to high.";
+      }
+      if (from < layer.options.minZoom || to > layer.options.maxZoom) {
+        return (
+          "This layer has zoom levels " +
+          layer.options.minZoom +
+          " to " +
+          layer.options.maxZoom +
+          "."
+        );
+      }
+      return null;
+    },
+
+    _resetZoomRange: function () {
+      var layer = this.options.getTileLayer();
+      var maxZoom = layer ? layer.options.maxZoom : this._map.getMaxZoom();
+      var zoom = Math.round(this._map.getZoom());
+      this._fromZoom.value = zoom;
+      this._toZoom.value = Math.min(maxZoom, zoom + this.options.zoomLevels);
+    },
+
+    _refresh: function () {
+      if (
+        !L.DomUtil.hasClass(this.getContainer(), "heatmap-offline-expanded")
+      ) {
+        return;
+      }
+      var layer = this.options.getTileLayer();
+      this._layerName.textContent = layer
+        ? "Base layer: " + (layer.options.name || "tiles")
+        : "The base layer has no tiles to save.";
+      this._updateEstimate();
+      this._updateSavedCount();
+    },
+
+    _updateEstimate: function () {
+      var layer = this.options.getTileLayer();
+      var from = Number(this._fromZoom.value);
+      var to = Number(this._toZoom.value);
+      if (!(layer instanceof L.TileLayer) || !(from >= 0 && from <= to)) {
+        this._estimate.textContent = "";
+        return;
+      }
+      this._estimate.textContent =
+        this.countTiles(this.getTileRanges(layer, from, to)) + " tiles in view";
+    },
+
+    _updateSavedCount: function () {
+      var element = this._savedCount;
+      if (!window.caches) {
+        element.textContent = "Offline storage unavailable";
+        return;
+      }
+      caches
+        .open(CACHE_NAME)
+        .then(function (cache) {
+          return cache.keys();
+        })
+        .then(function (keys) {
+          element.textContent = keys.length + " tiles saved";
+        });
+    },
+
+    _setStatus: function (text) {
+      if (this._status) {
+        this._status.textContent = text;
+      }
+    },
+  });
+
+  L.control.offlineTiles = function (options) {
+    return new L.Control.OfflineTiles(options);
+  };
+})();
@@ -0,0 +1,274 @@
+// Points of interest layer
+//
+// Shows POIs ({ id, lat, lng, name, category, description, updatedAt }) as
+// markers whose popups let the user edit or delete them, and opens a form
+// to create one wherever the map is clicked. The layer only draws; the
+// page decides where changes go (the server, or a local queue while
+// offline) and passes the results back in:
+//   onCreate(fields)     fields: { lat, lng, name, category, description }
+//   onUpdate(id, changes)
+//   onDelete(id)
+//
+// Usage:
+//   var pois = L.poiLayer({ onCreate: ..., onUpdate: ..., onDelete: ... }).addTo(map);
+//   pois.setPois(list);              // on { type: "pois" }
+//   pois.updatePoi(action, poi);     // on { type: "poi" }
+//   pois.setReadOnly(true);          // viewers can't edit
+//   pois.setCreateEnabled(false);    // map clicks are wanted for something else
+(function () {
+  var CATEGORIES = (window.HeatmapProtocol &&
+    window.HeatmapProtocol.POI_CATEGORIES) || [
+    "venue",
+    "landmark",
+    "facility",
+    "hazard",
+    "other",
+  ];
+
+  function capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  }
+
+  function createButton(label, parent) {
+    var button = L.DomUtil.create("button", "", parent);
+    button.type = "button";
+    button.textContent = label;
+    return button;
+  }
+
+  L.PoiLayer = L.FeatureGroup.extend({
+    options: {
+      onCreate: function () {},
+      onUpdate: function () {},
+      onDelete: function () {},
+    },
+
+    initialize: function (options) {
+      L.FeatureGroup.prototype.initialize.call(this, []);
+      L.setOptions(this, options);
+      this._pois = {};
+      this._markers = {};
+      this._readOnly = false;
+      this._createEnabled = true;
+    },
+
+    onAdd: function (map) {
+      L.FeatureGroup.prototype.onAdd.call(this, map);
+      map.on("click", this._onMapClick, this);
+    },
+
+    onRemove: function (map) {
+      map.off("click", this._onMapClick, this);
+      L.FeatureGroup.prototype.onRemove.call(this, map);
+    },
+
+    getPois: function () {
+      var pois = this._pois;
+      return Object.keys(pois).map(function (id) {
+        return pois[id];
+      });
+    },
+
+    setPois: function (pois) {
+      Object.keys(this._markers).forEach(function (id) {
+        this.removeLayer(this._markers[id]);
+      }, this);
+      this._pois = {};
+      this._markers = {};
+      pois.forEach(function (poi) {
+        this.updatePoi("created", poi);
+      }, this);
+      return this;
+    },
+
+    // action is "created", "updated" or "deleted"
+    updatePoi: function (action, poi) {
+      var marker = this._markers[poi.id];
+      if (action === "deleted") {
+        if (marker) {
+          this.removeLayer(marker);
+        }
+        delete this._pois[poi.id];
+        delete this._markers[poi.id];
+        return this;
+      }
+
+      this._pois[poi.id] = poi;
+      if (marker) {
+        marker.setLatLng([poi.lat, poi.lng]);
+        // Don't yank an open edit form away from the user
+        if (!marker.isPopupOpen() || !marker._poiEditing) {
+          marker.setPopupContent(this._createView(poi));
+        }
+      } else {
+        marker = L.marker([poi.lat, poi.lng], { title: poi.name });
+        marker.bindPopup(this._createView(poi));
+        marker.on(
+          "popupclose",
+          function () {
+            marker._poiEditing = false;
+            marker.setPopupContent(this._createView(this._pois[poi.id]));
+          },
+          this
+        );
+        this._markers[poi.id] = marker;
+        this.addLayer(marker);
+      }
+      return this;
+    },
+
+    setReadOnly: function (readOnly) {
+      this._readOnly = readOnly;
+      Object.keys(this._pois).forEach(function (id) {
+        this._markers[id].setPopupContent(this._createView(this._pois[id]));
+      }, this);
+      return this;
+    },
+
+    setCreateEnabled: function (enabled) {
+      this._createEnabled = enabled;
+      return this;
+    },
+
+    // Show the create form at a location
+    openCreateForm: function (latlng) {
+      if (!this._map || this._readOnly) {
+        return this;
+      }
+      var popup = L.popup({ minWidth: 240 }).setLatLng(latlng);
+      popup.setContent(
+        this._createForm(
+          { name: "", category: "venue", description: "" },
+          L.bind(function (fields) {
+            this._map.closePopup(popup);
+            this.options.onCreate(
+              L.extend({ lat: latlng.lat, lng: latlng.lng }, fields)
+            );
+          }, this),
+          L.bind(function () {
+            this._map.closePopup(popup);
+          }, this)
+        )
+      );
+      popup.openOn(this._map);
+      return this;
+    },
+
+    _onMapClick: function (e) {
+      if (this._createEnabled) {
+        this.openCreateForm(e.latlng);
+      }
+    },
+
+    _createView: function (poi) {
+      var content = L.DomUtil.create("div", "poi-popup");
+      L.DomUtil.create("b", "", content).textContent = poi.name;
+      L.DomUtil.create("div", "poi-popup-category", content).textContent =
+        capitalize(poi.category);
+      if (poi.description) {
+        L.DomUtil.create("div", "poi-popup-description", content).textContent =
+          poi.description;
+      }
+      L.DomUtil.create("div", "poi-popup-coordinates", content).textContent =
+        poi.lat.toFixed(4) + ", " + poi.lng.toFixed(4);
+
+      if (!this._readOnly) {
+        var actions = L.DomUtil.create("div", "poi-popup-actions", content);
+        L.DomEvent.on(
+          createButton("Edit", actions),
+          "click",
+          function () {
+            this._edit(poi.id);
+          },
+          this
+        );
+        L.DomEvent.on(
+          createButton("Delete", actions),
+          "click",
+          function () {
+            if (window.confirm('Delete "' + poi.name + '"?')) {
+              this._map.closePopup();
+              this.options.onDelete(poi.id);
+            }
+          },
+          this
+        );
+      }
+      return content;
+    },
+
+    _edit: function (id) {
+      var marker = this._markers[id];
+      var poi = this._pois[id];
+      marker._poiEditing = true;
+      marker.setPopupContent(
+        this._createForm(
+          poi,
+          L.bind(function (fields) {
+            marker.closePopup();
+            this.options.onUpdate(id, fields);
+          }, this),
+          function () {
+            marker.closePopup();
+          }
+        )
+      );
+    },
+
+    _createForm: function (poi, onSave, onCancel) {
+      var form = L.DomUtil.create("form", "poi-form");
+
+      L.DomUtil.create("label", "", form).textContent = "Name";
+      var name = L.DomUtil.create("input", "", form);
+      name.type = "text";
+      name.required = true;
+      name.maxLength = 200;
+      name.value = poi.name;
+
+      L.DomUtil.create("label", "", form).textContent = "Category";
+      var category = L.DomUtil.create("select", "", form);
+      CATEGORIES.forEach(function (value) {
+        var option = document.createElement("option");
+        option.value = value;
+        option.textContent = capitalize(value);
+        category.appendChild(option);
+      });
+      category.value = poi.category;
+
+      L.DomUtil.create("label", "", form).textContent = "Description";
+      var description = L.DomUtil.create("textarea", "", form);
+      description.rows = 3;
+      description.maxLength = 2000;
+      description.value = poi.description;
+
+      var actions = L.DomUtil.create("div", "poi-popup-actions", form);
+      var save = createButton("Save", actions);
+      save.type = "submit";
+      L.DomEvent.on(createButton("Cancel", actions), "click", onCancel);
+
+      L.DomEvent.disableClickPropagation(form);
+      L.DomEvent.on(form, "submit", function (e) {
+        L.DomEvent.preventDefault(e);
+        var trimmed = name.value.trim();
+        if (!trimmed) {
+          name.focus();
+          return;
+        }
+        onSave({
+          name: trimmed,
+          category: category.value,
+          description: description.value.trim(),
+        });
+      });
+
+      setTimeout(function () {
+        name.focus();
+      }, 0);
+      return form;
+    },
+  });
+
+  L.poiLayer = function (options) {
+    return new L.PoiLayer(options);
+  };
+})();
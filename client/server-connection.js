@@ -0,0 +1,389 @@
+// Heatmap server connection
+//
+// The WebSocket to the heatmap server. It opens with the hello/welcome
+// handshake, validates everything sent and received against
+// shared/heatmap-protocol.js (invalid server messages are logged and
+// dropped), and pairs request messages with the replies that echo their
+// requestId. Where shared/heatmap-codec.js is loaded it asks for point
+// messages in binary, which the server may grant in its welcome.
+//
+// Lost connections are retried with exponential backoff (1s doubling up to
+// 30s, with jitter). Once connected it pings the server every 15s and drops
+// the connection if nothing arrives for 45s, which catches half-open
+// sockets.
+//
+// Fires:
+//   "statechange" { state }    "connecting", "live", "reconnecting" or
+//                              "disconnected"
+//   "welcome"     { message }  the server accepted our protocol version
+//   "message"     { message }  any other server message that isn't a reply
+//   "close"       { code }     the connection was lost; replies still
+//                              outstanding have had null
+//
+// Usage:
+//   var connection = L.heatmapConnection({
+//     url: "ws://localhost:8080/heatmap-updates",
+//     token: "...",             // optional, sent as ?token=
+//     reconnect: true,          // optional, false to stay disconnected
+//   });
+//   connection.on("message", function (event) { ... event.message ... });
+//   connection.connect();
+//   connection.send({ type: "subscribe", regions: ["gujarat"] });  // false if not sent
+//   connection.request({ type: "history_range" }, function (reply) { ... });
+//   connection.close();         // for good
+(function () {
+  // Reconnection backoff: the delay doubles with every failed attempt up to
+  // the cap, with random jitter so many clients don't reconnect in lockstep
+  // after a server restart
+  var RECONNECT_BASE_DELAY_MS = 1000;
+  var RECONNECT_MAX_DELAY_MS = 30000;
+
+  // Heartbeat: ping the server this often, and treat the connection as dead
+  // if nothing at all arrives for longer than the timeout (deltas normally
+  // arrive every few seconds)
+  var HEARTBEAT_INTERVAL_MS = 15000;
+  var DEAD_CONNECTION_TIMEOUT_MS = 45000;
+
+  L.HeatmapConnection = L.Evented.extend({
+    options: {
+      url: "ws://localhost:8080/heatmap-updates",
+      token: null,
+      reconnect: true,
+      // Sent in the hello message, for the server's logs
+      client: "heatmap-app",
+    },
+
+    initialize: function (options) {
+      L.setOptions(this, options);
+      this._socket = null;
+      this._state = "disconnected";
+      // Set once the server has accepted our protocol version
+      this._handshakeComplete = false;
+      this._lastMessageAt = null;
+
+      this._reconnectAttempts = 0;
+      this._reconnectAt = null;
+      this._reconnectTimer = null;
+      this._heartbeatTimer = null;
+      this._watchdogTimer = null;
+
+      // Request/response messages (e.g. history queries) carry a requestId
+      // the server echoes back in its reply
+      this._pendingRequests = {};
+      this._nextRequestId = 1;
+    },
+
+    connect: function () {
+      if (!this._watchdogTimer) {
+        this._watchdogTimer = setInterval(L.bind(this._checkAlive, this), 1000);
+      }
+      this._open();
+      return this;
+    },
+
+    // Disconnect without reconnecting
+    close: function () {
+      clearTimeout(this._reconnectTimer);
+      this._reconnectTimer = null;
+      clearInterval(this._watchdogTimer);
+      this._watchdogTimer = null;
+      var ws = this._socket;
+      if (ws) {
+        ws.onopen = ws.onclose = ws.onmessage = ws.onerror = null;
+        ws.close();
+        this._connectionLost(ws, null, false);
+      }
+      this._setState("disconnected");
+      return this;
+    },
+
+    // "connecting", "live", "reconnecting" or "disconnected"
+    getState: function () {
+      return this._state;
+    },
+
+    // While reconnecting: { at, attempt }, when the next attempt is due
+    getReconnect: function () {
+      return { at: this._reconnectAt, attempt: this._reconnectAttempts };
+    },
+
+    isConnected: function () {
+      return this._handshakeComplete;
+    },
+
+    // Validate and send a message on the current connection. Returns false
+    // if it could not be sent.
+    send: function (message) {
+      var ws = this._socket;
+      if (
+        !ws ||
+        ws.readyState !== WebSocket.OPEN ||
+        (!this._handshakeComplete && message.type !== "hello")
+      ) {
+        return false;
+      }
+      var errors = HeatmapProtocol.validateMessage(message, "client");
+      if (errors.length > 0) {
+        console.error(
+          "Not sending invalid " + message.type + " message:",
+          errors
+        );
+        return false;
+      }
+      ws.send(JSON.stringify(message));
+      return true;
+    },
+
+    // Send a message and call back with the server's reply, or with null if
+    // the request failed or the connection went first
+    request: function (message, callback) {
+      message.requestId = this._nextRequestId++;
+      if (!this.send(message)) {
+        callback(null);
+        return;
+      }
+      this._pendingRequests[message.requestId] = callback;
+    },
+
+    _setState: function (state) {
+      this._state = state;
+      this.fire("statechange", { state: state });
+    },
+
+    _open: function () {
+      var self = this;
+      var url = this.options.url;
+      if (this.options.token) {
+        url +=
+          (url.indexOf("?") === -1 ? "?" : "&") +
+          "token=" +
+          encodeURIComponent(this.options.token);
+      }
+
+      var ws;
+      try {
+        console.log(
+          "Connecting to WebSocket:",
+          url.replace(/token=[^&]*/, "token=***")
+        );
+        ws = new WebSocket(url);
+        ws.binaryType = "arraybuffer";
+      } catch (error) {
+        console.error("Failed to create WebSocket connection:", error);
+        this.fire("close", { code: null });
+        this._scheduleReconnect();
+        return;
+      }
+      this._socket = ws;
+      this._handshakeComplete = false;
+      this._setState("connecting");
+
+      ws.onopen = function () {
+        console.log("WebSocket connection opened successfully");
+        // Say which protocol version we speak; the server sends nothing else
+        // until it has accepted it
+        var hello = {
+          type: "hello",
+          protocolVersion: HeatmapProtocol.PROTOCOL_VERSION,
+          client: self.options.client,
+        };
+        if (window.HeatmapCodec && HeatmapCodec.isSupported()) {
+          hello.encodings = ["binary", "json"];
+        }
+        self.send(hello);
+      };
+
+      ws.onmessage = function (event) {
+        self._onMessage(event);
+      };
+
+      ws.onerror = function (error) {
+        // onclose always follows, and handles the rest
+        console.error("WebSocket error:", error);
+      };
+
+      ws.onclose = function (event) {
+        console.log("WebSocket connection closed", event.code, event.reason);
+        self._connectionLost(ws, event.code, true);
+      };
+    },
+
+    _onMessage: function (event) {
+      this._lastMessageAt = Date.now();
+      var message;
+      try {
+        message =
+          typeof event.data === "string"
+            ? JSON.parse(event.data)
+            : HeatmapCodec.decode(event.data);
+      } catch (error) {
+        console.error("Error parsing WebSocket message:", error);
+        console.error("Raw message:", event.data);
+        return;
+      }
+
+      // Drop anything that doesn't match the protocol rather than letting a
+      // malformed feed blank the map
+      var errors = HeatmapProtocol.validateMessage(message, "server");
+      if (errors.length > 0) {
+        console.error("Dropping invalid message from server:", errors);
+        if (message && message.requestId) {
+          this._resolveRequest({
+            type: "error",
+            requestId: message.requestId,
+            code: HeatmapProtocol.ERROR_CODES.INVALID_MESSAGE,
+            message: "Invalid reply",
+          });
+        }
+        return;
+      }
+
+      // Replies to request() go to their callbacks
+      if (this._resolveRequest(message)) {
+        return;
+      }
+
+      if (message.type === "welcome") {
+        this._handshakeComplete = true;
+        this._reconnectAttempts = 0;
+        this._setState("live");
+
+        // Keep traffic flowing so both sides notice dead links
+        var self = this;
+        clearInterval(this._heartbeatTimer);
+        this._heartbeatTimer = setInterval(function () {
+          self.send({ type: "ping", t: Date.now() });
+        }, HEARTBEAT_INTERVAL_MS);
+
+        console.log(
+          "Connected with protocol version",
+          message.protocolVersion,
+          "as",
+          message.role,
+          "(" + (message.encoding || "json") + ")"
+        );
+        this.fire("welcome", { message: message });
+      } else if (message.type === "error") {
+        console.error(
+          "Server error (" + message.code + "):",
+          message.message,
+          message.details || ""
+        );
+      } else if (message.type !== "pong") {
+        // Pongs only matter for having arrived
+        this.fire("message", { message: message });
+      }
+    },
+
+    // Settle a pending request from a server reply; returns false if the
+    // message is not a reply
+    _resolveRequest: function (message) {
+      var callback =
+        message.requestId && this._pendingRequests[message.requestId];
+      if (!callback) {
+        return false;
+      }
+      delete this._pendingRequests[message.requestId];
+      if (message.type === "error") {
+        console.warn(
+          "Request failed:",
+          message.code,
+          message.message,
+          message.details || ""
+        );
+        callback(null);
+      } else {
+        callback(message);
+      }
+      return true;
+    },
+
+    // Clean up after a socket closed (or was declared dead) and decide
+    // whether to try again
+    _connectionLost: function (ws, code, retry) {
+      if (ws !== this._socket) {
+        return; // Already handled
+      }
+      this._socket = null;
+      this._handshakeComplete = false;
+      clearInterval(this._heartbeatTimer);
+
+      // Replies will never arrive on a closed connection
+      var callbacks = this._pendingRequests;
+      this._pendingRequests = {};
+      Object.keys(callbacks).forEach(function (requestId) {
+        callbacks[requestId](null);
+      });
+
+      this.fire("close", { code: code });
+      if (!retry) {
+        return;
+      }
+
+      // Reconnecting can't fix a protocol version mismatch
+      if (code === HeatmapProtocol.CLOSE_CODES.UNSUPPORTED_VERSION) {
+        console.error(
+          "Server does not support this client's protocol version; not reconnecting"
+        );
+        this._setState("disconnected");
+        return;
+      }
+      this._scheduleReconnect();
+    },
+
+    _scheduleReconnect: function () {
+      if (!this.options.reconnect) {
+        this._setState("disconnected");
+        return;
+      }
+      this._reconnectAttempts++;
+      var cap = Math.min(
+        RECONNECT_MAX_DELAY_MS,
+        RECONNECT_BASE_DELAY_MS * Math.pow(2, this._reconnectAttempts - 1)
+      );
+      var delay = cap / 2 + (Math.random() * cap) / 2;
+      this._reconnectAt = Date.now() + delay;
+      console.log(
+        "Attempting to reconnect in",
+        Math.round(delay / 100) / 10,
+        "seconds (attempt " + this._reconnectAttempts + ")..."
+      );
+      this._setState("reconnecting");
+
+      var self = this;
+      clearTimeout(this._reconnectTimer);
+      this._reconnectTimer = setTimeout(function () {
+        self._reconnectTimer = null;
+        if (self.options.reconnect) {
+          self._open();
+        } else {
+          self._setState("disconnected");
+        }
+      }, delay);
+    },
+
+    // Drop connections that have gone silent (half-open sockets never fire
+    // onclose by themselves)
+    _checkAlive: function () {
+      var ws = this._socket;
+      if (
+        ws &&
+        this._state === "live" &&
+        Date.now() - this._lastMessageAt > DEAD_CONNECTION_TIMEOUT_MS
+      ) {
+        console.warn(
+          "No message from server for",
+          DEAD_CONNECTION_TIMEOUT_MS / 1000,
+          "seconds; dropping connection"
+        );
+        ws.onclose = ws.onmessage = ws.onerror = null;
+        ws.close();
+        this._connectionLost(ws, null, true);
+      }
+    },
+  });
+
+  L.heatmapConnection = function (options) {
+    return new L.HeatmapConnection(options);
+  };
+})();
@@ -0,0 +1,435 @@
+// Heatmap styling panel
+//
+// Lets the user tune the heat layer's radius, blur, max intensity and
+// minimum opacity, pick a gradient preset and turn smooth transitions
+// between frames on or off (see client/live-layer.js), previewing every
+// change on the map. The chosen style is saved in localStorage and mirrored
+// into the page URL (?heatmapStyle=radius:60,blur:35,...) so a link
+// reproduces it; the URL wins over the saved style when both are present.
+// Give each control an id when there are several heat layers, so their
+// styles are saved (and linked, as ?heatmapStyle.<id>=...) separately.
+// Defaults set the style a layer starts with (and Reset goes back to) before
+// the user changes it.
+//
+// Usage:
+//   var style = L.control.heatmapStyle({
+//     layer: heatmapLayer,
+//     id: "footfall",                          // optional
+//     title: "Footfall style",                 // optional, the button label
+//     defaults: { radius: 40 },                // optional starting style
+//     onChange: function (settings) { ... },  // optional, after each change
+//   }).addTo(map);
+//   style.getSettings();  // { radius, blur, max, minOpacity, gradient,
+//                         //   smooth }
+//   style.setSettings({ gradient: "viridis" });
+//   style.reset();
+(function () {
+  // Used for both the localStorage key and the URL parameter, followed by
+  // ".<id>" for controls that have an id
+  var STYLE_KEY = "heatmapStyle";
+
+  // Gradient presets; viridis, cividis and inferno stay distinguishable
+  // with the common forms of colour blindness
+  var GRADIENTS = {
+    classic: {
+      label: "Classic",
+      stops: {
+        0.0: "#0000ff",
+        0.1: "#00ffff",
+        0.3: "#00ff00",
+        0.5: "#ffff00",
+        0.7: "#ff8800",
+        0.9: "#ff4400",
+        1.0: "#ff0000",
+      },
+    },
+    viridis: {
+      label: "Viridis (colour-blind safe)",
+      stops: {
+        0.0: "#440154",
+        0.25: "#3b528b",
+        0.5: "#21918c",
+        0.75: "#5ec962",
+        1.0: "#fde725",
+      },
+    },
+    cividis: {
+      label: "Cividis (colour-blind safe)",
+      stops: {
+        0.0: "#00224e",
+        0.25: "#35456c",
+        0.5: "#666970",
+        0.75: "#948e77",
+        1.0: "#fee838",
+      },
+    },
+    inferno: {
+      label: "Inferno (colour-blind safe)",
+      stops: {
+        0.0: "#000004",
+        0.25: "#57106e",
+        0.5: "#bc3754",
+        0.75: "#f98e09",
+        1.0: "#fcffa4",
+      },
+    },
+    greyscale: {
+      label: "Greyscale",
+      stops: {
+        0.0: "#f1f3f5",
+        0.5: "#868e96",
+        1.0: "#212529",
+      },
+    },
+  };
+
+  var DEFAULTS = {
+    radius: 60,
+    blur: 35,
+    max: 1.0,
+    minOpacity: 0.05,
+    gradient: "classic",
+    smooth: true,
+  };
+
+  // Slider ranges; values from storage or the URL are clamped to these
+  var SLIDERS = [
+    { key: "radius", label: "Radius", min: 5, max: 100, step: 1 },
+    { key: "blur", label: "Blur", min: 0, max: 60, step: 1 },
+    { key: "max", label: "Max intensity", min: 0.1, max: 3, step: 0.05 },
+    { key: "minOpacity", label: "Min opacity", min: 0, max: 1, step: 0.05 },
+  ];
+
+  // Fill in defaults (DEFAULTS unless given) and drop anything out of range
+  // or unknown
+  function sanitize(settings, defaults) {
+    var result = L.extend({}, defaults || DEFAULTS);
+    if (!settings) {
+      return result;
+    }
+    SLIDERS.forEach(function (slider) {
+      var value = Number(settings[slider.key]);
+      if (settings[slider.key] !== undefined && isFinite(value)) {
+        result[slider.key] = Math.max(slider.min, Math.min(slider.max, value));
+      }
+    });
+    if (GRADIENTS.hasOwnProperty(settings.gradient)) {
+      result.gradient = settings.gradient;
+    }
+    // Booleans come back from the URL as strings
+    if (settings.smooth !== undefined) {
+      result.smooth = settings.smooth === true || settings.smooth === "true";
+    }
+    return result;
+  }
+
+  // "radius:60,blur:35,gradient:viridis" <-> { radius: "60", ... }
+  function encodeSettings(settings) {
+    return Object.keys(DEFAULTS)
+      .map(function (key) {
+        return key + ":" + settings[key];
+      })
+      .join(",");
+  }
+
+  function decodeSettings(text) {
+    var settings = {};
+    text.split(",").forEach(function (pair) {
+      var index = pair.indexOf(":");
+      if (index > 0) {
+        settings[pair.slice(0, index)] = pair.slice(index + 1);
+      }
+    });
+    return settings;
+  }
+
+  function readUrlSettings(key) {
+    var match = new RegExp(
+      "[?&]" + key.replace(/\./g, "\\.") + "=([^&#]*)"
+    ).exec(window.location.search);
+    return match ? decodeSettings(decodeURIComponent(match[1])) : null;
+  }
+
+  // The current URL with a style parameter set (or removed when null)
+  function buildUrl(key, encoded) {
+    var params = window.location.search
+      .replace(/^\?/, "")
+      .split("&")
+      .filter(function (param) {
+        return param && param.indexOf(key + "=") !== 0;
+      });
+    if (encoded) {
+      // Numbers and preset names only, so no escaping is needed
+      params.push(key + "=" + encoded);
+    }
+    return (
+      window.location.pathname +
+      (params.length ? "?" + params.join("&") : "") +
+      window.location.hash
+    );
+  }
+
+  // localStorage throws in some privacy modes; styling still works without it
+  function readStoredSettings(key) {
+    try {
+      var stored = window.localStorage.getItem(key);
+      return stored ? JSON.parse(stored) : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  function storeSettings(key, settings) {
+    try {
+      window.localStorage.setItem(key, JSON.stringify(settings));
+    } catch (error) {
+      console.warn("Could not save heatmap style:", error);
+    }
+  }
+
+  function gradientCss(stops) {
+    return (
+      "linear-gradient(to right, " +
+      Object.keys(stops)
+        .sort(function (a, b) {
+          return a - b;
+        })
+        .map(function (stop) {
+          return stops[stop] + " " + stop * 100 + "%";
+        })
+        .join(", ") +
+      ")"
+    );
+  }
+
+  L.Control.HeatmapStyle = L.Control.extend({
+    options: {
+      position: "topright",
+      layer: null,
+      id: null,
+      title: "Heatmap style",
+      defaults: null,
+      onChange: function () {},
+    },
+
+    initialize: function (options) {
+      L.setOptions(this, options);
+      this._key = this.options.id
+        ? STYLE_KEY + "." + this.options.id
+        : STYLE_KEY;
+      this._defaults = sanitize(this.options.defaults);
+      this._settings = sanitize(
+        readUrlSettings(this._key) || readStoredSettings(this._key),
+        this._defaults
+      );
+    },
+
+    onAdd: function () {
+      var container = L.DomUtil.create("div", "heatmap-style leaflet-bar");
+
+      this._toggle = L.DomUtil.create(
+        "button",
+        "heatmap-style-toggle",
+        container
+      );
+      this._toggle.type = "button";
+      this._toggle.textContent = this.options.title;
+      this._toggle.title = "Adjust heatmap appearance";
+
+      this._panel = L.DomUtil.create("div", "heatmap-style-panel", container);
+
+      this._inputs = {};
+      this._outputs = {};
+      SLIDERS.forEach(function (slider) {
+        var row = L.DomUtil.create("label", "heatmap-style-row", this._panel);
+        L.DomUtil.create("span", "heatmap-style-label", row).textContent =
+          slider.label;
+
+        var input = L.DomUtil.create("input", "heatmap-style-input", row);
+        input.type = "range";
+        input.min = slider.min;
+        input.max = slider.max;
+        input.step = slider.step;
+        L.DomEvent.on(input, "input", this._onInput, this);
+
+        this._inputs[slider.key] = input;
+        this._outputs[slider.key] = L.DomUtil.create(
+          "span",
+          "heatmap-style-value",
+          row
+        );
+      }, this);
+
+      var gradientRow = L.DomUtil.create(
+        "label",
+        "heatmap-style-row",
+        this._panel
+      );
+      L.DomUtil.create("span", "heatmap-style-label", gradientRow).textContent =
+        "Gradient";
+      this._gradientSelect = L.DomUtil.create(
+        "select",
+        "heatmap-style-gradient",
+        gradientRow
+      );
+      Object.keys(GRADIENTS).forEach(function (name) {
+        var option = document.createElement("option");
+        option.value = name;
+        option.textContent = GRADIENTS[name].label;
+        this._gradientSelect.appendChild(option);
+      }, this);
+      L.DomEvent.on(this._gradientSelect, "change", this._onInput, this);
+
+      var smoothRow = L.DomUtil.create(
+        "label",
+        "heatmap-style-row",
+        this._panel
+      );
+      L.DomUtil.create("span", "heatmap-style-label", smoothRow).textContent =
+        "Smooth transitions";
+      this._smoothInput = L.DomUtil.create(
+        "input",
+        "heatmap-style-smooth",
+        smoothRow
+      );
+      this._smoothInput.type = "checkbox";
+      L.DomEvent.on(this._smoothInput, "change", this._onInput, this);
+
+      this._preview = L.DomUtil.create(
+        "div",
+        "heatmap-style-preview",
+        this._panel
+      );
+
+      var actions = L.DomUtil.create(
+        "div",
+        "heatmap-style-actions",
+        this._panel
+      );
+      var resetButton = L.DomUtil.create("button", "", actions);
+      resetButton.type = "button";
+      resetButton.textContent = "Reset";
+      var linkButton = L.DomUtil.create("button", "", actions);
+      linkButton.type = "button";
+      linkButton.textContent = "Copy link";
+
+      L.DomEvent.disableClickPropagation(container);
+      L.DomEvent.disableScrollPropagation(container);
+      L.DomEvent.on(this._toggle, "click", this._onToggle, this);
+      L.DomEvent.on(resetButton, "click", this.reset, this);
+      L.DomEvent.on(linkButton, "click", this._copyLink, this);
+
+      this._render();
+      this._apply();
+
+      return container;
+    },
+
+    getSettings: function () {
+      return L.extend({}, this._settings);
+    },
+
+    setSettings: function (settings) {
+      this._settings = sanitize(
+        L.extend({}, this._settings, settings),
+        this._defaults
+      );
+      if (this._panel) {
+        this._render();
+      }
+      this._apply();
+      this._save();
+      return this;
+    },
+
+    reset: function () {
+      return this.setSettings(this._defaults);
+    },
+
+    // Options for L.heatLayer matching the current settings
+    getLayerOptions: function () {
+      return {
+        radius: this._settings.radius,
+        blur: this._settings.blur,
+        max: this._settings.max,
+        minOpacity: this._settings.minOpacity,
+        gradient: GRADIENTS[this._settings.gradient].stops,
+      };
+    },
+
+    _onToggle: function () {
+      var container = this.getContainer();
+      if (L.DomUtil.hasClass(container, "heatmap-style-expanded")) {
+        L.DomUtil.removeClass(container, "heatmap-style-expanded");
+      } else {
+        L.DomUtil.addClass(container, "heatmap-style-expanded");
+      }
+    },
+
+    _onInput: function () {
+      var settings = {
+        gradient: this._gradientSelect.value,
+        smooth: this._smoothInput.checked,
+      };
+      SLIDERS.forEach(function (slider) {
+        settings[slider.key] = Number(this._inputs[slider.key].value);
+      }, this);
+      this.setSettings(settings);
+    },
+
+    _apply: function () {
+      if (this.options.layer) {
+        this.options.layer.setOptions(this.getLayerOptions());
+      }
+      this.options.onChange(this.getSettings());
+    },
+
+    // Persist locally and keep the address bar shareable
+    _save: function () {
+      storeSettings(this._key, this._settings);
+      if (window.history && window.history.replaceState) {
+        var isDefault = Object.keys(DEFAULTS).every(function (key) {
+          return this._settings[key] === this._defaults[key];
+        }, this);
+        window.history.replaceState(
+          window.history.state,
+          "",
+          buildUrl(this._key, isDefault ? null : encodeSettings(this._settings))
+        );
+      }
+    },
+
+    _copyLink: function () {
+      var url =
+        window.location.origin +
+        buildUrl(this._key, encodeSettings(this._settings));
+      if (navigator.clipboard && navigator.clipboard.writeText) {
+        navigator.clipboard.writeText(url).catch(function () {
+          window.prompt("Copy this link:", url);
+        });
+      } else {
+        window.prompt("Copy this link:", url);
+      }
+    },
+
+    _render: function () {
+      SLIDERS.forEach(function (slider) {
+        var value = this._settings[slider.key];
+        this._inputs[slider.key].value = value;
+        this._outputs[slider.key].textContent = value;
+      }, this);
+      this._gradientSelect.value = this._settings.gradient;
+      this._smoothInput.checked = this._settings.smooth;
+      this._preview.style.background = gradientCss(
+        GRADIENTS[this._settings.gradient].stops
+      );
+    },
+  });
+
+  L.Control.HeatmapStyle.GRADIENTS = GRADIENTS;
+  L.Control.HeatmapStyle.DEFAULTS = DEFAULTS;
+
+  L.control.heatmapStyle = function (options) {
+    return new L.Control.HeatmapStyle(options);
+  };
+})();
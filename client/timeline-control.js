@@ -0,0 +1,292 @@
+// Timeline control for historical heatmap playback
+//
+// Adds a bar to the map that can pause the live feed, scrub back through
+// recorded frames, play them back at 1x/10x/60x and jump back to live.
+// The control knows nothing about the transport; the page supplies:
+//   fetchRange(callback)        callback({ from, to, frameCount }) with ISO times
+//   fetchFrame(time, callback)  callback(frame) with the frame current at
+//                               `time` (ms since epoch), or null
+//   onFrame(frame)              render a frame fetchFrame returned
+//   onLive()                    resume rendering live data
+//
+// Usage:
+//   L.control.heatmapTimeline({ fetchRange: ..., fetchFrame: ..., ... }).addTo(map);
+(function () {
+  var PLAYBACK_TICK_MS = 250;
+  var RANGE_REFRESH_MS = 10000;
+
+  function formatTime(time) {
+    var date = new Date(time);
+    var today = new Date();
+    if (date.toDateString() === today.toDateString()) {
+      return date.toLocaleTimeString();
+    }
+    return date.toLocaleDateString() + " " + date.toLocaleTimeString();
+  }
+
+  L.Control.HeatmapTimeline = L.Control.extend({
+    options: {
+      position: "bottomleft",
+      speeds: [1, 10, 60],
+    },
+
+    onAdd: function () {
+      var container = L.DomUtil.create("div", "heatmap-timeline leaflet-bar");
+
+      this._playButton = L.DomUtil.create(
+        "button",
+        "heatmap-timeline-play",
+        container
+      );
+      this._playButton.type = "button";
+
+      this._slider = L.DomUtil.create(
+        "input",
+        "heatmap-timeline-slider",
+        container
+      );
+      this._slider.type = "range";
+      this._slider.step = 1000;
+      this._slider.disabled = true;
+
+      this._timeLabel = L.DomUtil.create(
+        "span",
+        "heatmap-timeline-time",
+        container
+      );
+
+      this._speedSelect = L.DomUtil.create(
+        "select",
+        "heatmap-timeline-speed",
+        container
+      );
+      this.options.speeds.forEach(function (speed) {
+        var option = document.createElement("option");
+        option.value = speed;
+        option.textContent = speed + "x";
+        this._speedSelect.appendChild(option);
+      }, this);
+
+      this._liveButton = L.DomUtil.create(
+        "button",
+        "heatmap-timeline-live",
+        container
+      );
+      this._liveButton.type = "button";
+      this._liveButton.textContent = "● Live";
+
+      // Keep drags on the slider from panning the map
+      L.DomEvent.disableClickPropagation(container);
+      L.DomEvent.disableScrollPropagation(container);
+
+      L.DomEvent.on(this._playButton, "click", this._onPlayClick, this);
+      L.DomEvent.on(this._slider, "input", this._onSliderInput, this);
+      L.DomEvent.on(this._liveButton, "click", this.goLive, this);
+
+      this._state = "live";
+      this._range = null;
+      this._currentTime = null;
+      this._frameRequest = null;
+      this._queuedTime = null;
+      this._render();
+
+      return container;
+    },
+
+    onRemove: function () {
+      this._stopTimers();
+    },
+
+    isLive: function () {
+      return this._state === "live";
+    },
+
+    // Leave live mode, showing the most recent recorded frame
+    pause: function () {
+      if (this._state === "playing") {
+        this._stopPlayback();
+        this._state = "paused";
+        this._render();
+        return;
+      }
+      if (this._state !== "live") {
+        return;
+      }
+
+      this._state = "paused";
+      this._render();
+      this._rangeTimer = setInterval(
+        L.bind(this._refreshRange, this),
+        RANGE_REFRESH_MS
+      );
+      this._refreshRange(
+        L.bind(function () {
+          if (this._range) {
+            this._seek(this._range.to);
+          }
+        }, this)
+      );
+    },
+
+    play: function () {
+      if (this._state === "live") {
+        return;
+      }
+      this._state = "playing";
+      this._lastTick = Date.now();
+      this._playTimer = setInterval(
+        L.bind(this._advance, this),
+        PLAYBACK_TICK_MS
+      );
+      this._render();
+    },
+
+    goLive: function () {
+      if (this._state === "live") {
+        return;
+      }
+      this._stopTimers();
+      this._state = "live";
+      this._currentTime = null;
+      this._queuedTime = null;
+      this._render();
+      this.options.onLive();
+    },
+
+    _onPlayClick: function () {
+      if (this._state === "playing" || this._state === "live") {
+        this.pause();
+      } else {
+        this.play();
+      }
+    },
+
+    _onSliderInput: function () {
+      if (this._state === "live") {
+        return;
+      }
+      this._seek(Number(this._slider.value));
+    },
+
+    _advance: function () {
+      var now = Date.now();
+      var elapsed = now - this._lastTick;
+      this._lastTick = now;
+
+      var time =
+        this._currentTime + elapsed * Number(this._speedSelect.value || 1);
+
+      if (this._range && time >= this._range.to) {
+        // Caught up with the recording: carry on live
+        this.goLive();
+        return;
+      }
+      this._seek(time);
+    },
+
+    _seek: function (time) {
+      if (this._range) {
+        time = Math.max(this._range.from, Math.min(this._range.to, time));
+      }
+      this._currentTime = time;
+      this._render();
+      this._loadFrame(time);
+    },
+
+    // Only one frame request is in flight; while it is, later seeks just
+    // replace the queued time
+    _loadFrame: function (time) {
+      if (this._frameRequest !== null) {
+        this._queuedTime = time;
+        return;
+      }
+
+      this._frameRequest = time;
+      this.options.fetchFrame(
+        time,
+        L.bind(function (frame) {
+          this._frameRequest = null;
+          if (this._state === "live") {
+            return;
+          }
+          if (frame) {
+            this.options.onFrame(frame);
+          }
+          if (this._queuedTime !== null) {
+            var queued = this._queuedTime;
+            this._queuedTime = null;
+            this._loadFrame(queued);
+          }
+        }, this)
+      );
+    },
+
+    _refreshRange: function (callback) {
+      this.options.fetchRange(
+        L.bind(function (range) {
+          if (range && range.from && range.to) {
+            this._range = {
+              from: Date.parse(range.from),
+              to: Date.parse(range.to),
+            };
+            this._slider.min = this._range.from;
+            this._slider.max = this._range.to;
+          } else {
+            this._range = null;
+          }
+          this._render();
+          if (callback) {
+            callback();
+          }
+        }, this)
+      );
+    },
+
+    _stopPlayback: function () {
+      clearInterval(this._playTimer);
+      this._playTimer = null;
+    },
+
+    _stopTimers: function () {
+      this._stopPlayback();
+      clearInterval(this._rangeTimer);
+      this._rangeTimer = null;
+    },
+
+    _render: function () {
+      var live = this._state === "live";
+
+      this._playButton.textContent = this._state === "paused" ? "▶" : "⏸";
+      this._playButton.title = live
+        ? "Pause live feed"
+        : this._state === "playing"
+        ? "Pause playback"
+        : "Play back from here";
+
+      this._slider.disabled = live || !this._range;
+      if (live && this._range) {
+        this._slider.value = this._slider.max;
+      } else if (this._currentTime !== null) {
+        this._slider.value = this._currentTime;
+      }
+
+      if (live) {
+        this._timeLabel.textContent = "Live";
+      } else if (!this._range) {
+        this._timeLabel.textContent = "No history recorded";
+      } else if (this._currentTime !== null) {
+        this._timeLabel.textContent = formatTime(this._currentTime);
+      }
+
+      L.DomUtil[live ? "addClass" : "removeClass"](
+        this._liveButton,
+        "heatmap-timeline-live-active"
+      );
+      this._liveButton.disabled = live;
+    },
+  });
+
+  L.control.heatmapTimeline = function (options) {
+    return new L.Control.HeatmapTimeline(options);
+  };
+})();
@@ -0,0 +1,495 @@
+// Zones panel and drawing tool
+//
+// Lists the server's named zones with their live statistics (point count,
+// sum, mean and peak of the values inside), outlines them on the map with
+// the same numbers in their popups, and lets operators draw new polygon or
+// circle zones:
+//   polygon  click to add corners; double-click or click the first corner
+//            to finish
+//   circle   click the centre, then click again to set the radius
+// Escape cancels a drawing. The page supplies:
+//   onCreate({ name, area })   ask the server to create a zone
+//   onUpdate(id, changes)      ask the server to rename a zone
+//   onDelete(id)               ask the server to delete a zone
+//   onDrawStart(), onDrawEnd() optional; e.g. to pause other click handlers
+//   onSelect(zone, stats)      optional; the user picked a zone from the
+//                              list or clicked it on the map (stats is null
+//                              until the first zone_stats)
+//
+// Usage:
+//   var zones = L.control.heatmapZones({ onCreate: ..., ... }).addTo(map);
+//   zones.setZones(list);            // on { type: "zones" }
+//   zones.updateZone(action, zone);  // on { type: "zone" }
+//   zones.setStats(stats);           // on { type: "zone_stats" }
+//   zones.setReadOnly(true);         // viewers can't draw or edit
+(function () {
+  // Clicks this close (in pixels) to the first corner close the polygon
+  var CLOSE_POLYGON_PIXELS = 10;
+
+  var HINTS = {
+    polygon:
+      "Click to add corners; double-click or click the first corner to finish. Esc cancels.",
+    circle:
+      "Click the centre, then click again to set the radius. Esc cancels.",
+  };
+
+  function formatNumber(value) {
+    if (value >= 100) {
+      return String(Math.round(value));
+    }
+    return String(Number(value.toPrecision(3)));
+  }
+
+  function roundCoordinate(value) {
+    return Math.round(value * 1e6) / 1e6;
+  }
+
+  function createZoneLayer(area) {
+    var options = {
+      className: "heatmap-zone",
+      weight: 2,
+      fillOpacity: 0.1,
+      // Clicks open the zone's popup, not whatever the map does on click
+      bubblingMouseEvents: false,
+    };
+    if (area.type === "circle") {
+      return L.circle(
+        area.center,
+        L.extend({ radius: area.radiusMeters }, options)
+      );
+    }
+    if (area.type === "polygon") {
+      return L.polygon(area.coordinates, options);
+    }
+    if (area.type === "bbox") {
+      return L.rectangle(
+        [
+          [area.bbox[0], area.bbox[1]],
+          [area.bbox[2], area.bbox[3]],
+        ],
+        options
+      );
+    }
+    return null;
+  }
+
+  function createButton(label, className, parent) {
+    var button = L.DomUtil.create("button", className, parent);
+    button.type = "button";
+    button.textContent = label;
+    return button;
+  }
+
+  L.Control.HeatmapZones = L.Control.extend({
+    options: {
+      position: "topleft",
+      onCreate: function () {},
+      onUpdate: function () {},
+      onDelete: function () {},
+      onDrawStart: function () {},
+      onDrawEnd: function () {},
+      onSelect: function () {},
+    },
+
+    initialize: function (options) {
+      L.setOptions(this, options);
+      this._zones = {};
+      this._stats = {};
+      this._layers = {};
+      this._readOnly = false;
+      this._drawing = null;
+    },
+
+    onAdd: function (map) {
+      var container = L.DomUtil.create("div", "heatmap-zones leaflet-bar");
+      this._title = L.DomUtil.create("div", "heatmap-zones-title", container);
+      this._title.textContent = "Zones";
+
+      this._tools = L.DomUtil.create("div", "heatmap-zones-tools", container);
+      this._polygonButton = createButton("Draw polygon", "", this._tools);
+      this._circleButton = createButton("Draw circle", "", this._tools);
+      this._cancelButton = createButton("Cancel", "", this._tools);
+      this._hint = L.DomUtil.create("div", "heatmap-zones-hint", container);
+
+      this._list = L.DomUtil.create("ul", "heatmap-zones-list", container);
+
+      L.DomEvent.disableClickPropagation(container);
+      L.DomEvent.disableScrollPropagation(container);
+      L.DomEvent.on(
+        this._polygonButton,
+        "click",
+        function () {
+          this.startDrawing("polygon");
+        },
+        this
+      );
+      L.DomEvent.on(
+        this._circleButton,
+        "click",
+        function () {
+          this.startDrawing("circle");
+        },
+        this
+      );
+      L.DomEvent.on(this._cancelButton, "click", this.cancelDrawing, this);
+
+      this._zoneLayer = L.layerGroup().addTo(map);
+      this._render();
+      return container;
+    },
+
+    onRemove: function (map) {
+      this.cancelDrawing();
+      map.removeLayer(this._zoneLayer);
+    },
+
+    setZones: function (zones) {
+      this._zones = {};
+      zones.forEach(function (zone) {
+        this._zones[zone.id] = zone;
+      }, this);
+      this._render();
+      return this;
+    },
+
+    // action is "created", "updated" or "deleted"
+    updateZone: function (action, zone) {
+      if (action === "deleted") {
+        delete this._zones[zone.id];
+        delete this._stats[zone.id];
+      } else {
+        this._zones[zone.id] = zone;
+      }
+      this._render();
+      return this;
+    },
+
+    setStats: function (stats) {
+      this._stats = {};
+      stats.forEach(function (entry) {
+        this._stats[entry.zoneId] = entry;
+      }, this);
+      this._renderStats();
+      return this;
+    },
+
+    setReadOnly: function (readOnly) {
+      this._readOnly = readOnly;
+      if (readOnly) {
+        this.cancelDrawing();
+      }
+      this._render();
+      return this;
+    },
+
+    // type is "polygon" or "circle"
+    startDrawing: function (type) {
+      if (!this._map || this._readOnly) {
+        return this;
+      }
+      this.cancelDrawing();
+
+      var map = this._map;
+      this._drawing = {
+        type: type,
+        points: [],
+        draft: L.layerGroup().addTo(map),
+        doubleClickZoom: map.doubleClickZoom.enabled(),
+      };
+      map.doubleClickZoom.disable();
+      L.DomUtil.addClass(map.getContainer(), "heatmap-zones-drawing");
+      map.on("click", this._onDrawClick, this);
+      map.on("dblclick", this._onDrawDoubleClick, this);
+      map.on("mousemove", this._onDrawMove, this);
+      L.DomEvent.on(document, "keydown", this._onDrawKey, this);
+
+      this.options.onDrawStart();
+      this._render();
+      return this;
+    },
+
+    cancelDrawing: function () {
+      var drawing = this._drawing;
+      if (!drawing) {
+        return this;
+      }
+      var map = this._map;
+      this._drawing = null;
+
+      map.removeLayer(drawing.draft);
+      if (drawing.doubleClickZoom) {
+        map.doubleClickZoom.enable();
+      }
+      L.DomUtil.removeClass(map.getContainer(), "heatmap-zones-drawing");
+      map.off("click", this._onDrawClick, this);
+      map.off("dblclick", this._onDrawDoubleClick, this);
+      map.off("mousemove", this._onDrawMove, this);
+      L.DomEvent.off(document, "keydown", this._onDrawKey, this);
+
+      this.options.onDrawEnd();
+      this._render();
+      return this;
+    },
+
+    _onDrawClick: function (e) {
+      var drawing = this._drawing;
+      var map = this._map;
+
+      if (drawing.type === "circle") {
+        if (drawing.points.length === 0) {
+          drawing.points.push(e.latlng);
+          this._onDrawMove(e);
+        } else {
+          var center = drawing.points[0];
+          this._finishDrawing({
+            type: "circle",
+            center: [roundCoordinate(center.lat), roundCoordinate(center.lng)],
+            radiusMeters: Math.max(1, Math.round(center.distanceTo(e.latlng))),
+          });
+        }
+        return;
+      }
+
+      var points = drawing.points;
+      var clicked = map.latLngToContainerPoint(e.latlng);
+      if (points.length > 0) {
+        // The clicks of a double-click land on the last corner again
+        var last = map.latLngToContainerPoint(points[points.length - 1]);
+        if (clicked.distanceTo(last) < 3) {
+          return;
+        }
+      }
+      if (points.length >= 3) {
+        var first = map.latLngToContainerPoint(points[0]);
+        if (clicked.distanceTo(first) < CLOSE_POLYGON_PIXELS) {
+          this._finishPolygon();
+          return;
+        }
+      }
+      points.push(e.latlng);
+      this._onDrawMove(e);
+    },
+
+    _onDrawDoubleClick: function () {
+      if (this._drawing.type === "polygon") {
+        this._finishPolygon();
+      }
+    },
+
+    // Redraw the shape so far, following the cursor
+    _onDrawMove: function (e) {
+      var drawing = this._drawing;
+      var draftOptions = {
+        className: "heatmap-zone-draft",
+        weight: 2,
+        interactive: false,
+      };
+      drawing.draft.clearLayers();
+      if (drawing.points.length === 0) {
+        return;
+      }
+      if (drawing.type === "circle") {
+        drawing.draft.addLayer(
+          L.circle(
+            drawing.points[0],
+            L.extend(
+              { radius: drawing.points[0].distanceTo(e.latlng) },
+              draftOptions
+            )
+          )
+        );
+        return;
+      }
+      drawing.draft.addLayer(
+        L.polyline(drawing.points.concat([e.latlng]), draftOptions)
+      );
+    },
+
+    _onDrawKey: function (e) {
+      if (e.key === "Escape") {
+        this.cancelDrawing();
+      }
+    },
+
+    _finishPolygon: function () {
+      if (this._drawing.points.length < 3) {
+        return;
+      }
+      this._finishDrawing({
+        type: "polygon",
+        coordinates: this._drawing.points.map(function (latlng) {
+          return [roundCoordinate(latlng.lat), roundCoordinate(latlng.lng)];
+        }),
+      });
+    },
+
+    _finishDrawing: function (area) {
+      this.cancelDrawing();
+      var name = window.prompt("Name this zone:");
+      if (name && name.trim()) {
+        this.options.onCreate({ name: name.trim(), area: area });
+      }
+    },
+
+    _createPopup: function (zone) {
+      var content = L.DomUtil.create("div", "heatmap-zone-popup");
+      L.DomUtil.create("b", "", content).textContent = zone.name;
+      var stats = L.DomUtil.create("div", "heatmap-zone-stats", content);
+      stats.textContent = this._describeStats(zone.id);
+
+      if (!this._readOnly) {
+        var actions = L.DomUtil.create("div", "heatmap-zone-actions", content);
+        L.DomEvent.on(
+          createButton("Rename", "", actions),
+          "click",
+          function () {
+            this._rename(zone.id);
+          },
+          this
+        );
+        L.DomEvent.on(
+          createButton("Delete", "", actions),
+          "click",
+          function () {
+            this._delete(zone.id);
+          },
+          this
+        );
+      }
+      return content;
+    },
+
+    _describeStats: function (zoneId) {
+      var stats = this._stats[zoneId];
+      if (!stats) {
+        return "No data yet";
+      }
+      return (
+        stats.count +
+        " point(s) · sum " +
+        formatNumber(stats.sum) +
+        " · mean " +
+        formatNumber(stats.mean) +
+        " · peak " +
+        formatNumber(stats.peak)
+      );
+    },
+
+    _rename: function (id) {
+      var name = window.prompt("Rename zone:", this._zones[id].name);
+      if (name && name.trim()) {
+        this.options.onUpdate(id, { name: name.trim() });
+      }
+    },
+
+    _delete: function (id) {
+      if (window.confirm('Delete zone "' + this._zones[id].name + '"?')) {
+        this._map.closePopup();
+        this.options.onDelete(id);
+      }
+    },
+
+    _select: function (id) {
+      var layer = this._layers[id];
+      if (layer) {
+        this._map.fitBounds(layer.getBounds(), { maxZoom: 16 });
+        layer.openPopup();
+      }
+      this._onSelect(id);
+    },
+
+    _onSelect: function (id) {
+      this.options.onSelect(this._zones[id], this._stats[id] || null);
+    },
+
+    _render: function () {
+      if (!this._list) {
+        return;
+      }
+      var drawing = this._drawing;
+
+      this._tools.style.display = this._readOnly ? "none" : "";
+      this._polygonButton.disabled = !!drawing;
+      this._circleButton.disabled = !!drawing;
+      this._cancelButton.style.display = drawing ? "" : "none";
+      this._hint.style.display = drawing ? "" : "none";
+      this._hint.textContent = drawing ? HINTS[drawing.type] : "";
+
+      this._zoneLayer.clearLayers();
+      this._layers = {};
+      this._list.innerHTML = "";
+
+      var ids = Object.keys(this._zones).sort(
+        L.bind(function (a, b) {
+          return this._zones[a].name.localeCompare(this._zones[b].name);
+        }, this)
+      );
+      if (ids.length === 0) {
+        L.DomUtil.create("li", "heatmap-zones-empty", this._list).textContent =
+          this._readOnly ? "No zones" : "No zones yet - draw one";
+      }
+
+      ids.forEach(function (id) {
+        var zone = this._zones[id];
+        var layer = createZoneLayer(zone.area);
+        if (layer) {
+          layer.bindPopup(this._createPopup(zone));
+          layer.on(
+            "click",
+            function () {
+              this._onSelect(id);
+            },
+            this
+          );
+          this._zoneLayer.addLayer(layer);
+          this._layers[id] = layer;
+        }
+
+        var item = L.DomUtil.create("li", "heatmap-zones-item", this._list);
+        var name = L.DomUtil.create("div", "heatmap-zones-name", item);
+        name.textContent = zone.name;
+        item._statsElement = L.DomUtil.create(
+          "div",
+          "heatmap-zones-item-stats",
+          item
+        );
+        item._zoneId = id;
+        L.DomEvent.on(
+          item,
+          "click",
+          function () {
+            this._select(id);
+          },
+          this
+        );
+      }, this);
+
+      this._renderStats();
+    },
+
+    // Numbers only, so stats updates don't rebuild the list or the layers
+    _renderStats: function () {
+      if (!this._list) {
+        return;
+      }
+      Array.prototype.forEach.call(
+        this._list.children,
+        function (item) {
+          if (item._statsElement) {
+            item._statsElement.textContent = this._describeStats(item._zoneId);
+          }
+        },
+        this
+      );
+      Object.keys(this._layers).forEach(function (id) {
+        var popup = this._layers[id].getPopup();
+        var stats = popup.getContent().querySelector(".heatmap-zone-stats");
+        stats.textContent = this._describeStats(id);
+      }, this);
+    },
+  });
+
+  L.control.heatmapZones = function (options) {
+    return new L.Control.HeatmapZones(options);
+  };
+})();
@@ -0,0 +1,233 @@
+// Threshold alerting on crowd intensity
+//
+// Rules are evaluated against every broadcast frame. Each rule watches one
+// area (see geo.js) and one condition:
+//   { type: "intensity_above", value: 0.9, forSeconds: 30 }
+//       Peak intensity in the area stays above `value` for `forSeconds`
+//   { type: "rate_of_increase", value: 0.2, windowSeconds: 60 }
+//       Peak intensity rises faster than `value` per minute, measured over
+//       the last `windowSeconds`
+//   { type: "count_above_capacity", capacity: 5000, peoplePerUnit: 100 }
+//       Estimated head count (sum of intensities x peoplePerUnit) exceeds
+//       `capacity`
+//
+// An alert is raised when its rule's condition starts to hold and resolved
+// once it has stopped holding for the rule's `resolveAfterSeconds` (default
+// 10, so a value hovering around the threshold doesn't flap). Operators
+// acknowledge alerts, and clear them from the list once resolved. Every
+// change is reported to the caller so it can be broadcast as an "alert"
+// message.
+
+const { validateArea, aggregatePoints } = require("./geo");
+
+const CONDITION_TYPES = [
+  "intensity_above",
+  "rate_of_increase",
+  "count_above_capacity",
+];
+const SEVERITIES = ["info", "warning", "critical"];
+
+// Returns an error string for a malformed rule, or null
+function validateRule(rule) {
+  if (!rule.id) {
+    return "Alert rule needs an id";
+  }
+  const areaError = validateArea(rule.area);
+  if (areaError) {
+    return `Alert rule "${rule.id}": ${areaError}`;
+  }
+  const condition = rule.condition || {};
+  if (!CONDITION_TYPES.includes(condition.type)) {
+    return `Alert rule "${
+      rule.id
+    }": condition type must be one of ${CONDITION_TYPES.join(", ")}`;
+  }
+  if (rule.severity && !SEVERITIES.includes(rule.severity)) {
+    return `Alert rule "${rule.id}": severity must be one of ${SEVERITIES.join(
+      ", "
+    )}`;
+  }
+  return null;
+}
+
+function createAlertEngine(rules) {
+  rules.forEach((rule) => {
+    const error = validateRule(rule);
+    if (error) {
+      throw new Error(error);
+    }
+  });
+
+  // Per-rule evaluation state
+  const ruleState = new Map(
+    rules.map((rule) => [
+      rule.id,
+      { aboveSince: null, clearSince: null, samples: [] },
+    ])
+  );
+  // Alerts that have not been cleared yet, by alert id
+  const alerts = new Map();
+  // Active (unresolved) alert per rule id
+  const activeByRule = new Map();
+  let alertCounter = 0;
+
+  // Returns { triggered, value, threshold, message } for one rule
+  function checkRule(rule, stats, state, now) {
+    const condition = rule.condition;
+
+    if (condition.type === "intensity_above") {
+      const above = stats.peak > condition.value;
+      if (!above) {
+        state.aboveSince = null;
+      } else if (state.aboveSince === null) {
+        state.aboveSince = now;
+      }
+      const heldFor = above ? (now - state.aboveSince) / 1000 : 0;
+      return {
+        triggered: above && heldFor >= (condition.forSeconds || 0),
+        value: stats.peak,
+        threshold: condition.value,
+        message: `Peak intensity ${stats.peak.toFixed(2)} above ${
+          condition.value
+        }${condition.forSeconds ? ` for ${Math.round(heldFor)}s` : ""}`,
+      };
+    }
+
+    if (condition.type === "rate_of_increase") {
+      const windowMs = (condition.windowSeconds || 60) * 1000;
+      state.samples.push({ time: now, value: stats.peak });
+      // Keep the last sample from before the window as the baseline
+      while (
+        state.samples.length > 1 &&
+        now - state.samples[1].time >= windowMs
+      ) {
+        state.samples.shift();
+      }
+      // Until the samples span the whole window (e.g. just after startup)
+      // there is no rate: a small change over a few seconds would read as
+      // a steep one
+      const oldest = state.samples[0];
+      const spanMs = now - oldest.time;
+      const rate =
+        spanMs >= windowMs ? (stats.peak - oldest.value) / (spanMs / 60000) : 0;
+      return {
+        triggered: rate > condition.value,
+        value: rate,
+        threshold: condition.value,
+        message: `Intensity rising ${rate.toFixed(2)}/min (limit ${
+          condition.value
+        }/min)`,
+      };
+    }
+
+    // count_above_capacity
+    const estimate = Math.round(stats.sum * (condition.peoplePerUnit || 1));
+    return {
+      triggered: estimate > condition.capacity,
+      value: estimate,
+      threshold: condition.capacity,
+      message: `Estimated ${estimate} people, capacity ${condition.capacity}`,
+    };
+  }
+
+  function publicAlert(alert) {
+    return Object.assign({}, alert);
+  }
+
+  // Evaluate every rule against the current points (an iterable of
+  // [id, lat, lng, intensity]). Returns the alerts that changed.
+  function evaluate(points, now) {
+    const pointList = Array.from(points);
+    const changed = [];
+
+    rules.forEach((rule) => {
+      const state = ruleState.get(rule.id);
+      const stats = aggregatePoints(pointList, rule.area);
+      const result = checkRule(rule, stats, state, now);
+      const active = activeByRule.get(rule.id);
+
+      if (result.triggered) {
+        state.clearSince = null;
+      } else if (state.clearSince === null) {
+        state.clearSince = now;
+      }
+      const resolveAfterMs =
+        (rule.resolveAfterSeconds !== undefined
+          ? rule.resolveAfterSeconds
+          : 10) * 1000;
+
+      if (result.triggered && !active) {
+        alertCounter++;
+        const alert = {
+          id: `${rule.id}-${now}-${alertCounter}`,
+          ruleId: rule.id,
+          name: rule.name || rule.id,
+          severity: rule.severity || "warning",
+          area: rule.area,
+          state: "active",
+          acknowledged: false,
+          value: result.value,
+          threshold: result.threshold,
+          message: result.message,
+          raisedAt: new Date(now).toISOString(),
+          resolvedAt: null,
+        };
+        alerts.set(alert.id, alert);
+        activeByRule.set(rule.id, alert);
+        changed.push(publicAlert(alert));
+        console.log(`🚨 Alert raised: ${alert.name} - ${alert.message}`);
+      } else if (
+        active &&
+        (result.triggered || now - state.clearSince < resolveAfterMs)
+      ) {
+        // Keep the reading current without flooding clients; while the
+        // alert is waiting to resolve it keeps the last triggering reading
+        if (result.triggered) {
+          active.value = result.value;
+          active.message = result.message;
+        }
+      } else if (active) {
+        active.state = "resolved";
+        active.resolvedAt = new Date(now).toISOString();
+        activeByRule.delete(rule.id);
+        changed.push(publicAlert(active));
+        console.log(`✅ Alert resolved: ${active.name}`);
+      }
+    });
+
+    return changed;
+  }
+
+  // Returns the updated alert, or null if there is no such alert
+  function acknowledge(alertId, by) {
+    const alert = alerts.get(alertId);
+    if (!alert) {
+      return null;
+    }
+    alert.acknowledged = true;
+    alert.acknowledgedBy = by || null;
+    return publicAlert(alert);
+  }
+
+  // Remove a resolved alert from the list. Returns the cleared alert, null
+  // if there is no such alert, or throws if it is still active.
+  function clear(alertId) {
+    const alert = alerts.get(alertId);
+    if (!alert) {
+      return null;
+    }
+    if (alert.state === "active") {
+      throw new Error("Only resolved alerts can be cleared");
+    }
+    alerts.delete(alertId);
+    return Object.assign(publicAlert(alert), { state: "cleared" });
+  }
+
+  function list() {
+    return Array.from(alerts.values()).map(publicAlert);
+  }
+
+  return { evaluate, acknowledge, clear, list };
+}
+
+module.exports = { createAlertEngine, validateRule };
@@ -0,0 +1,104 @@
+// Token authentication for WebSocket and HTTP clients
+//
+// Tokens are configured in config.auth.tokens (token -> role) or through
+// HEATMAP_OPERATOR_TOKENS / HEATMAP_VIEWER_TOKENS (comma separated), which
+// keeps secrets out of the config file. A client presents its token as a
+// `token` query parameter (browsers can't set headers on WebSockets) or as
+// an `Authorization: Bearer <token>` header.
+//
+// Roles:
+//   viewer    receives data, may subscribe and query history
+//   operator  may also send control messages (see CONTROL_MESSAGE_TYPES)
+//
+// With no tokens configured authentication is off and every client is an
+// operator, as on a trusted LAN.
+
+const crypto = require("crypto");
+
+const ROLES = ["viewer", "operator"];
+
+// Messages that change shared state and therefore need the operator role
+const CONTROL_MESSAGE_TYPES = new Set([
+  "set_crowd_intensity",
+  "toggle_gathering",
+  "scenario_start",
+  "scenario_pause",
+  "scenario_seek",
+  "alert_ack",
+  "alert_clear",
+  "poi_create",
+  "poi_update",
+  "poi_delete",
+  "zone_create",
+  "zone_update",
+  "zone_delete",
+]);
+
+function parseTokenList(value) {
+  return (value || "")
+    .split(",")
+    .map((token) => token.trim())
+    .filter((token) => token !== "");
+}
+
+// Constant-time comparison so response timing doesn't leak token prefixes
+function tokensMatch(a, b) {
+  const hashA = crypto.createHash("sha256").update(a).digest();
+  const hashB = crypto.createHash("sha256").update(b).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+}
+
+function createAuthenticator(authConfig) {
+  const tokens = Object.assign({}, authConfig.tokens);
+  parseTokenList(process.env.HEATMAP_OPERATOR_TOKENS).forEach((token) => {
+    tokens[token] = "operator";
+  });
+  parseTokenList(process.env.HEATMAP_VIEWER_TOKENS).forEach((token) => {
+    tokens[token] = "viewer";
+  });
+
+  Object.keys(tokens).forEach((token) => {
+    if (!ROLES.includes(tokens[token])) {
+      throw new Error(
+        `Unknown role "${tokens[token]}" in auth config (expected ${ROLES.join(
+          " or "
+        )})`
+      );
+    }
+  });
+
+  const enabled = Object.keys(tokens).length > 0;
+  const anonymousRole = authConfig.anonymousRole || null;
+
+  function getToken(req) {
+    const header = req.headers.authorization || "";
+    const match = /^Bearer\s+(.+)$/i.exec(header);
+    if (match) {
+      return match[1].trim();
+    }
+    return new URL(req.url, "http://localhost").searchParams.get("token");
+  }
+
+  // Role for an HTTP/upgrade request, or null if it must be rejected
+  function authenticate(req) {
+    if (!enabled) {
+      return "operator";
+    }
+    const token = getToken(req);
+    if (!token) {
+      return anonymousRole;
+    }
+    const match = Object.keys(tokens).find((candidate) =>
+      tokensMatch(candidate, token)
+    );
+    return match ? tokens[match] : null;
+  }
+
+  return { enabled, authenticate };
+}
+
+function canSend(role, messageType) {
+  return role === "operator" || !CONTROL_MESSAGE_TYPES.has(messageType);
+}
+
+module.exports = { createAuthenticator, canSend, CONTROL_MESSAGE_TYPES };
@@ -0,0 +1,143 @@
+// Level of detail by zoom
+//
+// Clients say which zoom level they are showing (set_zoom). Below
+// config.binning.rawZoom they are sent bins instead of every raw point:
+// the points are summed into square or hexagonal cells about cellPixels
+// across on screen, so the amount sent depends on the map's size rather
+// than on how many sensors report.
+//   binning: { enabled: true, shape: "hex", cellPixels: 30, rawZoom: 12 }
+//
+// Cells are laid out in Web Mercator pixels at the client's zoom, so they
+// look the same size anywhere on the map and every client at that zoom gets
+// the same bins. A bin goes out as an ordinary [id, lat, lng, intensity]
+// point: the id names the cell ("hex:9:1203:-412"), the position is the
+// intensity-weighted centre of its points and the intensity is their sum.
+
+const { roundPoint } = require("./geo");
+
+const SHAPES = ["grid", "hex"];
+const TILE_SIZE = 256;
+// Web Mercator stops short of the poles
+const MAX_LATITUDE = 85.0511287798;
+
+// Pixel position of a lat/lng at a zoom level (as Leaflet projects it)
+function project(lat, lng, zoom) {
+  const scale = TILE_SIZE * Math.pow(2, zoom);
+  const sin = Math.sin(
+    (Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, lat)) * Math.PI) / 180
+  );
+  return [
+    ((lng + 180) / 360) * scale,
+    (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * scale,
+  ];
+}
+
+// "column:row" of the square cell containing a pixel
+function gridCell(x, y, size) {
+  return Math.floor(x / size) + ":" + Math.floor(y / size);
+}
+
+// "q:r" axial coordinates of the pointy-top hexagon containing a pixel,
+// for hexagons `size` pixels across their flat sides
+function hexCell(x, y, size) {
+  const radius = size / Math.sqrt(3);
+  const q = ((Math.sqrt(3) / 3) * x - y / 3) / radius;
+  const r = ((2 / 3) * y) / radius;
+  const s = -q - r;
+
+  // Round the cube coordinates, fixing whichever strayed furthest
+  let rq = Math.round(q);
+  let rr = Math.round(r);
+  const rs = Math.round(s);
+  const dq = Math.abs(rq - q);
+  const dr = Math.abs(rr - r);
+  const ds = Math.abs(rs - s);
+  if (dq > dr && dq > ds) {
+    rq = -rr - rs;
+  } else if (dr > ds) {
+    rr = -rq - rs;
+  }
+  return rq + ":" + rr;
+}
+
+// Throws for a malformed config; returns the binning settings otherwise
+function validateOptions(options) {
+  if (!SHAPES.includes(options.shape)) {
+    throw new Error(`binning.shape must be one of ${SHAPES.join(", ")}`);
+  }
+  if (!(options.cellPixels > 0)) {
+    throw new Error("binning.cellPixels must be a positive number");
+  }
+  if (!Number.isFinite(options.rawZoom)) {
+    throw new Error("binning.rawZoom must be a number");
+  }
+  return options;
+}
+
+function createBinner(options) {
+  const { enabled, shape, cellPixels, rawZoom } = validateOptions(options);
+  const cellOf = shape === "hex" ? hexCell : gridCell;
+
+  return {
+    // The zoom level to bin at for a client showing `zoom`, or null for
+    // raw points (binning off, zoomed in, or the client never said)
+    levelFor(zoom) {
+      if (!enabled || zoom === null || zoom === undefined || zoom >= rawZoom) {
+        return null;
+      }
+      return Math.max(0, Math.floor(zoom));
+    },
+
+    // { shape, zoom, cellPixels } for telling clients what they're seeing
+    describe(level) {
+      return { shape, zoom: level, cellPixels };
+    },
+
+    // Sum [id, lat, lng, intensity] points into cells at a zoom level.
+    // Returns the bins as a Map of id -> [id, lat, lng, intensity].
+    bin(points, level) {
+      const cells = new Map();
+      for (const point of points) {
+        const [x, y] = project(point[1], point[2], level);
+        const key = cellOf(x, y, cellPixels);
+        let cell = cells.get(key);
+        if (!cell) {
+          cell = {
+            count: 0,
+            sum: 0,
+            lat: 0,
+            lng: 0,
+            weightedLat: 0,
+            weightedLng: 0,
+          };
+          cells.set(key, cell);
+        }
+        cell.count++;
+        cell.sum += point[3];
+        cell.lat += point[1];
+        cell.lng += point[2];
+        cell.weightedLat += point[1] * point[3];
+        cell.weightedLng += point[2] * point[3];
+      }
+
+      const bins = new Map();
+      cells.forEach((cell, key) => {
+        const id = `${shape}:${level}:${key}`;
+        // Cells whose points all read zero sit at their plain centre
+        const bin =
+          cell.sum > 0
+            ? [
+                id,
+                cell.weightedLat / cell.sum,
+                cell.weightedLng / cell.sum,
+                cell.sum,
+              ]
+            : [id, cell.lat / cell.count, cell.lng / cell.count, 0];
+        bins.set(id, roundPoint(bin));
+      });
+      return bins;
+    },
+  };
+}
+
+module.exports = { createBinner };
@@ -0,0 +1,201 @@
+// Server configuration
+//
+// Settings come from a JSON file (HEATMAP_CONFIG, default
+// heatmap.config.json next to the server script) layered over the defaults
+// below. A few environment variables override the file for quick runs:
+//   PORT              Port for HTTP and WebSocket connections
+//   HEATMAP_SOURCE    Data source type (simulator, scenario, file, http,
+//                     replay)
+//   HEATMAP_SOURCE_PATH  "path" option for the scenario/file/replay/http
+//                     sources
+// The source variables only affect the top-level "source", which feeds the
+// default layer when no "layers" are configured.
+
+const fs = require("fs");
+const path = require("path");
+
+// Id of the layer fed by the top-level "source" when no layers are set up
+const DEFAULT_LAYER_ID = "crowd";
+
+const DEFAULT_CONFIG = {
+  port: 8080,
+  // How often deltas are broadcast to clients
+  updateIntervalMs: 3000,
+  // How often clients are pinged; those that miss a ping are disconnected
+  heartbeatIntervalMs: 15000,
+  // Sending to clients (see "Slow clients" in websocket-server-example.js)
+  delivery: {
+    // A client with more than this still waiting to go out skips frames
+    // until it catches up
+    maxBufferedBytes: 1024 * 1024,
+    // Past this it is disconnected rather than held in memory
+    disconnectBufferedBytes: 16 * 1024 * 1024,
+    // Compress messages for browsers that offer permessage-deflate; saves
+    // bandwidth at the cost of CPU time per client
+    perMessageDeflate: false,
+    // Send snapshots and deltas in the binary format of
+    // shared/heatmap-codec.js to clients that ask for it
+    binary: true,
+  },
+  source: {
+    type: "simulator",
+  },
+  // Named datasets, each with its own source (see server/layers.js); null
+  // means a single layer fed by "source" above
+  layers: null,
+  // Zoomed-out clients are sent points summed into bins rather than every
+  // raw point (see server/binning.js)
+  binning: {
+    enabled: true,
+    // "hex" or "grid"
+    shape: "hex",
+    // Bin size on the client's screen
+    cellPixels: 30,
+    // Clients zoomed in this far or more get the raw points
+    rawZoom: 12,
+  },
+  // Flows of people between frames, sent to clients as arrows (see
+  // server/flows.js)
+  flows: {
+    enabled: true,
+    // Drops and rises further apart than this are not paired, and points
+    // that jump further are taken to have been replaced, not to have moved
+    maxDistanceMeters: 2000,
+    // Points that shift less than this haven't moved
+    minMoveMeters: 10,
+    // Smaller flows are left out
+    minVolume: 0,
+    // Largest flows sent per layer and frame
+    maxFlows: 50,
+  },
+  // Map tiles served at /tiles/{z}/{x}/{y}.png for use without internet
+  // (see server/tiles.js); null serves none
+  tiles: {
+    dir: null,
+    maxAgeSeconds: 86400,
+  },
+  // Client authentication (see server/auth.js)
+  auth: {
+    // token -> "viewer" | "operator"; no tokens turns authentication off
+    tokens: {},
+    // Role for clients that connect without a token while tokens are
+    // configured; null rejects them
+    anonymousRole: null,
+  },
+  // Every broadcast frame is recorded here for the timeline playback
+  history: {
+    enabled: true,
+    dir: "data/history",
+    retentionHours: 24,
+  },
+  // Points of interest edited from the map (see server/pois.js); the seed
+  // file is used until the first change is saved
+  pois: {
+    file: "data/pois.local.geojson",
+    seed: "data/pois.geojson",
+  },
+  // Zones drawn on the map, with per-zone statistics (see server/zones.js)
+  zones: {
+    file: "data/zones.json",
+  },
+  // Alert rules evaluated on every frame (see server/alerts.js)
+  alerts: {
+    rules: [
+      {
+        id: "somnath-crowding",
+        name: "Somnath Temple crowding",
+        severity: "critical",
+        area: {
+          type: "circle",
+          center: [20.8883, 70.4011],
+          radiusMeters: 1000,
+        },
+        condition: { type: "intensity_above", value: 0.9, forSeconds: 15 },
+      },
+      {
+        id: "somnath-surge",
+        name: "Somnath Temple crowd surge",
+        severity: "warning",
+        area: {
+          type: "circle",
+          center: [20.8883, 70.4011],
+          radiusMeters: 1000,
+        },
+        condition: { type: "rate_of_increase", value: 0.3, windowSeconds: 60 },
+      },
+      {
+        id: "somnath-capacity",
+        name: "Somnath Temple over capacity",
+        severity: "critical",
+        area: {
+          type: "circle",
+          center: [20.8883, 70.4011],
+          radiusMeters: 1000,
+        },
+        condition: {
+          type: "count_above_capacity",
+          capacity: 1500,
+          peoplePerUnit: 100,
+        },
+      },
+    ],
+  },
+};
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+// Deep-merge plain objects; arrays and scalars from `override` win outright
+function mergeConfig(base, override) {
+  const merged = Object.assign({}, base);
+  Object.keys(override || {}).forEach((key) => {
+    merged[key] =
+      isPlainObject(base[key]) && isPlainObject(override[key])
+        ? mergeConfig(base[key], override[key])
+        : override[key];
+  });
+  return merged;
+}
+
+function loadConfig() {
+  const configPath = path.resolve(
+    process.env.HEATMAP_CONFIG ||
+      path.join(__dirname, "..", "heatmap.config.json")
+  );
+
+  let fileConfig = {};
+  if (fs.existsSync(configPath)) {
+    fileConfig = JSON.parse(fs.readFileSync(configPath, "utf8"));
+    console.log("Loaded config from", configPath);
+  } else if (process.env.HEATMAP_CONFIG) {
+    throw new Error("Config file not found: " + configPath);
+  }
+
+  const config = mergeConfig(DEFAULT_CONFIG, fileConfig);
+
+  if (process.env.PORT) {
+    config.port = Number(process.env.PORT);
+  }
+  if (process.env.HEATMAP_SOURCE) {
+    // Switching type discards options meant for the configured source
+    config.source =
+      process.env.HEATMAP_SOURCE === config.source.type
+        ? config.source
+        : { type: process.env.HEATMAP_SOURCE };
+  }
+  if (process.env.HEATMAP_SOURCE_PATH) {
+    config.source = Object.assign({}, config.source, {
+      path: process.env.HEATMAP_SOURCE_PATH,
+    });
+  }
+  if (!config.layers) {
+    config.layers = [
+      { id: DEFAULT_LAYER_ID, name: "Crowd", source: config.source },
+    ];
+  }
+
+  return config;
+}
+
+module.exports = { loadConfig, mergeConfig, DEFAULT_CONFIG };
@@ -0,0 +1,114 @@
+// Crowd movement between successive frames
+//
+// Sources that know where people are going (see server/sources/scenario.js)
+// report flows themselves. For the rest they are worked out from how the
+// points changed between two frames:
+//   - a point that kept its id but moved is a flow from where it was to
+//     where it is, carrying its value
+//   - otherwise, values that dropped at some points and rose at others
+//     nearby are taken as people walking from the one to the other; the
+//     closest drops and rises are paired first, each flow carrying as much
+//     of the drop as the rise can take
+// Both are guesses, but they show which way crowds are heading.
+//
+// A flow is { id, from: [lat, lng], to: [lat, lng], volume, label? } with
+// volume in the layer's unit.
+
+const { distanceMeters } = require("./geo");
+
+// Only this many of the largest drops and rises are paired, which keeps
+// the pairing cheap on big frames
+const MAX_CANDIDATES = 200;
+
+// Throws for malformed config.flows settings; returns them otherwise
+function validateFlowOptions(options) {
+  ["maxDistanceMeters", "minMoveMeters", "minVolume", "maxFlows"].forEach(
+    (key) => {
+      if (!(options[key] >= 0)) {
+        throw new Error(`flows.${key} must be a number >= 0`);
+      }
+    }
+  );
+  return options;
+}
+
+function largest(changes) {
+  return changes.sort((a, b) => b.amount - a.amount).slice(0, MAX_CANDIDATES);
+}
+
+// previous, current: Map of id -> [id, lat, lng, value]
+function deriveFlows(previous, current, options) {
+  const { maxDistanceMeters, minMoveMeters, minVolume, maxFlows } = options;
+  const flows = [];
+  const drops = [];
+  const rises = [];
+
+  current.forEach((point, id) => {
+    const before = previous.get(id);
+    if (before) {
+      const moved = distanceMeters(before[1], before[2], point[1], point[2]);
+      if (moved >= minMoveMeters && moved <= maxDistanceMeters) {
+        flows.push({
+          id: "move:" + id,
+          from: [before[1], before[2]],
+          to: [point[1], point[2]],
+          volume: point[3],
+        });
+        return;
+      }
+    }
+    const change = point[3] - (before ? before[3] : 0);
+    if (change > 0) {
+      rises.push({ point, amount: change });
+    } else if (change < 0) {
+      drops.push({ point, amount: -change });
+    }
+  });
+  previous.forEach((point, id) => {
+    if (!current.has(id) && point[3] > 0) {
+      drops.push({ point, amount: point[3] });
+    }
+  });
+
+  // Pair the closest drops and rises first
+  const pairs = [];
+  const candidateRises = largest(rises);
+  largest(drops).forEach((drop) => {
+    candidateRises.forEach((rise) => {
+      const distance = distanceMeters(
+        drop.point[1],
+        drop.point[2],
+        rise.point[1],
+        rise.point[2]
+      );
+      if (distance <= maxDistanceMeters) {
+        pairs.push({ drop, rise, distance });
+      }
+    });
+  });
+  pairs.sort((a, b) => a.distance - b.distance);
+  pairs.forEach(({ drop, rise }) => {
+    const volume = Math.min(drop.amount, rise.amount);
+    if (volume <= 0) {
+      return;
+    }
+    drop.amount -= volume;
+    rise.amount -= volume;
+    flows.push({
+      id: drop.point[0] + ">" + rise.point[0],
+      from: [drop.point[1], drop.point[2]],
+      to: [rise.point[1], rise.point[2]],
+      volume,
+    });
+  });
+
+  return flows
+    .filter((flow) => flow.volume > 0 && flow.volume >= minVolume)
+    .sort((a, b) => b.volume - a.volume)
+    .slice(0, maxFlows)
+    .map((flow) =>
+      Object.assign(flow, { volume: Math.round(flow.volume * 1e3) / 1e3 })
+    );
+}
+
+module.exports = { deriveFlows, validateFlowOptions };
@@ -0,0 +1,138 @@
+// Geometry helpers for areas on the map
+//
+// An area is one of:
+//   { type: "circle", center: [lat, lng], radiusMeters: 500 }
+//   { type: "polygon", coordinates: [[lat, lng], [lat, lng], ...] }
+//   { type: "bbox", bbox: [south, west, north, east] }
+
+const EARTH_RADIUS_METERS = 6371000;
+
+function toRadians(degrees) {
+  return (degrees * Math.PI) / 180;
+}
+
+// Great-circle distance between two points in meters
+function distanceMeters(lat1, lng1, lat2, lng2) {
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(toRadians(lat1)) *
+      Math.cos(toRadians(lat2)) *
+      Math.sin(dLng / 2) *
+      Math.sin(dLng / 2);
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+// Ray casting; good enough for the small polygons drawn on the map
+function isInPolygon(lat, lng, coordinates) {
+  let inside = false;
+  for (let i = 0, j = coordinates.length - 1; i < coordinates.length; j = i++) {
+    const [latI, lngI] = coordinates[i];
+    const [latJ, lngJ] = coordinates[j];
+    if (
+      lngI > lng !== lngJ > lng &&
+      lat < ((latJ - latI) * (lng - lngI)) / (lngJ - lngI) + latI
+    ) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+function isInArea(lat, lng, area) {
+  switch (area.type) {
+    case "circle":
+      return (
+        distanceMeters(lat, lng, area.center[0], area.center[1]) <=
+        area.radiusMeters
+      );
+    case "polygon":
+      return isInPolygon(lat, lng, area.coordinates);
+    case "bbox":
+      return (
+        lat >= area.bbox[0] &&
+        lat <= area.bbox[2] &&
+        lng >= area.bbox[1] &&
+        lng <= area.bbox[3]
+      );
+    default:
+      return false;
+  }
+}
+
+// Returns an error string for a malformed area, or null
+function validateArea(area) {
+  const isLatLng = (value) =>
+    Array.isArray(value) &&
+    value.length === 2 &&
+    Math.abs(value[0]) <= 90 &&
+    Math.abs(value[1]) <= 180;
+
+  if (!area || typeof area !== "object") {
+    return "Area must be an object";
+  }
+  switch (area.type) {
+    case "circle":
+      if (!isLatLng(area.center) || !(area.radiusMeters > 0)) {
+        return "Circle needs center [lat, lng] and a positive radiusMeters";
+      }
+      return null;
+    case "polygon":
+      if (
+        !Array.isArray(area.coordinates) ||
+        area.coordinates.length < 3 ||
+        !area.coordinates.every(isLatLng)
+      ) {
+        return "Polygon needs at least three [lat, lng] coordinates";
+      }
+      return null;
+    case "bbox":
+      if (
+        !Array.isArray(area.bbox) ||
+        area.bbox.length !== 4 ||
+        !(area.bbox[0] <= area.bbox[2] && area.bbox[1] <= area.bbox[3])
+      ) {
+        return "Bbox needs [south, west, north, east]";
+      }
+      return null;
+    default:
+      return `Unknown area type "${area.type}"`;
+  }
+}
+
+// Aggregate the [id, lat, lng, intensity] points that fall inside an area
+function aggregatePoints(points, area) {
+  let count = 0;
+  let sum = 0;
+  let peak = 0;
+  points.forEach((point) => {
+    if (isInArea(point[1], point[2], area)) {
+      count++;
+      sum += point[3];
+      peak = Math.max(peak, point[3]);
+    }
+  });
+  return { count, sum, mean: count > 0 ? sum / count : 0, peak };
+}
+
+// Round coordinates and intensities so unchanged points compare equal and
+// the wire format stays compact
+function roundPoint(point) {
+  const [id, lat, lng, intensity] = point;
+  return [
+    id,
+    Math.round(lat * 1e6) / 1e6,
+    Math.round(lng * 1e6) / 1e6,
+    Math.round(intensity * 1e3) / 1e3,
+  ];
+}
+
+module.exports = {
+  roundPoint,
+  distanceMeters,
+  isInPolygon,
+  isInArea,
+  validateArea,
+  aggregatePoints,
+};
@@ -0,0 +1,92 @@
+// Download recorded frames for a time range
+//
+//   GET /history/export?from=<ISO time>&to=<ISO time>
+//                       &format=csv|geojson&layer=<id>
+// answers with an attachment in one of the formats from
+// shared/heatmap-export.js. Without "layer" the first layer is exported.
+//
+// Any authenticated client may export; pass the token as "?token=<token>"
+// or "Authorization: Bearer <token>".
+
+const { httpError } = require("./http");
+const HeatmapExport = require("../shared/heatmap-export");
+
+// Bigger ranges must be exported in pieces
+const MAX_EXPORT_FRAMES = 10000;
+
+// A query parameter as epoch milliseconds; throws a 400 httpError otherwise
+function parseTime(value, name) {
+  const time = Date.parse(value || "");
+  if (!isFinite(time)) {
+    throw httpError(400, `"${name}" must be an ISO 8601 time`);
+  }
+  return time;
+}
+
+// context: { router, auth, layers } (a layer's history is null when
+// recording is off)
+function addHistoryExportRoute(context) {
+  context.router.addRoute("GET", "/history/export", (req, res, url) => {
+    // The map page is usually served from another origin and fetches the
+    // file so it can show errors; the token still guards the data
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    if (!context.auth.authenticate(req)) {
+      throw httpError(401, "Unauthorized");
+    }
+    const layerId = url.searchParams.get("layer");
+    const layer = layerId
+      ? context.layers.find((candidate) => candidate.id === layerId)
+      : context.layers[0];
+    if (!layer) {
+      throw httpError(404, `Unknown layer "${layerId}"`);
+    }
+    if (!layer.history) {
+      throw httpError(503, "History recording is disabled");
+    }
+
+    const from = parseTime(url.searchParams.get("from"), "from");
+    const to = parseTime(url.searchParams.get("to"), "to");
+    if (from > to) {
+      throw httpError(400, '"from" must not be after "to"');
+    }
+    const format = url.searchParams.get("format") || "csv";
+    if (!HeatmapExport.isFormat(format)) {
+      throw httpError(
+        400,
+        `"format" must be one of ${Object.keys(HeatmapExport.FORMATS).join(
+          ", "
+        )}`
+      );
+    }
+
+    const frameCount = layer.history.count(from, to);
+    if (frameCount > MAX_EXPORT_FRAMES) {
+      throw httpError(
+        413,
+        `${frameCount} frames in range; export at most ${MAX_EXPORT_FRAMES} at a time`
+      );
+    }
+
+    const frames = layer.history.frames(from, to).map((frame) => ({
+      timestamp: frame.timestamp,
+      layer: layer.id,
+      points: frame.points,
+    }));
+    const body = HeatmapExport.formatFrames(format, frames, {
+      from: new Date(from).toISOString(),
+      to: new Date(to).toISOString(),
+    });
+
+    res.writeHead(200, {
+      "Content-Type": HeatmapExport.FORMATS[format].mimeType,
+      "Content-Disposition": `attachment; filename="${HeatmapExport.exportFileName(
+        "heatmap-history-" + layer.id,
+        from,
+        format
+      )}"`,
+    });
+    res.end(body);
+  });
+}
+
+module.exports = { addHistoryExportRoute, parseTime };
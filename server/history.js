@@ -0,0 +1,182 @@
+// Time-series store of broadcast heatmap frames
+//
+// Frames are appended as newline-delimited JSON to hourly segment files:
+//   <dir>/frames-2024-08-05T10.ndjson
+//   {"timestamp":"2024-08-05T10:00:03.000Z","points":[[id, lat, lng, intensity], ...]}
+// (the same format the replay source plays back). An in-memory index of
+// frame times and file offsets is rebuilt from the segments on startup, so
+// single frames can be read back without loading whole files. Segments
+// older than the retention period are deleted.
+
+const fs = require("fs");
+const path = require("path");
+
+const SEGMENT_PATTERN = /^frames-(\d{4}-\d{2}-\d{2}T\d{2})\.ndjson$/;
+
+function segmentName(time) {
+  return "frames-" + new Date(time).toISOString().slice(0, 13) + ".ndjson";
+}
+
+function createHistoryStore(options) {
+  const dir = path.resolve(options.dir);
+  const retentionMs = options.retentionHours * 60 * 60 * 1000;
+
+  // Sorted by time: { time, file, offset, length }
+  let index = [];
+
+  function indexSegment(file) {
+    const content = fs.readFileSync(path.join(dir, file));
+    let offset = 0;
+    while (offset < content.length) {
+      let end = content.indexOf(10, offset); // "\n"
+      if (end === -1) {
+        end = content.length;
+      }
+      const length = end - offset;
+      if (length > 0) {
+        // Only the timestamp is needed for the index; it is written first
+        const head = content.toString(
+          "utf8",
+          offset,
+          Math.min(end, offset + 64)
+        );
+        const match = /"timestamp":"([^"]+)"/.exec(head);
+        const time = match ? Date.parse(match[1]) : NaN;
+        if (isFinite(time)) {
+          index.push({ time, file, offset, length });
+        } else {
+          console.warn("History: skipping unreadable frame in", file);
+        }
+      }
+      offset = end + 1;
+    }
+  }
+
+  function load() {
+    fs.mkdirSync(dir, { recursive: true });
+    fs.readdirSync(dir)
+      .filter((file) => SEGMENT_PATTERN.test(file))
+      .sort()
+      .forEach(indexSegment);
+    index.sort((a, b) => a.time - b.time);
+    prune(Date.now());
+    if (index.length > 0) {
+      console.log(
+        `History: ${index.length} frame(s) from ${new Date(
+          index[0].time
+        ).toISOString()}`
+      );
+    }
+  }
+
+  // Drop frames (and whole segment files) past the retention period
+  function prune(now) {
+    const cutoff = now - retentionMs;
+    const expired = index.filter((entry) => entry.time < cutoff);
+    if (expired.length === 0) {
+      return;
+    }
+    index = index.filter((entry) => entry.time >= cutoff);
+
+    const liveFiles = new Set(index.map((entry) => entry.file));
+    new Set(expired.map((entry) => entry.file)).forEach((file) => {
+      if (!liveFiles.has(file) && file !== segmentName(now)) {
+        fs.unlink(path.join(dir, file), () => {});
+      }
+    });
+  }
+
+  // Append one frame; points is an array of [id, lat, lng, intensity]
+  function record(time, points) {
+    const file = segmentName(time);
+    const filePath = path.join(dir, file);
+    const line = JSON.stringify({
+      timestamp: new Date(time).toISOString(),
+      points: points,
+    });
+
+    let offset = 0;
+    try {
+      offset = fs.statSync(filePath).size;
+    } catch (error) {
+      // New segment
+    }
+    fs.appendFileSync(filePath, line + "\n");
+    index.push({ time, file, offset, length: Buffer.byteLength(line) });
+    prune(time);
+  }
+
+  function readEntry(entry) {
+    const buffer = Buffer.alloc(entry.length);
+    const fd = fs.openSync(path.join(dir, entry.file), "r");
+    try {
+      fs.readSync(fd, buffer, 0, entry.length, entry.offset);
+    } finally {
+      fs.closeSync(fd);
+    }
+    return JSON.parse(buffer.toString("utf8"));
+  }
+
+  // Position of the last frame at or before `time`, or -1
+  function findIndex(time) {
+    let low = 0;
+    let high = index.length - 1;
+    let found = -1;
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      if (index[mid].time <= time) {
+        found = mid;
+        low = mid + 1;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return found;
+  }
+
+  // { from, to, frameCount } with ISO timestamps, or nulls when empty
+  function range() {
+    if (index.length === 0) {
+      return { from: null, to: null, frameCount: 0 };
+    }
+    return {
+      from: new Date(index[0].time).toISOString(),
+      to: new Date(index[index.length - 1].time).toISOString(),
+      frameCount: index.length,
+    };
+  }
+
+  // The frame that was current at `time` ({ timestamp, points }), or null
+  function frameAt(time) {
+    const position = findIndex(time);
+    return position === -1 ? null : readEntry(index[position]);
+  }
+
+  // Number of frames between two times (inclusive)
+  function count(from, to) {
+    return Math.max(0, findIndex(to) - findIndex(from - 1));
+  }
+
+  // Frames between two times (inclusive), evenly thinned to at most `limit`
+  function frames(from, to, limit) {
+    const first = Math.max(0, findIndex(from - 1) + 1);
+    const last = findIndex(to);
+    if (last < first) {
+      return [];
+    }
+
+    const count = last - first + 1;
+    const step = limit && count > limit ? count / limit : 1;
+    const result = [];
+    for (let n = 0; first + Math.floor(n * step) <= last; n++) {
+      result.push(readEntry(index[first + Math.floor(n * step)]));
+    }
+    return result;
+  }
+
+  load();
+
+  return { record, range, frameAt, frames, count };
+}
+
+module.exports = { createHistoryStore };
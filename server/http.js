@@ -0,0 +1,103 @@
+// Minimal HTTP routing for the heatmap server
+//
+// The WebSocket server shares its HTTP server with a small route table so
+// data sources (and anything else that needs plain HTTP) can register
+// handlers without pulling in a web framework.
+
+// Request bodies larger than this are rejected with 413
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+
+function createRouter() {
+  const routes = [];
+
+  // Register a handler for an exact method + path. A path ending in "/*"
+  // matches everything below it (e.g. "/tiles/*"). Throws if the method and
+  // path are taken: the second handler could never be reached.
+  function addRoute(method, pathname, handler) {
+    const upperMethod = method.toUpperCase();
+    if (
+      routes.some(
+        (route) => route.method === upperMethod && route.pathname === pathname
+      )
+    ) {
+      throw new Error(`${upperMethod} ${pathname} is already routed`);
+    }
+    routes.push({ method: upperMethod, pathname, handler });
+  }
+
+  function matches(route, pathname) {
+    return route.pathname.endsWith("/*")
+      ? pathname.startsWith(route.pathname.slice(0, -1))
+      : route.pathname === pathname;
+  }
+
+  // Dispatch a request; answers 404/405 if no route matches
+  function handle(req, res) {
+    const url = new URL(req.url, "http://localhost");
+    const matching = routes.filter((route) => matches(route, url.pathname));
+
+    if (matching.length === 0) {
+      sendJson(res, 404, { error: "Not found" });
+      return;
+    }
+
+    const route = matching.find((candidate) => candidate.method === req.method);
+    if (!route) {
+      res.setHeader(
+        "Allow",
+        matching.map((candidate) => candidate.method).join(", ")
+      );
+      sendJson(res, 405, { error: "Method not allowed" });
+      return;
+    }
+
+    Promise.resolve()
+      .then(() => route.handler(req, res, url))
+      .catch((error) => {
+        // Errors created with httpError() are the client's fault
+        if (!error.statusCode) {
+          console.error("HTTP handler error:", error);
+        }
+        if (!res.headersSent) {
+          sendJson(res, error.statusCode || 500, {
+            error: error.statusCode ? error.message : "Internal server error",
+          });
+        }
+      });
+  }
+
+  return { addRoute, handle };
+}
+
+function sendJson(res, statusCode, body) {
+  res.writeHead(statusCode, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+function httpError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// Collect the request body as a string
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(httpError(413, "Request body too large"));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+module.exports = { createRouter, sendJson, httpError, readBody };
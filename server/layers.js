@@ -0,0 +1,198 @@
+// Heatmap layers
+//
+// A layer is one named dataset (footfall, vehicle density, Wi-Fi devices,
+// ...) with its own data source and its own recorded history. Layers are
+// configured as
+//   layers: [{ id: "footfall", name: "Footfall", unit: "people",
+//              source: { type: "http", path: "/ingest/footfall" } }, ...]
+// and default to a single "crowd" layer fed by the top-level "source" (see
+// server/config.js). Ids name history directories and appear in URLs, so
+// they are limited to letters, digits, "-" and "_".
+//
+// Each layer keeps the points its source last reported and publishes them
+// as a frame on every broadcast interval; clients are sent the published
+// frame, never the half-updated source state. Zoomed-out clients are sent
+// the frame's bins instead (see server/binning.js), worked out once per
+// frame and zoom level however many clients share them. Each frame also
+// comes with the flows of people since the previous one (see
+// server/flows.js), from the source if it reports them.
+
+const path = require("path");
+const { createSource } = require("./sources");
+const { createHistoryStore } = require("./history");
+const { roundPoint } = require("./geo");
+const { deriveFlows } = require("./flows");
+
+const LAYER_ID_PATTERN = /^[A-Za-z0-9_-]{1,100}$/;
+
+// Returns an error string for a malformed layer config, or null
+function validateLayerConfig(layer, seen) {
+  if (!layer || !LAYER_ID_PATTERN.test(layer.id || "")) {
+    return 'Each layer needs an "id" of letters, digits, "-" or "_"';
+  }
+  if (seen.has(layer.id)) {
+    return `Layer "${layer.id}" is configured twice`;
+  }
+  if (!layer.source || !layer.source.type) {
+    return `Layer "${layer.id}" needs a "source" with a "type"`;
+  }
+  return null;
+}
+
+// context: { router, auth } for the sources; settings: { history, binner,
+// flows } with config.history, the binner from server/binning.js and
+// config.flows
+function createLayer(options, context, settings) {
+  const historyConfig = settings.history;
+  const source = createSource(options.source, context);
+
+  // Points as last reported by the source (id -> [id, lat, lng, intensity])
+  const sourcePoints = new Map();
+  let publishedPoints = new Map();
+  let publishedAt = Date.now();
+  // Bins of the published frame by zoom level, filled in as asked for
+  let publishedBins = new Map();
+  let publishedFlows = [];
+
+  // Recorded frames for playback and export, one directory per layer
+  const history = historyConfig.enabled
+    ? createHistoryStore(
+        Object.assign({}, historyConfig, {
+          dir: path.join(historyConfig.dir, options.id),
+        })
+      )
+    : null;
+
+  // Apply a batch from the data source (see server/sources/index.js)
+  function applyBatch(batch) {
+    if (batch.replace) {
+      sourcePoints.clear();
+    }
+    (batch.points || []).forEach((point) => {
+      const rounded = roundPoint(point);
+      sourcePoints.set(rounded[0], rounded);
+    });
+    (batch.remove || []).forEach((id) => sourcePoints.delete(id));
+  }
+
+  // Take a new frame from the source points, recording it if history is on
+  function publish(time) {
+    const previousPoints = publishedPoints;
+    publishedPoints = new Map(sourcePoints);
+    publishedAt = time;
+    publishedBins = new Map();
+    if (!settings.flows.enabled) {
+      publishedFlows = [];
+    } else if (source.flows) {
+      publishedFlows = source.flows();
+    } else {
+      publishedFlows = deriveFlows(
+        previousPoints,
+        publishedPoints,
+        settings.flows
+      );
+    }
+    if (history) {
+      history.record(publishedAt, Array.from(publishedPoints.values()));
+    }
+  }
+
+  return {
+    id: options.id,
+    name: options.name || options.id,
+    source,
+    history,
+
+    start() {
+      source.start(applyBatch);
+    },
+
+    stop() {
+      source.stop();
+    },
+
+    // Sources that generate data on the server's clock advance here
+    tick() {
+      if (source.tick) {
+        source.tick();
+      }
+    },
+
+    publish,
+
+    // Whether ingest() may be used: sources that report complete frames
+    // (the simulator, scenarios, replays) would overwrite what it adds
+    acceptsIngest: Boolean(source.acceptsIngest),
+
+    // Apply a batch of readings from outside the source, e.g. POST
+    // /api/ingest
+    ingest: applyBatch,
+
+    // The published frame (id -> [id, lat, lng, intensity]), taking a first
+    // one if nothing has been published yet. With a zoom level (see
+    // binner.levelFor()) the frame's bins at that level instead.
+    points(level) {
+      if (publishedPoints.size === 0) {
+        publishedPoints = new Map(sourcePoints);
+        publishedAt = Date.now();
+        publishedBins = new Map();
+      }
+      if (level === null || level === undefined) {
+        return publishedPoints;
+      }
+      if (!publishedBins.has(level)) {
+        publishedBins.set(
+          level,
+          settings.binner.bin(publishedPoints.values(), level)
+        );
+      }
+      return publishedBins.get(level);
+    },
+
+    publishedAt() {
+      return publishedAt;
+    },
+
+    // Flows since the previous frame, as [{ id, from, to, volume, label? }]
+    flows() {
+      return publishedFlows;
+    },
+
+    // { id, name, source, unit? } as listed in the welcome message
+    describe() {
+      const info = {
+        id: options.id,
+        name: options.name || options.id,
+        source: source.name,
+      };
+      if (options.unit) {
+        info.unit = options.unit;
+      }
+      return info;
+    },
+  };
+}
+
+// Create every configured layer; throws for a malformed config
+function createLayers(layerConfigs, context, settings) {
+  const seen = new Set();
+  layerConfigs.forEach((layer) => {
+    const error = validateLayerConfig(layer, seen);
+    if (error) {
+      throw new Error(error);
+    }
+    seen.add(layer.id);
+  });
+  if (seen.size === 0) {
+    throw new Error("At least one layer must be configured");
+  }
+  return layerConfigs.map((layer) => {
+    try {
+      return createLayer(layer, context, settings);
+    } catch (error) {
+      throw new Error(`Layer "${layer.id}": ${error.message}`);
+    }
+  });
+}
+
+module.exports = { createLayers };
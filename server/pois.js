@@ -0,0 +1,152 @@
+// Points of interest annotated on the map
+//
+// POIs are kept in memory and saved as a GeoJSON FeatureCollection after
+// every change:
+//   { type: "Feature", id: "poi-...", geometry: { type: "Point", coordinates: [lng, lat] },
+//     properties: { name, category, description, updatedAt } }
+// When the file doesn't exist yet the store starts from the seed file (the
+// same data/pois.geojson the map falls back to when it's offline).
+// Clients see POIs as flat { id, lat, lng, name, category, description,
+// updatedAt } objects.
+
+const path = require("path");
+const { readJsonFile, writeJsonFile } = require("./storage");
+const { POI_CATEGORIES } = require("../shared/heatmap-protocol");
+
+function generateId() {
+  return (
+    "poi-" +
+    Date.now().toString(36) +
+    "-" +
+    Math.random().toString(36).slice(2, 8)
+  );
+}
+
+function featureToPoi(feature) {
+  const properties = feature.properties || {};
+  const [lng, lat] = feature.geometry.coordinates;
+  return {
+    id: String(feature.id),
+    lat: lat,
+    lng: lng,
+    name: String(properties.name || ""),
+    category: POI_CATEGORIES.includes(properties.category)
+      ? properties.category
+      : "other",
+    description: String(properties.description || ""),
+    updatedAt: properties.updatedAt || new Date(0).toISOString(),
+  };
+}
+
+function poiToFeature(poi) {
+  return {
+    type: "Feature",
+    id: poi.id,
+    geometry: { type: "Point", coordinates: [poi.lng, poi.lat] },
+    properties: {
+      name: poi.name,
+      category: poi.category,
+      description: poi.description,
+      updatedAt: poi.updatedAt,
+    },
+  };
+}
+
+function pointFeatures(collection) {
+  return (collection.features || []).filter(
+    (feature) =>
+      feature.id !== undefined &&
+      feature.geometry &&
+      feature.geometry.type === "Point"
+  );
+}
+
+function createPoiStore(options) {
+  const file = path.resolve(options.file);
+  const pois = new Map();
+
+  function load() {
+    let collection = null;
+    try {
+      collection =
+        readJsonFile(file) ||
+        (options.seed ? readJsonFile(path.resolve(options.seed)) : null);
+    } catch (error) {
+      console.error("POIs: could not read saved POIs -", error.message);
+    }
+    pointFeatures(collection || {}).forEach((feature) => {
+      const poi = featureToPoi(feature);
+      pois.set(poi.id, poi);
+    });
+    console.log(`POIs: ${pois.size} loaded`);
+  }
+
+  // A failed save is logged; the change still reaches connected clients
+  function save() {
+    try {
+      writeJsonFile(file, {
+        type: "FeatureCollection",
+        features: Array.from(pois.values()).map(poiToFeature),
+      });
+    } catch (error) {
+      console.error("POIs: could not save", file, "-", error.message);
+    }
+  }
+
+  function list() {
+    return Array.from(pois.values());
+  }
+
+  // Throws if the client-chosen id is already taken
+  function create(fields) {
+    const id = fields.id || generateId();
+    if (pois.has(id)) {
+      throw new Error("POI already exists: " + id);
+    }
+    const poi = {
+      id: id,
+      lat: fields.lat,
+      lng: fields.lng,
+      name: fields.name,
+      category: fields.category || "other",
+      description: fields.description || "",
+      updatedAt: new Date().toISOString(),
+    };
+    pois.set(id, poi);
+    save();
+    return poi;
+  }
+
+  // Returns the updated POI, or null if there is no such POI
+  function update(id, changes) {
+    const poi = pois.get(id);
+    if (!poi) {
+      return null;
+    }
+    ["lat", "lng", "name", "category", "description"].forEach((key) => {
+      if (changes[key] !== undefined) {
+        poi[key] = changes[key];
+      }
+    });
+    poi.updatedAt = new Date().toISOString();
+    save();
+    return poi;
+  }
+
+  // Returns the removed POI, or null if there is no such POI
+  function remove(id) {
+    const poi = pois.get(id);
+    if (!poi) {
+      return null;
+    }
+    pois.delete(id);
+    save();
+    return poi;
+  }
+
+  load();
+
+  return { list, create, update, remove };
+}
+
+module.exports = { createPoiStore };
@@ -0,0 +1,277 @@
+// HTTP API for scripts, reporting jobs and monitoring
+//
+// The same state the WebSocket streams, as plain JSON over HTTP on the same
+// port:
+//   GET  /api/health
+//        -> { status: "ok", serverTime, uptimeSeconds, clients, lastUpdate,
+//             framesDropped, slowClientsDisconnected,
+//             layers: [{ id, pointCount, lastUpdate }] }
+//   GET  /api/clients
+//        -> { clients: [{ id, address, role, connectedAt, encoding,
+//             compressed, bufferedBytes, framesSent, framesDropped }] }
+//   GET  /api/layers
+//        -> { layers: [{ id, name, source, unit? }] }
+//   GET  /api/points?layer=<id>&bbox=<south>,<west>,<north>,<east>
+//        -> { layer, timestamp, points: [[id, lat, lng, value], ...] }
+//   GET  /api/stats?layer=<id>&zone=<id>
+//        -> { layer, timestamp,
+//             zones: [{ zoneId, name, count, sum, mean, peak }] }
+//   GET  /api/stats?layer=<id>&lat=<lat>&lng=<lng>&radiusMeters=<m>
+//        -> { layer, timestamp, location: { lat, lng, radiusMeters, count,
+//             sum, mean, peak, value } }
+//   GET  /api/history?from=<ISO time>&to=<ISO time>&layer=<id>&bbox=...
+//                    &maxFrames=100
+//        -> { layer, from, to, frameCount, frames: [{ timestamp, points }] }
+//   POST /api/ingest?layer=<id>
+//        body as for the http source (see server/sources/http-ingest.js)
+//        -> 202 { layer, accepted, rejected }, or 409 for a layer whose
+//           source doesn't accept ingest
+// "layer" defaults to the first layer and "bbox" to everything. Points are
+// the raw published frame, never bins. Zone stats default to every zone;
+// "value" at a location is interpolated as in shared/heatmap-inspect.js.
+// History spanning more than maxFrames frames (at most 1000) is thinned
+// evenly; frameCount says how many there were. Ingested readings join the
+// layer's points as its source's would. Only layers fed over HTTP take
+// them: a source that reports complete frames (the simulator, scenarios,
+// replays) would overwrite them with its next batch.
+//
+// Health is public, for monitors; it gives no data away. The rest needs a
+// token like the WebSocket does, and the client list and ingest need the
+// operator role: send "Authorization: Bearer <token>" or "?token=<token>".
+
+const { sendJson, httpError, readBody } = require("./http");
+const { isInArea, validateArea, aggregatePoints } = require("./geo");
+const { parseTime } = require("./history-export");
+const { normalizeReadings } = require("./sources/readings");
+const { parseBatch } = require("./sources/http-ingest");
+const inspect = require("../shared/heatmap-inspect");
+
+const DEFAULT_HISTORY_FRAMES = 100;
+const MAX_HISTORY_FRAMES = 1000;
+
+const startedAt = Date.now();
+
+function round(value) {
+  return Math.round(value * 1e3) / 1e3;
+}
+
+// Throws 401 without a valid token and 403 without the role asked for
+function authorize(auth, req, requiredRole) {
+  const role = auth.authenticate(req);
+  if (!role) {
+    throw httpError(401, "Unauthorized");
+  }
+  if (requiredRole === "operator" && role !== "operator") {
+    throw httpError(403, "This endpoint requires the operator role");
+  }
+  return role;
+}
+
+function parseNumber(url, name, fallback) {
+  const value = url.searchParams.get(name);
+  if (value === null && fallback !== undefined) {
+    return fallback;
+  }
+  const number = Number(value);
+  if (value === null || value.trim() === "" || !isFinite(number)) {
+    throw httpError(400, `"${name}" must be a number`);
+  }
+  return number;
+}
+
+// "south,west,north,east" as an area for geo.isInArea(), or null if absent
+function parseBbox(url) {
+  const value = url.searchParams.get("bbox");
+  if (value === null) {
+    return null;
+  }
+  const area = { type: "bbox", bbox: value.split(",").map(Number) };
+  if (validateArea(area) || !area.bbox.every(isFinite)) {
+    throw httpError(400, '"bbox" must be <south>,<west>,<north>,<east>');
+  }
+  return area;
+}
+
+function filterPoints(points, area) {
+  const list = Array.from(points);
+  return area
+    ? list.filter((point) => isInArea(point[1], point[2], area))
+    : list;
+}
+
+// context: { router, auth, layers, zoneStore, getClients, getDeliveryStats }
+// with getClients() listing connected clients and getDeliveryStats() giving
+// { framesDropped, slowClientsDisconnected } since the server started
+function addRestRoutes(context) {
+  const { router, auth, layers, zoneStore } = context;
+
+  function findLayer(url) {
+    const id = url.searchParams.get("layer");
+    const layer = id
+      ? layers.find((candidate) => candidate.id === id)
+      : layers[0];
+    if (!layer) {
+      throw httpError(404, `Unknown layer "${id}"`);
+    }
+    return layer;
+  }
+
+  // Read-only endpoints may be called from other origins, e.g. dashboards
+  function addGetRoute(pathname, handler) {
+    router.addRoute("GET", pathname, (req, res, url) => {
+      res.setHeader("Access-Control-Allow-Origin", "*");
+      return handler(req, res, url);
+    });
+  }
+
+  addGetRoute("/api/health", (req, res) => {
+    const deliveryStats = context.getDeliveryStats();
+    const lastUpdate = Math.max(...layers.map((layer) => layer.publishedAt()));
+    sendJson(res, 200, {
+      status: "ok",
+      serverTime: new Date().toISOString(),
+      uptimeSeconds: Math.round((Date.now() - startedAt) / 1000),
+      clients: context.getClients().length,
+      lastUpdate: new Date(lastUpdate).toISOString(),
+      framesDropped: deliveryStats.framesDropped,
+      slowClientsDisconnected: deliveryStats.slowClientsDisconnected,
+      layers: layers.map((layer) => ({
+        id: layer.id,
+        pointCount: layer.points().size,
+        lastUpdate: new Date(layer.publishedAt()).toISOString(),
+      })),
+    });
+  });
+
+  addGetRoute("/api/clients", (req, res) => {
+    authorize(auth, req, "operator");
+    sendJson(res, 200, { clients: context.getClients() });
+  });
+
+  addGetRoute("/api/layers", (req, res) => {
+    authorize(auth, req);
+    sendJson(res, 200, { layers: layers.map((layer) => layer.describe()) });
+  });
+
+  addGetRoute("/api/points", (req, res, url) => {
+    authorize(auth, req);
+    const layer = findLayer(url);
+    const area = parseBbox(url);
+    sendJson(res, 200, {
+      layer: layer.id,
+      timestamp: new Date(layer.publishedAt()).toISOString(),
+      points: filterPoints(layer.points().values(), area),
+    });
+  });
+
+  addGetRoute("/api/stats", (req, res, url) => {
+    authorize(auth, req);
+    const layer = findLayer(url);
+    const points = Array.from(layer.points().values());
+    const body = {
+      layer: layer.id,
+      timestamp: new Date(layer.publishedAt()).toISOString(),
+    };
+
+    if (url.searchParams.has("lat") || url.searchParams.has("lng")) {
+      const area = {
+        type: "circle",
+        center: [parseNumber(url, "lat"), parseNumber(url, "lng")],
+        radiusMeters: parseNumber(url, "radiusMeters", 100),
+      };
+      const error = validateArea(area);
+      if (error) {
+        throw httpError(400, error);
+      }
+      const { count, sum, mean, peak } = aggregatePoints(points, area);
+      const value = inspect.interpolate(
+        points,
+        area.center[0],
+        area.center[1],
+        area.radiusMeters
+      );
+      body.location = {
+        lat: area.center[0],
+        lng: area.center[1],
+        radiusMeters: area.radiusMeters,
+        count,
+        sum: round(sum),
+        mean: round(mean),
+        peak: round(peak),
+        value: value === null ? null : round(value),
+      };
+    } else {
+      const zoneId = url.searchParams.get("zone");
+      const zones = zoneStore
+        .list()
+        .filter((zone) => zoneId === null || zone.id === zoneId);
+      if (zoneId !== null && zones.length === 0) {
+        throw httpError(404, `Unknown zone "${zoneId}"`);
+      }
+      const names = new Map(zones.map((zone) => [zone.id, zone.name]));
+      body.zones = zoneStore
+        .stats(points)
+        .filter((stats) => names.has(stats.zoneId))
+        .map((stats) =>
+          Object.assign(
+            { zoneId: stats.zoneId, name: names.get(stats.zoneId) },
+            stats
+          )
+        );
+    }
+    sendJson(res, 200, body);
+  });
+
+  addGetRoute("/api/history", (req, res, url) => {
+    authorize(auth, req);
+    const layer = findLayer(url);
+    if (!layer.history) {
+      throw httpError(503, "History recording is disabled");
+    }
+    const from = parseTime(url.searchParams.get("from"), "from");
+    const to = parseTime(url.searchParams.get("to"), "to");
+    if (from > to) {
+      throw httpError(400, '"from" must not be after "to"');
+    }
+    const maxFrames = parseNumber(url, "maxFrames", DEFAULT_HISTORY_FRAMES);
+    if (
+      !(Number.isInteger(maxFrames) && maxFrames >= 1) ||
+      maxFrames > MAX_HISTORY_FRAMES
+    ) {
+      throw httpError(
+        400,
+        `"maxFrames" must be a whole number from 1 to ${MAX_HISTORY_FRAMES}`
+      );
+    }
+    const area = parseBbox(url);
+
+    sendJson(res, 200, {
+      layer: layer.id,
+      from: new Date(from).toISOString(),
+      to: new Date(to).toISOString(),
+      frameCount: layer.history.count(from, to),
+      frames: layer.history.frames(from, to, maxFrames).map((frame) => ({
+        timestamp: frame.timestamp,
+        points: filterPoints(frame.points, area),
+      })),
+    });
+  });
+
+  router.addRoute("POST", "/api/ingest", async (req, res, url) => {
+    authorize(auth, req, "operator");
+    const layer = findLayer(url);
+    if (!layer.acceptsIngest) {
+      throw httpError(
+        409,
+        `Layer "${layer.id}" is fed by ${layer.source.name} and doesn't accept ingest`
+      );
+    }
+    const batch = parseBatch(await readBody(req), req.headers["content-type"]);
+    const { points, rejected } = normalizeReadings(batch.readings);
+
+    layer.ingest({ points, remove: batch.remove, replace: batch.replace });
+    sendJson(res, 202, { layer: layer.id, accepted: points.length, rejected });
+  });
+}
+
+module.exports = { addRestRoutes };
@@ -0,0 +1,137 @@
+// Tails a CSV or GeoJSON file on disk
+//
+// CSV files are treated as an append-only log: the header row names the
+// columns (lat, lng, intensity and optionally id) and every new row is
+// merged into the current points. GeoJSON files are re-read whenever they
+// change and replace the current points. data/sample-readings.csv (used by
+// heatmap.config.example.json) shows the CSV layout.
+//
+// Options:
+//   path            File to read (required)
+//   format          "csv" or "geojson" (default: from the file extension)
+//   pollIntervalMs  How often to check the file for changes (default 1000)
+
+const fs = require("fs");
+const path = require("path");
+const {
+  normalizeReadings,
+  parseCsvLine,
+  csvLinesToRecords,
+  geoJsonToReadings,
+} = require("./readings");
+
+function createFileSource(options) {
+  if (!options.path) {
+    throw new Error('File source needs a "path" option');
+  }
+
+  const filePath = path.resolve(options.path);
+  const format =
+    options.format || (/\.(geo)?json$/i.test(filePath) ? "geojson" : "csv");
+  const pollIntervalMs = options.pollIntervalMs || 1000;
+
+  let emit = null;
+  let offset = 0;
+  let header = null;
+  let partialLine = "";
+
+  function readCsv() {
+    const stats = fs.statSync(filePath);
+
+    // File was truncated or replaced: start again from the top
+    let replace = false;
+    if (stats.size < offset) {
+      offset = 0;
+      header = null;
+      partialLine = "";
+      replace = true;
+    }
+    if (stats.size === offset) {
+      return;
+    }
+
+    const buffer = Buffer.alloc(stats.size - offset);
+    const fd = fs.openSync(filePath, "r");
+    try {
+      fs.readSync(fd, buffer, 0, buffer.length, offset);
+    } finally {
+      fs.closeSync(fd);
+    }
+    offset = stats.size;
+
+    // Keep an unterminated last line until the rest of it is written
+    const lines = (partialLine + buffer.toString("utf8")).split(/\r?\n/);
+    partialLine = lines.pop();
+
+    if (!header && lines.length > 0) {
+      header = parseCsvLine(lines.shift());
+    }
+    if (!header) {
+      return;
+    }
+
+    const { points, rejected } = normalizeReadings(
+      csvLinesToRecords(header, lines)
+    );
+    if (rejected > 0) {
+      console.warn(`File source: skipped ${rejected} unusable CSV row(s)`);
+    }
+    if (points.length > 0 || replace) {
+      emit({ points, replace });
+    }
+  }
+
+  function readGeoJson() {
+    const geojson = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    const { points, rejected } = normalizeReadings(geoJsonToReadings(geojson));
+    if (rejected > 0) {
+      console.warn(`File source: skipped ${rejected} unusable feature(s)`);
+    }
+    emit({ points, replace: true });
+  }
+
+  function read() {
+    if (!emit) {
+      return;
+    }
+    try {
+      if (format === "geojson") {
+        readGeoJson();
+      } else {
+        readCsv();
+      }
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        console.warn("File source: waiting for", filePath);
+      } else {
+        console.error("File source: could not read", filePath, error.message);
+      }
+    }
+  }
+
+  function onChange(current, previous) {
+    if (
+      current.mtimeMs !== previous.mtimeMs ||
+      current.size !== previous.size
+    ) {
+      read();
+    }
+  }
+
+  return {
+    name: `file (${path.basename(filePath)})`,
+
+    start(onBatch) {
+      emit = onBatch;
+      read();
+      fs.watchFile(filePath, { interval: pollIntervalMs }, onChange);
+    },
+
+    stop() {
+      fs.unwatchFile(filePath, onChange);
+      emit = null;
+    },
+  };
+}
+
+module.exports = { createFileSource };
@@ -0,0 +1,92 @@
+// HTTP POST ingest endpoint for sensors that push readings in batches
+//
+// POST <path> with either
+//   - JSON: an array of readings, or
+//     { readings: [...], remove: [id, ...], replace: true|false }
+//   - CSV (Content-Type: text/csv): a header row (lat, lng, intensity, id)
+//     followed by one reading per line
+// Readings are merged into the current points unless "replace" is set.
+// When authentication is on, send an operator token as
+// "Authorization: Bearer <token>" or "?token=<token>".
+//
+// Options:
+//   path  Route to accept readings on (default "/ingest"); layers fed over
+//         HTTP each need their own, or the server refuses to start
+
+const {
+  normalizeReadings,
+  parseCsvLine,
+  csvLinesToRecords,
+  geoJsonToReadings,
+} = require("./readings");
+const { sendJson, httpError, readBody } = require("../http");
+
+// A request body as { readings, remove?, replace? }; throws a 400 httpError
+// when it can't be read. Also used by POST /api/ingest (server/rest-api.js).
+function parseBatch(body, contentType) {
+  if (/text\/csv/i.test(contentType || "")) {
+    const lines = body.split(/\r?\n/);
+    const header = parseCsvLine(lines.shift() || "");
+    return { readings: csvLinesToRecords(header, lines) };
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(body);
+  } catch (error) {
+    throw httpError(400, "Body is not valid JSON: " + error.message);
+  }
+
+  if (!payload || typeof payload !== "object") {
+    throw httpError(400, "Expected a JSON array or object of readings");
+  }
+  if (Array.isArray(payload) || payload.type) {
+    return { readings: geoJsonToReadings(payload) };
+  }
+  return {
+    readings: Array.isArray(payload.readings) ? payload.readings : [],
+    remove: Array.isArray(payload.remove) ? payload.remove.map(String) : [],
+    replace: payload.replace === true,
+  };
+}
+
+function createHttpIngestSource(options, context) {
+  const routePath = options.path || "/ingest";
+  let emit = null;
+
+  context.router.addRoute("POST", routePath, async (req, res) => {
+    const role = context.auth.authenticate(req);
+    if (!role) {
+      throw httpError(401, "Unauthorized");
+    }
+    if (role !== "operator") {
+      throw httpError(403, "Ingest requires the operator role");
+    }
+    if (!emit) {
+      throw httpError(503, "Ingest source is not running");
+    }
+
+    const batch = parseBatch(await readBody(req), req.headers["content-type"]);
+    const { points, rejected } = normalizeReadings(batch.readings);
+
+    emit({ points, remove: batch.remove, replace: batch.replace });
+    sendJson(res, 202, { accepted: points.length, rejected });
+  });
+
+  return {
+    name: `http ingest (POST ${routePath})`,
+
+    // Readings posted to /api/ingest merge in like those posted here
+    acceptsIngest: true,
+
+    start(onBatch) {
+      emit = onBatch;
+    },
+
+    stop() {
+      emit = null;
+    },
+  };
+}
+
+module.exports = { createHttpIngestSource, parseBatch };
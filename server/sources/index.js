@@ -0,0 +1,53 @@
+// Data source adapters
+//
+// The server reads heatmap points from exactly one source, chosen by the
+// "source" section of the config (see heatmap.config.example.json). An
+// adapter is an object with:
+//   name                     Label used in logs
+//   start(emit)              Begin producing data; call emit(batch) for each
+//                            batch of readings
+//   stop()                   Release timers, watchers and files
+//   tick()                   Optional: called on every broadcast interval, for
+//                            sources that generate data on the server's clock
+//   stats()                  Optional: extra fields added to each heatmap_delta
+//   flows()                  Optional: where people are moving, as
+//                            [{ id, from, to, volume, label? }] (see
+//                            server/flows.js); derived from the frames
+//                            otherwise
+//   handleMessage(ws, data)  Optional: source-specific client messages; return
+//                            true if the message was handled
+//   acceptsIngest            Optional: true if readings may also be posted to
+//                            POST /api/ingest (see server/rest-api.js)
+//
+// A batch is { points: [[id, lat, lng, intensity], ...], remove: [id, ...],
+// replace: true|false }. With replace the points become the complete set;
+// otherwise they are merged in by id.
+
+const { createSimulatorSource } = require("./simulator");
+const { createFileSource } = require("./file");
+const { createHttpIngestSource } = require("./http-ingest");
+const { createReplaySource } = require("./replay");
+const { createScenarioSource } = require("./scenario");
+
+const SOURCE_TYPES = {
+  simulator: createSimulatorSource,
+  file: createFileSource,
+  http: createHttpIngestSource,
+  replay: createReplaySource,
+  scenario: createScenarioSource,
+};
+
+// context: { router, auth } - shared services an adapter may need
+function createSource(sourceConfig, context) {
+  const factory = SOURCE_TYPES[sourceConfig.type];
+  if (!factory) {
+    throw new Error(
+      `Unknown source type "${
+        sourceConfig.type
+      }" (expected one of: ${Object.keys(SOURCE_TYPES).join(", ")})`
+    );
+  }
+  return factory(sourceConfig, context);
+}
+
+module.exports = { createSource, SOURCE_TYPES };
@@ -0,0 +1,168 @@
+// Helpers shared by the data source adapters for turning raw sensor
+// readings (CSV rows, GeoJSON features, JSON objects or arrays) into the
+// [id, lat, lng, intensity] points the server works with.
+
+const LAT_FIELDS = ["lat", "latitude", "y"];
+const LNG_FIELDS = ["lng", "lon", "long", "longitude", "x"];
+const INTENSITY_FIELDS = ["intensity", "weight", "value", "count"];
+const ID_FIELDS = ["id", "sensor_id", "sensorId", "name"];
+
+function pickField(record, names) {
+  for (const name of names) {
+    if (record[name] !== undefined && record[name] !== "") {
+      return record[name];
+    }
+  }
+  return undefined;
+}
+
+// Readings without an id are keyed by position, so a sensor that reports
+// the same spot again updates its point instead of adding a new one
+function positionId(lat, lng) {
+  return lat.toFixed(5) + "," + lng.toFixed(5);
+}
+
+// Convert one reading to [id, lat, lng, intensity], or null if it has no
+// usable coordinates. Accepts:
+//   [lat, lng], [lat, lng, intensity], [id, lat, lng, intensity]
+//   { id, lat, lng, intensity } (with common aliases, see *_FIELDS)
+//   GeoJSON Point features
+function normalizeReading(reading) {
+  let id;
+  let lat;
+  let lng;
+  let intensity;
+
+  if (Array.isArray(reading)) {
+    if (typeof reading[0] === "string" && reading.length >= 3) {
+      [id, lat, lng, intensity] = reading;
+    } else {
+      [lat, lng, intensity] = reading;
+    }
+  } else if (reading && reading.type === "Feature") {
+    const geometry = reading.geometry;
+    if (!geometry || geometry.type !== "Point") {
+      return null;
+    }
+    const properties = reading.properties || {};
+    [lng, lat] = geometry.coordinates;
+    id =
+      reading.id !== undefined ? reading.id : pickField(properties, ID_FIELDS);
+    intensity = pickField(properties, INTENSITY_FIELDS);
+  } else if (reading && typeof reading === "object") {
+    id = pickField(reading, ID_FIELDS);
+    lat = pickField(reading, LAT_FIELDS);
+    lng = pickField(reading, LNG_FIELDS);
+    intensity = pickField(reading, INTENSITY_FIELDS);
+  } else {
+    return null;
+  }
+
+  lat = Number(lat);
+  lng = Number(lng);
+  intensity = intensity === undefined ? 1 : Number(intensity);
+
+  if (
+    !isFinite(lat) ||
+    !isFinite(lng) ||
+    !isFinite(intensity) ||
+    Math.abs(lat) > 90 ||
+    Math.abs(lng) > 180
+  ) {
+    return null;
+  }
+
+  // An empty id names nothing (and the protocol refuses it), so it is
+  // treated as missing
+  return [
+    id === undefined || id === null || id === ""
+      ? positionId(lat, lng)
+      : String(id),
+    lat,
+    lng,
+    // Kept in the source's own units; clients normalise for display
+    Math.max(0, intensity),
+  ];
+}
+
+// Normalise a list of readings, dropping (and counting) the unusable ones
+function normalizeReadings(readings) {
+  const points = [];
+  let rejected = 0;
+  readings.forEach((reading) => {
+    const point = normalizeReading(reading);
+    if (point) {
+      points.push(point);
+    } else {
+      rejected++;
+    }
+  });
+  return { points, rejected };
+}
+
+// Split one CSV line into fields, honouring double-quoted values
+function parseCsvLine(line) {
+  const fields = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      fields.push(field.trim());
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field.trim());
+  return fields;
+}
+
+// Turn CSV data lines into records keyed by the (lower-cased) header names
+function csvLinesToRecords(header, lines) {
+  const columns = header.map((name) => name.toLowerCase());
+  return lines
+    .filter((line) => line.trim() !== "")
+    .map((line) => {
+      const values = parseCsvLine(line);
+      const record = {};
+      columns.forEach((column, index) => {
+        record[column] = values[index];
+      });
+      return record;
+    });
+}
+
+// Accept a GeoJSON FeatureCollection, a single Feature or a plain array
+function geoJsonToReadings(geojson) {
+  if (Array.isArray(geojson)) {
+    return geojson;
+  }
+  if (geojson && geojson.type === "FeatureCollection") {
+    return geojson.features || [];
+  }
+  if (geojson && geojson.type === "Feature") {
+    return [geojson];
+  }
+  return [];
+}
+
+module.exports = {
+  normalizeReading,
+  normalizeReadings,
+  parseCsvLine,
+  csvLinesToRecords,
+  geoJsonToReadings,
+};
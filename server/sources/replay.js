@@ -0,0 +1,89 @@
+// Replays a recording of heatmap frames
+//
+// A recording is newline-delimited JSON, one frame per line:
+//   {"timestamp": "2024-08-05T10:00:00.000Z", "points": [[id, lat, lng, intensity], ...]}
+// Frames are emitted with their original spacing (divided by "speed").
+//
+// Options:
+//   path   Recording file (required)
+//   speed  Playback speed multiplier (default 1)
+//   loop   Start again from the first frame at the end (default true)
+
+const fs = require("fs");
+const path = require("path");
+const { normalizeReadings } = require("./readings");
+
+function loadRecording(filePath) {
+  return fs
+    .readFileSync(filePath, "utf8")
+    .split(/\r?\n/)
+    .filter((line) => line.trim() !== "")
+    .map((line) => JSON.parse(line))
+    .filter((frame) => Array.isArray(frame.points))
+    .map((frame) => ({
+      time: Date.parse(frame.timestamp),
+      points: normalizeReadings(frame.points).points,
+    }))
+    .sort((a, b) => a.time - b.time);
+}
+
+function createReplaySource(options) {
+  if (!options.path) {
+    throw new Error('Replay source needs a "path" option');
+  }
+
+  const filePath = path.resolve(options.path);
+  const speed = options.speed > 0 ? options.speed : 1;
+  const loop = options.loop !== false;
+
+  let frames = [];
+  let index = 0;
+  let timer = null;
+  let emit = null;
+
+  function playNext() {
+    if (!emit) {
+      return;
+    }
+
+    if (index >= frames.length) {
+      if (!loop) {
+        console.log("Replay source: recording finished");
+        return;
+      }
+      index = 0;
+    }
+
+    const frame = frames[index];
+    emit({ points: frame.points, replace: true });
+    index++;
+
+    const next = frames[index];
+    // Frames without a usable timestamp are spaced one second apart
+    const gap =
+      next && isFinite(next.time - frame.time) ? next.time - frame.time : 1000;
+    timer = setTimeout(playNext, Math.max(0, gap) / speed);
+  }
+
+  return {
+    name: `replay (${path.basename(filePath)} at ${speed}x)`,
+
+    start(onBatch) {
+      frames = loadRecording(filePath);
+      if (frames.length === 0) {
+        throw new Error("Replay source: no frames in " + filePath);
+      }
+      console.log(`Replay source: loaded ${frames.length} frame(s)`);
+      emit = onBatch;
+      index = 0;
+      playNext();
+    },
+
+    stop() {
+      clearTimeout(timer);
+      emit = null;
+    },
+  };
+}
+
+module.exports = { createReplaySource };
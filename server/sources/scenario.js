@@ -0,0 +1,582 @@
+// Scripted crowd simulation, for operator training and demos
+//
+// A scenario file (JSON) describes venues, how many people arrive at each
+// over the day, scheduled events such as aarti times or festival peaks,
+// and movements between venues. The simulation runs on its own clock,
+// advancing `minutesPerTick` simulated minutes on every broadcast interval,
+// and all randomness comes from a generator seeded by `seed`: two runs of
+// the same scenario at the same speed produce the same frames.
+//
+//   {
+//     "name": "Shravan Monday at Somnath",
+//     "seed": 42,
+//     "startTime": "04:00",        // optional; lets times be given as "HH:MM"
+//     "durationMinutes": 1200,
+//     "minutesPerTick": 2,
+//     "loop": true,                // start over at the end (default: pause)
+//     "noise": 0.1,                // random variation in arrivals and values,
+//                                  // from 0 to 1 (default 0.1)
+//     "peoplePerUnit": 1,          // point values are head counts / this
+//     "venues": [{
+//       "id": "somnath", "name": "Somnath Temple",
+//       "center": [20.888, 70.4012], "radiusMeters": 250,
+//       "points": 12,              // crowd points spread over the venue
+//       "arrivals": [["04:00", 20], ["09:00", 120], ["20:00", 10]],
+//       "dwellMinutes": 45         // how long a visitor stays on average
+//     }],
+//     "events": [{
+//       "name": "Morning aarti", "venue": "somnath",
+//       "at": "06:30", "durationMinutes": 45,
+//       "arrivals": 150,           // extra people per minute until it ends
+//       "dispersalMinutes": 20     // then they leave over about this long
+//     }],
+//     "movements": [{
+//       "from": "somnath", "to": "bhalka",
+//       "at": "08:00", "durationMinutes": 120,
+//       "peoplePerMinute": 30, "travelMinutes": 20
+//     }]
+//   }
+//
+// Times ("at", and the first value of each arrivals pair) are minutes from
+// the start of the scenario, or "HH:MM" clock times when startTime is set.
+// Arrival rates (people per minute) are interpolated between the pairs.
+// People walking between venues are drawn along the way, and reported as
+// flows (see server/flows.js). See scenarios/somnath-shravan-monday.json
+// for a whole day. Values are head counts unless peoplePerUnit says
+// otherwise, so alert rules (see server/alerts.js) watching a scenario
+// need thresholds in people.
+//
+// Operators control the run with
+//   { type: "scenario_start" }                 play (or { restart: true })
+//   { type: "scenario_pause" }
+//   { type: "scenario_seek", minute: 180 }     jump to a scenario minute
+// and every heatmap_delta says where it is:
+//   scenario: { name, minute, clock, playing }
+//
+// Options:
+//   path            Scenario file (required)
+//   seed            Overrides the scenario's seed
+//   minutesPerTick  Overrides the scenario's speed
+//   autoplay        Start playing straight away (default true)
+
+const fs = require("fs");
+const path = require("path");
+
+const METERS_PER_DEGREE = 111320;
+
+// mulberry32: small, fast and good enough for simulation noise
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Numeric seeds are used as they are; strings are hashed (FNV-1a)
+function seedNumber(seed) {
+  if (typeof seed === "number") {
+    return seed;
+  }
+  let hash = 2166136261;
+  for (const char of String(seed)) {
+    hash = Math.imul(hash ^ char.charCodeAt(0), 16777619);
+  }
+  return hash >>> 0;
+}
+
+function parseClock(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(value);
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+    return null;
+  }
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+function formatClock(minutes) {
+  const total = Math.floor(minutes) % 1440;
+  const pad = (n) => String(n).padStart(2, "0");
+  return pad(Math.floor(total / 60)) + ":" + pad(total % 60);
+}
+
+// Load and check a scenario file, resolving every time to minutes from the
+// start. Throws with the offending field for a malformed scenario.
+function loadScenario(filePath) {
+  const scenario = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  const fail = (message) => {
+    throw new Error(`Scenario ${path.basename(filePath)}: ${message}`);
+  };
+
+  const startClock =
+    scenario.startTime === undefined ? null : parseClock(scenario.startTime);
+  if (scenario.startTime !== undefined && startClock === null) {
+    fail('startTime must be an "HH:MM" time');
+  }
+
+  function toMinute(value, field) {
+    if (typeof value === "number" && value >= 0) {
+      return value;
+    }
+    const clock = typeof value === "string" ? parseClock(value) : null;
+    if (clock === null || startClock === null) {
+      fail(
+        `${field} must be minutes from the start` +
+          (startClock === null ? "" : ' or an "HH:MM" time')
+      );
+    }
+    return (clock - startClock + 1440) % 1440;
+  }
+
+  function positive(value, field, fallback) {
+    if (value === undefined && fallback !== undefined) {
+      return fallback;
+    }
+    if (typeof value !== "number" || !(value > 0)) {
+      fail(`${field} must be a positive number`);
+    }
+    return value;
+  }
+
+  if (!Array.isArray(scenario.venues) || scenario.venues.length === 0) {
+    fail('needs at least one entry in "venues"');
+  }
+  const venueIds = new Set();
+  const venues = scenario.venues.map((venue, index) => {
+    const field = `venues[${index}]`;
+    if (typeof venue.id !== "string" || venue.id === "") {
+      fail(`${field}.id must be a non-empty string`);
+    }
+    if (venueIds.has(venue.id)) {
+      fail(`venue "${venue.id}" is listed twice`);
+    }
+    venueIds.add(venue.id);
+    if (
+      !Array.isArray(venue.center) ||
+      venue.center.length !== 2 ||
+      !venue.center.every(Number.isFinite)
+    ) {
+      fail(`${field}.center must be [lat, lng]`);
+    }
+    const arrivals = (venue.arrivals || []).map((pair, n) => {
+      if (!Array.isArray(pair) || pair.length !== 2 || !(pair[1] >= 0)) {
+        fail(`${field}.arrivals[${n}] must be [time, people per minute]`);
+      }
+      return [toMinute(pair[0], `${field}.arrivals[${n}]`), pair[1]];
+    });
+    return {
+      id: venue.id,
+      name: venue.name || venue.id,
+      center: venue.center,
+      radiusMeters: positive(venue.radiusMeters, `${field}.radiusMeters`, 200),
+      points: Math.round(positive(venue.points, `${field}.points`, 10)),
+      arrivals: arrivals.sort((a, b) => a[0] - b[0]),
+      dwellMinutes: positive(venue.dwellMinutes, `${field}.dwellMinutes`, 60),
+    };
+  });
+
+  const checkVenue = (id, field) => {
+    if (!venueIds.has(id)) {
+      fail(`${field} names an unknown venue "${id}"`);
+    }
+    return id;
+  };
+
+  const events = (scenario.events || []).map((event, index) => {
+    const field = `events[${index}]`;
+    return {
+      name: event.name || `Event ${index + 1}`,
+      venue: checkVenue(event.venue, `${field}.venue`),
+      at: toMinute(event.at, `${field}.at`),
+      durationMinutes: positive(
+        event.durationMinutes,
+        `${field}.durationMinutes`
+      ),
+      arrivals: positive(event.arrivals, `${field}.arrivals`),
+      dispersalMinutes: positive(
+        event.dispersalMinutes,
+        `${field}.dispersalMinutes`,
+        15
+      ),
+    };
+  });
+
+  const movements = (scenario.movements || []).map((movement, index) => {
+    const field = `movements[${index}]`;
+    return {
+      id: `move-${index}`,
+      from: checkVenue(movement.from, `${field}.from`),
+      to: checkVenue(movement.to, `${field}.to`),
+      at: toMinute(movement.at, `${field}.at`),
+      durationMinutes: positive(
+        movement.durationMinutes,
+        `${field}.durationMinutes`
+      ),
+      peoplePerMinute: positive(
+        movement.peoplePerMinute,
+        `${field}.peoplePerMinute`
+      ),
+      travelMinutes: positive(
+        movement.travelMinutes,
+        `${field}.travelMinutes`,
+        10
+      ),
+    };
+  });
+
+  // Values are scaled by 1 ± noise, which must stay positive
+  const noise = scenario.noise === undefined ? 0.1 : scenario.noise;
+  if (typeof noise !== "number" || !(noise >= 0 && noise <= 1)) {
+    fail("noise must be a number from 0 to 1");
+  }
+
+  return {
+    name: scenario.name || path.basename(filePath, ".json"),
+    seed: scenario.seed === undefined ? 1 : scenario.seed,
+    startClock,
+    durationMinutes: positive(scenario.durationMinutes, "durationMinutes"),
+    minutesPerTick: positive(scenario.minutesPerTick, "minutesPerTick", 1),
+    loop: scenario.loop === true,
+    noise,
+    peoplePerUnit: positive(scenario.peoplePerUnit, "peoplePerUnit", 1),
+    venues,
+    events,
+    movements,
+  };
+}
+
+// Arrival rate at a minute, interpolated between [minute, rate] pairs and
+// held flat beyond the first and last
+function rateAt(curve, minute) {
+  if (curve.length === 0) {
+    return 0;
+  }
+  if (minute <= curve[0][0]) {
+    return curve[0][1];
+  }
+  for (let i = 1; i < curve.length; i++) {
+    if (minute <= curve[i][0]) {
+      const [t0, r0] = curve[i - 1];
+      const [t1, r1] = curve[i];
+      return r0 + ((r1 - r0) * (minute - t0)) / (t1 - t0 || 1);
+    }
+  }
+  return curve[curve.length - 1][1];
+}
+
+// Is a scheduled window open at a minute?
+function isActive(item, minute) {
+  return minute >= item.at && minute < item.at + item.durationMinutes;
+}
+
+function createScenarioSource(options) {
+  if (!options.path) {
+    throw new Error('Scenario source needs a "path" option');
+  }
+
+  const filePath = path.resolve(options.path);
+  const scenario = loadScenario(filePath);
+  const seed = seedNumber(
+    options.seed === undefined ? scenario.seed : options.seed
+  );
+  const minutesPerTick =
+    options.minutesPerTick > 0
+      ? options.minutesPerTick
+      : scenario.minutesPerTick;
+
+  const venuesById = new Map(scenario.venues.map((v) => [v.id, v]));
+
+  let random = null;
+  let minute = 0;
+  let playing = options.autoplay !== false;
+  let emit = null;
+
+  // Simulation state, rebuilt by reset():
+  //   layout      venue id -> crowd points [{ id, lat, lng, weight }]
+  //   crowds      venue id -> people there for the venue itself
+  //   eventCrowds event index -> people there for the event
+  //   walkers     groups moving between venues
+  let layout = null;
+  let crowds = null;
+  let eventCrowds = null;
+  let walkers = null;
+  let nextWalkerId = 0;
+
+  // Scatter each venue's crowd points over its area, more towards the
+  // centre, each with its own share of the crowd
+  function layOut(venue) {
+    const latScale = 1 / METERS_PER_DEGREE;
+    const lngScale =
+      1 / (METERS_PER_DEGREE * Math.cos((venue.center[0] * Math.PI) / 180));
+    const points = [];
+    for (let i = 0; i < venue.points; i++) {
+      const angle = random() * 2 * Math.PI;
+      const distance = i === 0 ? 0 : random() * venue.radiusMeters;
+      points.push({
+        id: `${venue.id}-${i}`,
+        lat: venue.center[0] + Math.sin(angle) * distance * latScale,
+        lng: venue.center[1] + Math.cos(angle) * distance * lngScale,
+        weight: 0.5 + random(),
+      });
+    }
+    return points;
+  }
+
+  // Back to minute 0 with a freshly seeded generator
+  function reset() {
+    random = createRandom(seed);
+    minute = 0;
+    layout = new Map();
+    crowds = new Map();
+    scenario.venues.forEach((venue) => {
+      layout.set(venue.id, layOut(venue));
+      crowds.set(venue.id, 0);
+    });
+    eventCrowds = scenario.events.map(() => 0);
+    walkers = [];
+    nextWalkerId = 0;
+  }
+
+  // Random factor around 1
+  function jitter(generator) {
+    return 1 + scenario.noise * ((generator || random)() * 2 - 1);
+  }
+
+  function venueTotal(id) {
+    let total = crowds.get(id);
+    scenario.events.forEach((event, index) => {
+      if (event.venue === id) {
+        total += eventCrowds[index];
+      }
+    });
+    return total;
+  }
+
+  // Take up to `count` people from a venue, evenly from its own crowd and
+  // its events' crowds; returns how many were taken
+  function takeFrom(id, count) {
+    const total = venueTotal(id);
+    if (total <= 0) {
+      return 0;
+    }
+    const share = Math.min(1, count / total);
+    crowds.set(id, crowds.get(id) * (1 - share));
+    scenario.events.forEach((event, index) => {
+      if (event.venue === id) {
+        eventCrowds[index] *= 1 - share;
+      }
+    });
+    return total * share;
+  }
+
+  // Advance the simulation by `dt` minutes
+  function step(dt) {
+    scenario.venues.forEach((venue) => {
+      const arrived = rateAt(venue.arrivals, minute) * jitter() * dt;
+      const crowd = crowds.get(venue.id) + arrived;
+      crowds.set(venue.id, crowd * (1 - Math.min(1, dt / venue.dwellMinutes)));
+    });
+
+    // Event crowds build up while the event is on and disperse after it
+    scenario.events.forEach((event, index) => {
+      if (isActive(event, minute)) {
+        eventCrowds[index] += event.arrivals * jitter() * dt;
+      } else if (minute >= event.at) {
+        eventCrowds[index] *= 1 - Math.min(1, dt / event.dispersalMinutes);
+      }
+    });
+
+    scenario.movements.forEach((movement) => {
+      if (isActive(movement, minute)) {
+        const count = takeFrom(
+          movement.from,
+          movement.peoplePerMinute * jitter() * dt
+        );
+        if (count > 0) {
+          walkers.push({
+            id: `${movement.id}-${nextWalkerId++}`,
+            movement,
+            count,
+            departedAt: minute,
+          });
+        }
+      }
+    });
+
+    minute += dt;
+
+    walkers = walkers.filter((walker) => {
+      if (minute - walker.departedAt < walker.movement.travelMinutes) {
+        return true;
+      }
+      const to = walker.movement.to;
+      crowds.set(to, crowds.get(to) + walker.count);
+      return false;
+    });
+  }
+
+  // The crowd as [id, lat, lng, value] points. The spread between a
+  // venue's points varies with its own generator, seeded by the minute, so
+  // how often frames are taken doesn't change the simulation.
+  function currentPoints() {
+    const spread = createRandom(seed + Math.round(minute * 1000));
+    const points = [];
+    const unit = scenario.peoplePerUnit;
+    scenario.venues.forEach((venue) => {
+      const spots = layout.get(venue.id);
+      const totalWeight = spots.reduce((sum, spot) => sum + spot.weight, 0);
+      const total = venueTotal(venue.id);
+      spots.forEach((spot) => {
+        const people = (total * spot.weight * jitter(spread)) / totalWeight;
+        points.push([spot.id, spot.lat, spot.lng, Math.max(0, people) / unit]);
+      });
+    });
+
+    walkers.forEach((walker) => {
+      const from = venuesById.get(walker.movement.from).center;
+      const to = venuesById.get(walker.movement.to).center;
+      const progress =
+        (minute - walker.departedAt) / walker.movement.travelMinutes;
+      points.push([
+        walker.id,
+        from[0] + (to[0] - from[0]) * progress,
+        from[1] + (to[1] - from[1]) * progress,
+        walker.count / unit,
+      ]);
+    });
+    return points;
+  }
+
+  function publish() {
+    if (emit) {
+      emit({ points: currentPoints(), replace: true });
+    }
+  }
+
+  // Run the simulation forward to a minute; going back starts over, so a
+  // seek lands on exactly the state a straight run would have reached
+  function seek(target) {
+    const to = Math.min(target, scenario.durationMinutes);
+    if (to < minute) {
+      reset();
+    }
+    while (minute < to) {
+      step(Math.min(minutesPerTick, to - minute));
+    }
+  }
+
+  function clock() {
+    return scenario.startClock === null
+      ? null
+      : formatClock(scenario.startClock + minute);
+  }
+
+  function describePosition() {
+    return `minute ${Math.round(minute)}` + (clock() ? ` (${clock()})` : "");
+  }
+
+  reset();
+
+  return {
+    name: `scenario (${scenario.name})`,
+
+    start(onBatch) {
+      emit = onBatch;
+      console.log(
+        `Scenario "${scenario.name}": seed ${seed}, ` +
+          `${minutesPerTick} minute(s) per tick` +
+          (playing ? "" : ", paused")
+      );
+      publish();
+    },
+
+    stop() {
+      emit = null;
+    },
+
+    tick() {
+      if (!playing) {
+        return;
+      }
+      if (minute >= scenario.durationMinutes) {
+        if (!scenario.loop) {
+          playing = false;
+          console.log(`Scenario "${scenario.name}" finished`);
+          return;
+        }
+        reset();
+      } else {
+        step(Math.min(minutesPerTick, scenario.durationMinutes - minute));
+      }
+      publish();
+    },
+
+    stats() {
+      return {
+        scenario: {
+          name: scenario.name,
+          minute: Math.round(minute * 10) / 10,
+          clock: clock(),
+          playing,
+        },
+      };
+    },
+
+    // People on their way between venues, one flow per movement
+    flows() {
+      const volumes = new Map();
+      walkers.forEach((walker) => {
+        const movement = walker.movement;
+        volumes.set(movement, (volumes.get(movement) || 0) + walker.count);
+      });
+      return Array.from(volumes, ([movement, people]) => {
+        const from = venuesById.get(movement.from);
+        const to = venuesById.get(movement.to);
+        return {
+          id: movement.id,
+          from: from.center,
+          to: to.center,
+          volume: Math.round((people / scenario.peoplePerUnit) * 1e3) / 1e3,
+          label: `${from.name} → ${to.name}`,
+        };
+      });
+    },
+
+    handleMessage(ws, data) {
+      if (data.type === "scenario_start") {
+        if (data.restart || minute >= scenario.durationMinutes) {
+          reset();
+          publish();
+        }
+        playing = true;
+        console.log(
+          `Scenario "${scenario.name}" playing from`,
+          describePosition()
+        );
+        return true;
+      }
+
+      if (data.type === "scenario_pause") {
+        playing = false;
+        console.log(
+          `Scenario "${scenario.name}" paused at`,
+          describePosition()
+        );
+        return true;
+      }
+
+      if (data.type === "scenario_seek") {
+        seek(data.minute);
+        publish();
+        console.log(`Scenario "${scenario.name}" moved to`, describePosition());
+        return true;
+      }
+
+      return false;
+    },
+  };
+}
+
+module.exports = { createScenarioSource, loadScenario };
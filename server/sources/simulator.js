@@ -0,0 +1,220 @@
+// Simulated crowd gathering at Somnath Temple
+//
+// Generates data on the server's broadcast clock: every tick() the crowd
+// intensity ramps up, fluctuates and occasionally peaks, and the whole frame
+// is emitted as a replacement batch.
+
+const { isInArea } = require("../geo");
+
+// Somnath Temple coordinates
+const SOMNATH_TEMPLE = {
+  lat: 20.8883,
+  lng: 70.4011,
+};
+
+// The generated crowd stays well inside this circle around the temple
+const SOMNATH_AREA = {
+  type: "circle",
+  center: [SOMNATH_TEMPLE.lat, SOMNATH_TEMPLE.lng],
+  radiusMeters: 1000,
+};
+
+// Base heatmap data for Gujarat
+// Each point is [id, lat, lng, intensity]; ids must stay stable between
+// updates so clients can apply deltas to the points they already have.
+const baseHeatmapData = [
+  ["ahmedabad", 23.0225, 72.5714, 0.7],
+  ["jamnagar", 22.3072, 70.8022, 0.6],
+  ["surat", 21.1702, 72.8311, 0.7],
+  ["kutch", 23.1815, 69.6692, 0.5],
+  ["rajkot", 22.4707, 70.0583, 0.6],
+  ["gandhinagar", 23.2156, 72.6369, 0.7],
+  ["vadodara", 21.7645, 72.1519, 0.6],
+  ["kalol", 23.0333, 72.6167, 0.7],
+  ["mehsana", 22.7, 72.8667, 0.5],
+];
+
+// Largest step a crowd point drifts per tick, in degrees (~3 m, below the
+// default flows.minMoveMeters, so drift doesn't read as people walking)
+const MAX_DRIFT_DEGREES = 0.00003;
+
+// Largest change per tick in a crowd point's share of the temple intensity
+const MAX_SHARE_DRIFT = 0.01;
+
+function drift(value, step, min, max) {
+  return Math.max(min, Math.min(max, value + (Math.random() - 0.5) * 2 * step));
+}
+
+// A crowd point around the temple as [latOffset, lngOffset, share]: where
+// it is relative to the temple and what share of the temple's intensity it
+// has. Each id keeps its spot and share between ticks, only drifting a
+// little, so an id stays one place on the map rather than jumping around
+// (flows and transitions compare points by id).
+function nextCrowdPoint(crowdPoints, id) {
+  const previous = crowdPoints.get(id);
+  const point = previous
+    ? [
+        drift(previous[0], MAX_DRIFT_DEGREES, -0.005, 0.005),
+        drift(previous[1], MAX_DRIFT_DEGREES, -0.005, 0.005),
+        drift(previous[2], MAX_SHARE_DRIFT, 0.7, 1),
+      ]
+    : [
+        // Random spot within ~500 meters of the temple
+        (Math.random() - 0.5) * 0.01,
+        (Math.random() - 0.5) * 0.01,
+        // Intensity decreases slightly from center
+        0.7 + Math.random() * 0.3,
+      ];
+  crowdPoints.set(id, point);
+  return point;
+}
+
+// Function to generate heatmap data points around Somnath Temple
+// More people = more data points with higher intensity
+function generateSomnathHeatPoints(intensity, crowdPoints) {
+  const points = [];
+  const numPoints = Math.floor(intensity * 15) + 5; // 5-20 points based on intensity
+
+  // Main temple point (always highest)
+  points.push([
+    "somnath-temple",
+    SOMNATH_TEMPLE.lat,
+    SOMNATH_TEMPLE.lng,
+    intensity,
+  ]);
+
+  // Generate surrounding points to show crowd spread
+  for (let i = 0; i < numPoints - 1; i++) {
+    const [latOffset, lngOffset, share] = nextCrowdPoint(
+      crowdPoints,
+      "somnath-" + i
+    );
+    const pointIntensity = intensity * share;
+
+    points.push([
+      "somnath-" + i,
+      SOMNATH_TEMPLE.lat + latOffset,
+      SOMNATH_TEMPLE.lng + lngOffset,
+      Math.min(1.0, pointIntensity),
+    ]);
+  }
+
+  return points;
+}
+
+function createSimulatorSource() {
+  // Track crowd gathering at Somnath Temple
+  let somnathCrowdIntensity = 0.5; // Start with low intensity
+  let crowdGatheringActive = true; // Set to false to stop gathering simulation
+  let updateCount = 0;
+  let emit = null;
+  // Crowd point id -> [latOffset, lngOffset, share] (see nextCrowdPoint)
+  const crowdPoints = new Map();
+
+  // Function to get current heatmap data
+  function getCurrentHeatmapData() {
+    const somnathPoints = generateSomnathHeatPoints(
+      somnathCrowdIntensity,
+      crowdPoints
+    );
+    return [...baseHeatmapData, ...somnathPoints];
+  }
+
+  function tick() {
+    // Simulate crowd gathering (gradually increase intensity)
+    if (crowdGatheringActive) {
+      updateCount++;
+
+      // Gradually increase intensity over time
+      // Reaches maximum (1.0) after ~5 minutes (100 updates * 3 seconds)
+      const targetIntensity = Math.min(1.0, 0.5 + (updateCount / 100) * 0.5);
+
+      // Add some realistic variation (crowd fluctuates)
+      const variation = (Math.random() - 0.5) * 0.05; // Small random variation
+      somnathCrowdIntensity = Math.max(
+        0.3,
+        Math.min(1.0, targetIntensity + variation)
+      );
+
+      // Occasionally simulate peak times (festivals, special events)
+      if (Math.random() < 0.1) {
+        // 10% chance
+        somnathCrowdIntensity = Math.min(1.0, somnathCrowdIntensity + 0.2);
+        console.log("🌟 Peak crowd detected at Somnath Temple!");
+      }
+    }
+
+    // Get current heatmap data with updated Somnath intensity
+    const currentData = getCurrentHeatmapData();
+
+    // Add small random variations to other locations (simulate normal activity)
+    const updatedData = currentData.map((point) => {
+      const [id, lat, lng, intensity] = point;
+
+      // Don't modify Somnath Temple points (they're already updated)
+      if (isInArea(lat, lng, SOMNATH_AREA)) {
+        return point; // Keep Somnath points as-is
+      }
+
+      // Small random variation for other locations
+      const variation = (Math.random() - 0.5) * 0.1;
+      const newIntensity = Math.max(0.1, Math.min(1.0, intensity + variation));
+      return [id, lat, lng, newIntensity];
+    });
+
+    emit({ points: updatedData, replace: true });
+
+    console.log(
+      `📊 Update #${updateCount} - Somnath Temple intensity: ${somnathCrowdIntensity.toFixed(
+        3
+      )} ` +
+        `(Estimated crowd: ~${Math.floor(somnathCrowdIntensity * 1000)} people)`
+    );
+  }
+
+  return {
+    name: "simulator",
+
+    start(onBatch) {
+      emit = onBatch;
+      // Publish a first frame so clients connecting before the first tick
+      // still get a snapshot
+      emit({ points: getCurrentHeatmapData(), replace: true });
+    },
+
+    stop() {
+      emit = null;
+    },
+
+    tick,
+
+    stats() {
+      return {
+        somnathIntensity: somnathCrowdIntensity.toFixed(3),
+        crowdCount: Math.floor(somnathCrowdIntensity * 1000), // Estimated crowd size
+      };
+    },
+
+    // Handle manual crowd control (optional)
+    handleMessage(ws, data) {
+      if (data.type === "set_crowd_intensity") {
+        somnathCrowdIntensity = Math.max(0, Math.min(1.0, data.intensity));
+        console.log("Crowd intensity manually set to:", somnathCrowdIntensity);
+        return true;
+      }
+
+      if (data.type === "toggle_gathering") {
+        crowdGatheringActive = data.active;
+        console.log(
+          "Crowd gathering:",
+          crowdGatheringActive ? "ACTIVE" : "PAUSED"
+        );
+        return true;
+      }
+
+      return false;
+    },
+  };
+}
+
+module.exports = { createSimulatorSource };
@@ -0,0 +1,25 @@
+// Small JSON files the server keeps its editable state in (POIs, zones)
+
+const fs = require("fs");
+const path = require("path");
+
+// Parsed contents, or null if the file doesn't exist
+function readJsonFile(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return null;
+    }
+    throw error;
+  }
+}
+
+// Write to a temporary file first so a crash can't leave half a file
+function writeJsonFile(file, value) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file + ".tmp", JSON.stringify(value, null, 2));
+  fs.renameSync(file + ".tmp", file);
+}
+
+module.exports = { readJsonFile, writeJsonFile };
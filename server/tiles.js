@@ -0,0 +1,67 @@
+// Locally served map tiles
+//
+// With config.tiles.dir set, the server hands out a directory of XYZ tiles
+// laid out as <dir>/<z>/<x>/<y>.<ext>, so the map has a background without
+// internet access:
+//   GET /tiles/{z}/{x}/{y}.png
+// An MBTiles file can be unpacked into such a directory with e.g.
+// `mb-util --image_format=png tiles.mbtiles <dir>` (MBTiles stores rows
+// bottom-up; mb-util writes the XYZ layout Leaflet expects).
+//
+// Tiles are public: the map requests them as plain images, and the service
+// worker caches them for offline use (see sw.js).
+
+const fs = require("fs");
+const path = require("path");
+const { httpError } = require("./http");
+
+const TILE_PATH = /^\/tiles\/(\d+)\/(\d+)\/(\d+)\.(png|jpg|jpeg|webp)$/;
+
+const CONTENT_TYPES = {
+  png: "image/png",
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  webp: "image/webp",
+};
+
+// context: { router }; tilesConfig: config.tiles
+function addTileRoutes(context, tilesConfig) {
+  if (!tilesConfig.dir) {
+    return;
+  }
+  const dir = path.resolve(tilesConfig.dir);
+  if (!fs.existsSync(dir)) {
+    console.warn("Tile directory not found:", dir);
+  }
+
+  context.router.addRoute("GET", "/tiles/*", (req, res, url) => {
+    // Only digits get into the file path, so it can't leave the directory
+    const match = TILE_PATH.exec(url.pathname);
+    if (!match) {
+      throw httpError(404, "Not a tile path: /tiles/{z}/{x}/{y}.png");
+    }
+    const [, z, x, y, extension] = match;
+    const file = path.join(dir, z, x, `${y}.${extension}`);
+
+    return fs.promises.readFile(file).then(
+      (data) => {
+        res.writeHead(200, {
+          "Content-Type": CONTENT_TYPES[extension],
+          "Cache-Control": `public, max-age=${tilesConfig.maxAgeSeconds}`,
+          // Lets the export panel draw the tiles into a PNG
+          "Access-Control-Allow-Origin": "*",
+        });
+        res.end(data);
+      },
+      (error) => {
+        if (error.code === "ENOENT") {
+          throw httpError(404, "No such tile");
+        }
+        throw error;
+      }
+    );
+  });
+  console.log("Serving map tiles from", dir, "at /tiles/{z}/{x}/{y}.png");
+}
+
+module.exports = { addTileRoutes };
@@ -0,0 +1,133 @@
+// Named zones drawn on the map, with per-zone crowd statistics
+//
+// A zone is { id, name, area, updatedAt } where area is a circle or
+// polygon (see geo.js). Zones are saved as { zones: [...] } after every
+// change. stats() aggregates the heat points inside each zone, and is run
+// on every broadcast frame so clients can show live per-zone numbers.
+
+const path = require("path");
+const { readJsonFile, writeJsonFile } = require("./storage");
+const { validateArea, aggregatePoints } = require("./geo");
+
+function generateId() {
+  return (
+    "zone-" +
+    Date.now().toString(36) +
+    "-" +
+    Math.random().toString(36).slice(2, 8)
+  );
+}
+
+function round(value) {
+  return Math.round(value * 1e3) / 1e3;
+}
+
+function createZoneStore(options) {
+  const file = path.resolve(options.file);
+  const zones = new Map();
+
+  function load() {
+    let saved = null;
+    try {
+      saved = readJsonFile(file);
+    } catch (error) {
+      console.error("Zones: could not read saved zones -", error.message);
+    }
+    ((saved && saved.zones) || []).forEach((zone) => {
+      const error = validateArea(zone.area);
+      if (error) {
+        console.warn(`Zones: skipping "${zone.id}": ${error}`);
+        return;
+      }
+      zones.set(zone.id, zone);
+    });
+    console.log(`Zones: ${zones.size} loaded`);
+  }
+
+  // A failed save is logged; the change still reaches connected clients
+  function save() {
+    try {
+      writeJsonFile(file, { zones: Array.from(zones.values()) });
+    } catch (error) {
+      console.error("Zones: could not save", file, "-", error.message);
+    }
+  }
+
+  function list() {
+    return Array.from(zones.values());
+  }
+
+  // Throws for a malformed area or a client-chosen id that is taken
+  function create(fields) {
+    const id = fields.id || generateId();
+    if (zones.has(id)) {
+      throw new Error("Zone already exists: " + id);
+    }
+    const error = validateArea(fields.area);
+    if (error) {
+      throw new Error(error);
+    }
+    const zone = {
+      id: id,
+      name: fields.name,
+      area: fields.area,
+      updatedAt: new Date().toISOString(),
+    };
+    zones.set(id, zone);
+    save();
+    return zone;
+  }
+
+  // Returns the updated zone, or null if there is no such zone
+  function update(id, changes) {
+    const zone = zones.get(id);
+    if (!zone) {
+      return null;
+    }
+    if (changes.area !== undefined) {
+      const error = validateArea(changes.area);
+      if (error) {
+        throw new Error(error);
+      }
+      zone.area = changes.area;
+    }
+    if (changes.name !== undefined) {
+      zone.name = changes.name;
+    }
+    zone.updatedAt = new Date().toISOString();
+    save();
+    return zone;
+  }
+
+  // Returns the removed zone, or null if there is no such zone
+  function remove(id) {
+    const zone = zones.get(id);
+    if (!zone) {
+      return null;
+    }
+    zones.delete(id);
+    save();
+    return zone;
+  }
+
+  // [{ zoneId, count, sum, mean, peak }] for the given points
+  function stats(points) {
+    const list = Array.from(points);
+    return Array.from(zones.values()).map((zone) => {
+      const { count, sum, mean, peak } = aggregatePoints(list, zone.area);
+      return {
+        zoneId: zone.id,
+        count: count,
+        sum: round(sum),
+        mean: round(mean),
+        peak: round(peak),
+      };
+    });
+  }
+
+  load();
+
+  return { list, create, update, remove, stats };
+}
+
+module.exports = { createZoneStore };
@@ -0,0 +1,139 @@
+// Binary encoding for the point-heavy heatmap messages, shared by the
+// browser client (loaded as a plain script, exposing window.HeatmapCodec)
+// and the Node server (require("./shared/heatmap-codec")).
+//
+// Snapshots and deltas are mostly arrays of [id, lat, lng, value] points,
+// which as JSON text spend ~40 bytes a point on digits. Clients that list
+// "binary" in their hello get those messages as binary WebSocket frames
+// instead:
+//   byte 0       format version (1)
+//   bytes 1-4    length of the header, uint32 little-endian
+//   header       the message as UTF-8 JSON, with each point array replaced
+//                by its point ids and "packed" listing those fields in order
+//   then         per point of each packed field: lat and lng as int32
+//                microdegrees, value as float64, little-endian (16 bytes)
+// Decoding gives back the message as sent; coordinates are to the
+// microdegree, as the server rounds them anyway. Every other message stays
+// JSON text.
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.HeatmapCodec = factory();
+  }
+})(this, function () {
+  var FORMAT_VERSION = 1;
+
+  // Message fields that hold point arrays
+  var POINT_FIELDS = ["points", "add", "update"];
+
+  var HEADER_OFFSET = 5;
+  var BYTES_PER_POINT = 16;
+  var COORDINATE_SCALE = 1e6;
+
+  // Whether this environment can encode and decode
+  function isSupported() {
+    return (
+      typeof TextEncoder !== "undefined" &&
+      typeof TextDecoder !== "undefined" &&
+      typeof DataView !== "undefined"
+    );
+  }
+
+  // The message as a Uint8Array, or null if it has no points to pack (send
+  // it as JSON then)
+  function encode(message) {
+    var fields = POINT_FIELDS.filter(function (field) {
+      return Array.isArray(message[field]);
+    });
+    if (fields.length === 0) {
+      return null;
+    }
+
+    var header = { packed: fields };
+    var pointCount = 0;
+    Object.keys(message).forEach(function (key) {
+      if (fields.indexOf(key) === -1) {
+        header[key] = message[key];
+        return;
+      }
+      header[key] = message[key].map(function (point) {
+        return point[0];
+      });
+      pointCount += message[key].length;
+    });
+
+    var json = new TextEncoder().encode(JSON.stringify(header));
+    var bytes = new Uint8Array(
+      HEADER_OFFSET + json.length + pointCount * BYTES_PER_POINT
+    );
+    var view = new DataView(bytes.buffer);
+    view.setUint8(0, FORMAT_VERSION);
+    view.setUint32(1, json.length, true);
+    bytes.set(json, HEADER_OFFSET);
+
+    var offset = HEADER_OFFSET + json.length;
+    fields.forEach(function (field) {
+      message[field].forEach(function (point) {
+        view.setInt32(offset, Math.round(point[1] * COORDINATE_SCALE), true);
+        view.setInt32(
+          offset + 4,
+          Math.round(point[2] * COORDINATE_SCALE),
+          true
+        );
+        view.setFloat64(offset + 8, point[3], true);
+        offset += BYTES_PER_POINT;
+      });
+    });
+    return bytes;
+  }
+
+  // The message in an ArrayBuffer or Uint8Array (a Node Buffer is one);
+  // throws for data that isn't in this format
+  function decode(data) {
+    var bytes = ArrayBuffer.isView(data) ? data : new Uint8Array(data);
+    var view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    if (bytes.byteLength < HEADER_OFFSET) {
+      throw new Error("Binary message is too short");
+    }
+    if (view.getUint8(0) !== FORMAT_VERSION) {
+      throw new Error("Unknown binary message format " + view.getUint8(0));
+    }
+    var headerLength = view.getUint32(1, true);
+    var message = JSON.parse(
+      new TextDecoder().decode(
+        bytes.subarray(HEADER_OFFSET, HEADER_OFFSET + headerLength)
+      )
+    );
+
+    var fields = message.packed || [];
+    delete message.packed;
+    var offset = HEADER_OFFSET + headerLength;
+    var pointCount = fields.reduce(function (total, field) {
+      return total + message[field].length;
+    }, 0);
+    if (bytes.byteLength !== offset + pointCount * BYTES_PER_POINT) {
+      throw new Error("Binary message has the wrong length");
+    }
+    fields.forEach(function (field) {
+      message[field] = message[field].map(function (id) {
+        var point = [
+          id,
+          view.getInt32(offset, true) / COORDINATE_SCALE,
+          view.getInt32(offset + 4, true) / COORDINATE_SCALE,
+          view.getFloat64(offset + 8, true),
+        ];
+        offset += BYTES_PER_POINT;
+        return point;
+      });
+    });
+    return message;
+  }
+
+  return {
+    FORMAT_VERSION: FORMAT_VERSION,
+    isSupported: isSupported,
+    encode: encode,
+    decode: decode,
+  };
+});
@@ -0,0 +1,156 @@
+// Export formats for heatmap frames, shared by the browser client (loaded as
+// a plain script, exposing window.HeatmapExport) and the Node server
+// (require("./shared/heatmap-export")).
+//
+// A frame is { timestamp, layer, points: [[id, lat, lng, intensity], ...],
+// binning? } where layer is the id of the heatmap layer the points belong
+// to. A frame with "binning" ({ shape, zoom, cellPixels }, as the server
+// describes bins) holds bins, each the sum of the raw points in its cell,
+// and its points are labelled as such. Several frames (e.g. recorded
+// history, or every visible layer) go into one file:
+//   GeoJSON  a FeatureCollection of Point features with id, intensity,
+//            timestamp and layer properties (and binning for bins), plus an
+//            "export" member saying when and from what it was exported
+//   CSV      timestamp,layer,id,lat,lng,intensity,binning with a header
+//            row; binning is empty for raw points and e.g. "hex zoom 7
+//            30px" for bins
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.HeatmapExport = factory();
+  }
+})(this, function () {
+  var FORMATS = {
+    geojson: { extension: "geojson", mimeType: "application/geo+json" },
+    csv: { extension: "csv", mimeType: "text/csv" },
+  };
+
+  var CSV_COLUMNS = [
+    "timestamp",
+    "layer",
+    "id",
+    "lat",
+    "lng",
+    "intensity",
+    "binning",
+  ];
+
+  // Quote fields that would otherwise break the row
+  function csvField(value) {
+    var text = value === undefined || value === null ? "" : String(value);
+    if (/[",\r\n]/.test(text)) {
+      return '"' + text.replace(/"/g, '""') + '"';
+    }
+    return text;
+  }
+
+  // "hex zoom 7 30px" for a frame of bins, "" for raw points
+  function describeBinning(binning) {
+    return binning
+      ? binning.shape +
+          " zoom " +
+          binning.zoom +
+          " " +
+          binning.cellPixels +
+          "px"
+      : "";
+  }
+
+  function framesToCsv(frames) {
+    var lines = [CSV_COLUMNS.join(",")];
+    frames.forEach(function (frame) {
+      var binning = describeBinning(frame.binning);
+      frame.points.forEach(function (point) {
+        lines.push(
+          [
+            frame.timestamp,
+            frame.layer,
+            point[0],
+            point[1],
+            point[2],
+            point[3],
+            binning,
+          ]
+            .map(csvField)
+            .join(",")
+        );
+      });
+    });
+    return lines.join("\n") + "\n";
+  }
+
+  // details: { from, to, ... } added to the "export" member
+  function framesToGeoJSON(frames, details) {
+    var features = [];
+    frames.forEach(function (frame) {
+      frame.points.forEach(function (point) {
+        var properties = {
+          id: point[0],
+          intensity: point[3],
+          timestamp: frame.timestamp,
+          layer: frame.layer,
+        };
+        if (frame.binning) {
+          properties.binning = frame.binning;
+        }
+        features.push({
+          type: "Feature",
+          geometry: { type: "Point", coordinates: [point[2], point[1]] },
+          properties: properties,
+        });
+      });
+    });
+
+    var info = {
+      exportedAt: new Date().toISOString(),
+      frameCount: frames.length,
+    };
+    Object.keys(details || {}).forEach(function (key) {
+      info[key] = details[key];
+    });
+    return JSON.stringify(
+      { type: "FeatureCollection", export: info, features: features },
+      null,
+      2
+    );
+  }
+
+  // File contents for a format name ("geojson" or "csv")
+  function formatFrames(format, frames, details) {
+    if (format === "csv") {
+      return framesToCsv(frames);
+    }
+    if (format === "geojson") {
+      return framesToGeoJSON(frames, details);
+    }
+    throw new Error('Unknown export format "' + format + '"');
+  }
+
+  // Whether format names one of FORMATS. Formats come from query strings,
+  // so only own keys count ("constructor" is not a format).
+  function isFormat(format) {
+    return Object.prototype.hasOwnProperty.call(FORMATS, format);
+  }
+
+  // "heatmap-2024-08-05T10-00-03.csv"; format may also be a plain extension
+  // for files that aren't made here (e.g. "png")
+  function exportFileName(prefix, time, format) {
+    return (
+      prefix +
+      "-" +
+      new Date(time).toISOString().slice(0, 19).replace(/:/g, "-") +
+      "." +
+      (isFormat(format) ? FORMATS[format].extension : format)
+    );
+  }
+
+  return {
+    FORMATS: FORMATS,
+    isFormat: isFormat,
+    framesToCsv: framesToCsv,
+    framesToGeoJSON: framesToGeoJSON,
+    formatFrames: formatFrames,
+    exportFileName: exportFileName,
+  };
+});
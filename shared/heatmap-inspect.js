@@ -0,0 +1,82 @@
+// Heat values at a spot on the map, shared by the browser client (loaded as
+// a plain script, exposing window.HeatmapInspect) and the Node server
+// (require("./shared/heatmap-inspect")).
+//
+// The colours only show where values are high relative to each other; these
+// give the number behind them. The value at a spot is interpolated from the
+// points within a radius (normally the heat layer's own radius, so it covers
+// the same points the colour there comes from) by inverse distance
+// weighting: nearby points count most, and a spot right on a point gets
+// that point's value. Values stay in the points' own units.
+//
+// Points are [id, lat, lng, intensity], as everywhere else.
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.HeatmapInspect = factory();
+  }
+})(this, function () {
+  var EARTH_RADIUS_METERS = 6371000;
+
+  // Closer than this, a point's value is taken as is
+  var ON_POINT_METERS = 1;
+
+  function toRadians(degrees) {
+    return (degrees * Math.PI) / 180;
+  }
+
+  // Great-circle distance between two points in meters
+  function distanceMeters(lat1, lng1, lat2, lng2) {
+    var dLat = toRadians(lat2 - lat1);
+    var dLng = toRadians(lng2 - lng1);
+    var a =
+      Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+      Math.cos(toRadians(lat1)) *
+        Math.cos(toRadians(lat2)) *
+        Math.sin(dLng / 2) *
+        Math.sin(dLng / 2);
+    return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(a)));
+  }
+
+  // The points within radiusMeters of a spot, nearest first, as
+  // [{ point, distance }]; at most `limit` of them when given
+  function nearestPoints(points, lat, lng, radiusMeters, limit) {
+    var found = [];
+    points.forEach(function (point) {
+      var distance = distanceMeters(lat, lng, point[1], point[2]);
+      if (distance <= radiusMeters) {
+        found.push({ point: point, distance: distance });
+      }
+    });
+    found.sort(function (a, b) {
+      return a.distance - b.distance;
+    });
+    return limit ? found.slice(0, limit) : found;
+  }
+
+  // The value at a spot, or null if no point is within radiusMeters
+  function interpolate(points, lat, lng, radiusMeters) {
+    var near = nearestPoints(points, lat, lng, radiusMeters);
+    if (near.length === 0) {
+      return null;
+    }
+    if (near[0].distance < ON_POINT_METERS) {
+      return near[0].point[3];
+    }
+    var weightedSum = 0;
+    var totalWeight = 0;
+    near.forEach(function (entry) {
+      var weight = 1 / (entry.distance * entry.distance);
+      weightedSum += entry.point[3] * weight;
+      totalWeight += weight;
+    });
+    return weightedSum / totalWeight;
+  }
+
+  return {
+    distanceMeters: distanceMeters,
+    nearestPoints: nearestPoints,
+    interpolate: interpolate,
+  };
+});
@@ -0,0 +1,610 @@
+// Heatmap WebSocket protocol: message schemas shared by the browser client
+// (loaded as a plain script, exposing window.HeatmapProtocol) and the Node
+// server (require("./shared/heatmap-protocol")).
+//
+// Every message is a JSON object with a "type". A connection starts with a
+// version handshake:
+//   client -> { type: "hello", protocolVersion: 1 }
+//   server -> { type: "welcome", protocolVersion: 1, role: "viewer" }
+// or, if the versions are incompatible, an "unsupported_version" error
+// followed by close code 4426. Messages that fail validation are answered
+// with { type: "error", code, message, details: [...] } rather than being
+// silently ignored.
+//
+// A client that can decode binary point messages (shared/heatmap-codec.js)
+// lists encodings: ["binary", "json"] in its hello, and the welcome says
+// which the server picked as "encoding".
+//
+// Points are [id, lat, lng, intensity] with lat in [-90, 90], lng in
+// [-180, 180] and intensity >= 0, in whatever unit the source measures
+// (clients normalise it for display).
+//
+// The server can carry several named layers (e.g. footfall and vehicles),
+// listed in the welcome message. Point messages say which layer they belong
+// to, and each layer has its own delta sequence. Client messages that refer
+// to one layer default to the first when they leave it out.
+//
+// Clients report their map's zoom with set_zoom. Zoomed out, the server may
+// send bins instead of raw points: ordinary points whose intensity is the
+// sum of the points in the cell. Snapshots say which in "binning".
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.HeatmapProtocol = factory();
+  }
+})(this, function () {
+  // Bump on any incompatible change to the schemas below
+  var PROTOCOL_VERSION = 1;
+  // Oldest client/server version this side can still talk to
+  var MIN_PROTOCOL_VERSION = 1;
+
+  var ERROR_CODES = {
+    INVALID_JSON: "invalid_json",
+    INVALID_MESSAGE: "invalid_message",
+    UNKNOWN_TYPE: "unknown_type",
+    HANDSHAKE_REQUIRED: "handshake_required",
+    UNSUPPORTED_VERSION: "unsupported_version",
+    FORBIDDEN: "forbidden",
+    NOT_FOUND: "not_found",
+    CONFLICT: "conflict",
+    UNAVAILABLE: "unavailable",
+  };
+
+  // WebSocket close codes used by the protocol
+  var CLOSE_CODES = {
+    HANDSHAKE_TIMEOUT: 4408,
+    UNSUPPORTED_VERSION: 4426,
+  };
+
+  var POI_CATEGORIES = ["venue", "landmark", "facility", "hazard", "other"];
+
+  // How point messages may be encoded on the wire (see the handshake above)
+  var ENCODINGS = ["json", "binary"];
+
+  // ---------------------------------------------------------------------
+  // Validators: each takes a value and a path, and returns a list of
+  // problems ("" paths are reported as the message itself)
+
+  // Own keys only: message types and field names come from the network, and
+  // "constructor" or "__proto__" must not find Object.prototype's
+  function has(object, key) {
+    return Object.prototype.hasOwnProperty.call(object, key);
+  }
+
+  function describe(path) {
+    return path || "message";
+  }
+
+  function isNumber(value) {
+    return typeof value === "number" && isFinite(value);
+  }
+
+  function number(options) {
+    options = options || {};
+    return function (value, path) {
+      if (!isNumber(value)) {
+        return [describe(path) + " must be a finite number"];
+      }
+      if (options.integer && Math.floor(value) !== value) {
+        return [describe(path) + " must be an integer"];
+      }
+      if (options.min !== undefined && value < options.min) {
+        return [describe(path) + " must be >= " + options.min];
+      }
+      if (options.max !== undefined && value > options.max) {
+        return [describe(path) + " must be <= " + options.max];
+      }
+      return [];
+    };
+  }
+
+  function string(options) {
+    options = options || {};
+    return function (value, path) {
+      if (typeof value !== "string") {
+        return [describe(path) + " must be a string"];
+      }
+      if (options.nonEmpty && value === "") {
+        return [describe(path) + " must not be empty"];
+      }
+      if (options.maxLength !== undefined && value.length > options.maxLength) {
+        return [
+          describe(path) +
+            " must be at most " +
+            options.maxLength +
+            " characters",
+        ];
+      }
+      return [];
+    };
+  }
+
+  function boolean() {
+    return function (value, path) {
+      return typeof value === "boolean"
+        ? []
+        : [describe(path) + " must be true or false"];
+    };
+  }
+
+  function timestamp() {
+    return function (value, path) {
+      return typeof value === "string" && isFinite(Date.parse(value))
+        ? []
+        : [describe(path) + " must be an ISO 8601 timestamp"];
+    };
+  }
+
+  function oneOf(values) {
+    return function (value, path) {
+      return values.indexOf(value) !== -1
+        ? []
+        : [describe(path) + " must be one of " + values.join(", ")];
+    };
+  }
+
+  function nullable(validator) {
+    return function (value, path) {
+      return value === null ? [] : validator(value, path);
+    };
+  }
+
+  function any() {
+    return function () {
+      return [];
+    };
+  }
+
+  // Reports at most the first few bad items so huge arrays stay readable
+  var MAX_REPORTED_ITEMS = 5;
+
+  function array(item) {
+    return function (value, path) {
+      if (!Array.isArray(value)) {
+        return [describe(path) + " must be an array"];
+      }
+      var errors = [];
+      var badItems = 0;
+      for (var i = 0; i < value.length; i++) {
+        var itemErrors = item(value[i], describe(path) + "[" + i + "]");
+        if (itemErrors.length > 0) {
+          badItems++;
+          if (badItems <= MAX_REPORTED_ITEMS) {
+            errors = errors.concat(itemErrors);
+          }
+        }
+      }
+      if (badItems > MAX_REPORTED_ITEMS) {
+        errors.push(
+          describe(path) +
+            ": " +
+            (badItems - MAX_REPORTED_ITEMS) +
+            " more invalid item(s)"
+        );
+      }
+      return errors;
+    };
+  }
+
+  // Fixed-length array with a validator per position
+  function tuple(items) {
+    return function (value, path) {
+      if (!Array.isArray(value) || value.length !== items.length) {
+        return [
+          describe(path) + " must be an array of " + items.length + " values",
+        ];
+      }
+      var errors = [];
+      for (var i = 0; i < items.length; i++) {
+        errors = errors.concat(
+          items[i](value[i], describe(path) + "[" + i + "]")
+        );
+      }
+      return errors;
+    };
+  }
+
+  // Object whose values all match one validator
+  function record(valueValidator) {
+    return function (value, path) {
+      if (!value || typeof value !== "object" || Array.isArray(value)) {
+        return [describe(path) + " must be an object"];
+      }
+      var errors = [];
+      Object.keys(value).forEach(function (key) {
+        errors = errors.concat(
+          valueValidator(value[key], describe(path) + "." + key)
+        );
+      });
+      return errors;
+    };
+  }
+
+  // Object with known fields. Fields named in `optional` may be missing;
+  // unknown fields are rejected unless options.allowExtra is set.
+  function object(required, optional, options) {
+    optional = optional || {};
+    options = options || {};
+    return function (value, path) {
+      if (!value || typeof value !== "object" || Array.isArray(value)) {
+        return [describe(path) + " must be an object"];
+      }
+      var prefix = path ? path + "." : "";
+      var errors = [];
+      Object.keys(required).forEach(function (key) {
+        if (value[key] === undefined) {
+          errors.push(prefix + key + " is required");
+        } else {
+          errors = errors.concat(required[key](value[key], prefix + key));
+        }
+      });
+      Object.keys(value).forEach(function (key) {
+        if (has(required, key)) {
+          return;
+        }
+        if (has(optional, key)) {
+          if (value[key] !== undefined) {
+            errors = errors.concat(optional[key](value[key], prefix + key));
+          }
+        } else if (!options.allowExtra) {
+          errors.push(prefix + key + " is not a known field");
+        }
+      });
+      return errors;
+    };
+  }
+
+  // ---------------------------------------------------------------------
+  // Shared value types
+
+  var latitude = number({ min: -90, max: 90 });
+  var longitude = number({ min: -180, max: 180 });
+  var intensity = number({ min: 0, max: 1 });
+  var pointValue = number({ min: 0 });
+  var sequence = number({ integer: true, min: 0 });
+  var requestId = number({ integer: true, min: 1 });
+  var latLng = tuple([latitude, longitude]);
+
+  var point = tuple([
+    string({ nonEmpty: true }),
+    latitude,
+    longitude,
+    pointValue,
+  ]);
+
+  function bbox(value, path) {
+    var errors = tuple([latitude, longitude, latitude, longitude])(value, path);
+    if (errors.length === 0 && (value[0] > value[2] || value[1] > value[3])) {
+      errors.push(describe(path) + " must be [south, west, north, east]");
+    }
+    return errors;
+  }
+
+  function area(value, path) {
+    var type = value && value.type;
+    if (type === "circle") {
+      return object({
+        type: any(),
+        center: latLng,
+        radiusMeters: number({ min: 0 }),
+      })(value, path);
+    }
+    if (type === "polygon") {
+      return object({ type: any(), coordinates: array(latLng) })(value, path);
+    }
+    if (type === "bbox") {
+      return object({ type: any(), bbox: bbox })(value, path);
+    }
+    return [describe(path) + ".type must be circle, polygon or bbox"];
+  }
+
+  var alert = object(
+    {
+      id: string({ nonEmpty: true }),
+      ruleId: string(),
+      name: string(),
+      severity: oneOf(["info", "warning", "critical"]),
+      area: area,
+      state: oneOf(["active", "resolved", "cleared"]),
+      acknowledged: boolean(),
+      message: string(),
+      raisedAt: timestamp(),
+    },
+    {
+      value: number(),
+      threshold: number(),
+      resolvedAt: nullable(timestamp()),
+      acknowledgedBy: nullable(string()),
+    }
+  );
+
+  var poiId = string({ nonEmpty: true, maxLength: 100 });
+  var poiName = string({ nonEmpty: true, maxLength: 200 });
+  var poiCategory = oneOf(POI_CATEGORIES);
+  var poiDescription = string({ maxLength: 2000 });
+
+  var poi = object({
+    id: poiId,
+    lat: latitude,
+    lng: longitude,
+    name: poiName,
+    category: poiCategory,
+    description: poiDescription,
+    updatedAt: timestamp(),
+  });
+
+  var zoneId = string({ nonEmpty: true, maxLength: 100 });
+  var zoneName = string({ nonEmpty: true, maxLength: 200 });
+
+  var zone = object({
+    id: zoneId,
+    name: zoneName,
+    area: area,
+    updatedAt: timestamp(),
+  });
+
+  var layerId = string({ nonEmpty: true, maxLength: 100 });
+
+  var layerInfo = object(
+    { id: layerId, name: string({ nonEmpty: true }), source: string() },
+    // unit: what the layer's point values measure, for legends
+    { unit: string() }
+  );
+
+  // How the points of a snapshot were binned; null for raw points
+  var binning = nullable(
+    object({
+      shape: oneOf(["grid", "hex"]),
+      zoom: number({ integer: true, min: 0 }),
+      cellPixels: number({ min: 0 }),
+    })
+  );
+
+  var zoneStats = object({
+    zoneId: zoneId,
+    count: number({ integer: true, min: 0 }),
+    sum: number({ min: 0 }),
+    mean: number({ min: 0 }),
+    peak: number({ min: 0 }),
+  });
+
+  // People moving from one place to another, volume in the layer's unit
+  var flow = object(
+    {
+      id: string({ nonEmpty: true }),
+      from: latLng,
+      to: latLng,
+      volume: pointValue,
+    },
+    { label: string() }
+  );
+
+  // ---------------------------------------------------------------------
+  // Message schemas by direction. Every client message may carry a
+  // requestId, which the server echoes in its reply.
+
+  var CLIENT_MESSAGES = {
+    hello: object(
+      { protocolVersion: number({ integer: true, min: 1 }) },
+      { client: string(), encodings: array(oneOf(ENCODINGS)) }
+    ),
+    subscribe: object(
+      {},
+      {
+        regions: array(string({ nonEmpty: true })),
+        bboxes: record(bbox),
+        region: string({ nonEmpty: true }),
+        bbox: bbox,
+        id: string({ nonEmpty: true }),
+        replace: boolean(),
+      }
+    ),
+    unsubscribe: object(
+      {},
+      {
+        regions: array(string({ nonEmpty: true })),
+        bboxes: array(string({ nonEmpty: true })),
+        region: string({ nonEmpty: true }),
+        id: string({ nonEmpty: true }),
+        all: boolean(),
+      }
+    ),
+    request_data: object({}, { region: string({ nonEmpty: true }) }),
+    resync: object({}, { lastSeq: nullable(sequence), layer: layerId }),
+    // The zoom level the client's map shows, for choosing the detail sent
+    set_zoom: object({ zoom: number({ min: 0, max: 30 }) }),
+    history_range: object({}, { layer: layerId }),
+    history_frame: object({ at: timestamp() }, { layer: layerId }),
+    // The value at one spot over a time span, for inspecting the map
+    history_series: object(
+      {
+        lat: latitude,
+        lng: longitude,
+        radiusMeters: number({ min: 0 }),
+        from: timestamp(),
+        to: timestamp(),
+      },
+      { layer: layerId, maxSamples: number({ integer: true, min: 1 }) }
+    ),
+    alert_ack: object({ alertId: string({ nonEmpty: true }) }),
+    alert_clear: object({ alertId: string({ nonEmpty: true }) }),
+    // Points of interest; the id may be chosen by the client so POIs
+    // created offline keep their identity when synced
+    poi_create: object(
+      { lat: latitude, lng: longitude, name: poiName },
+      { id: poiId, category: poiCategory, description: poiDescription }
+    ),
+    poi_update: object(
+      { id: poiId },
+      {
+        lat: latitude,
+        lng: longitude,
+        name: poiName,
+        category: poiCategory,
+        description: poiDescription,
+      }
+    ),
+    poi_delete: object({ id: poiId }),
+    // Zones drawn on the map, as circle or polygon areas
+    zone_create: object({ name: zoneName, area: area }, { id: zoneId }),
+    zone_update: object({ id: zoneId }, { name: zoneName, area: area }),
+    zone_delete: object({ id: zoneId }),
+    set_crowd_intensity: object({ intensity: intensity }),
+    toggle_gathering: object({ active: boolean() }),
+    // Scripted simulation runs (the "scenario" data source)
+    scenario_start: object({}, { restart: boolean() }),
+    scenario_pause: object({}),
+    scenario_seek: object({ minute: number({ min: 0 }) }),
+    // Heartbeat; t is echoed back in the pong
+    ping: object({}, { t: number() }),
+  };
+
+  var SERVER_MESSAGES = {
+    welcome: object(
+      {
+        protocolVersion: number({ integer: true, min: 1 }),
+        role: oneOf(["viewer", "operator"]),
+        layers: array(layerInfo),
+      },
+      { serverTime: timestamp(), encoding: oneOf(ENCODINGS) }
+    ),
+    full_update: object(
+      {
+        layer: layerId,
+        seq: sequence,
+        points: array(point),
+        timestamp: timestamp(),
+      },
+      { message: string(), binning: binning }
+    ),
+    heatmap_delta: object(
+      {
+        layer: layerId,
+        seq: sequence,
+        add: array(point),
+        update: array(point),
+        remove: array(string({ nonEmpty: true })),
+        timestamp: timestamp(),
+      },
+      {},
+      // Data sources may add their own summary fields (see source.stats())
+      { allowExtra: true }
+    ),
+    subscriptions: object(
+      {
+        regions: array(string()),
+        bboxes: record(bbox),
+        availableRegions: array(string()),
+      },
+      // The available regions' extents, so clients can show them
+      { regionBounds: record(bbox) }
+    ),
+    history_range: object({
+      layer: layerId,
+      from: nullable(timestamp()),
+      to: nullable(timestamp()),
+      frameCount: number({ integer: true, min: 0 }),
+    }),
+    history_frame: object(
+      {
+        layer: layerId,
+        timestamp: nullable(timestamp()),
+        points: array(point),
+      },
+      { binning: binning }
+    ),
+    // [timestamp, value] per recorded frame; null where no point was near
+    history_series: object({
+      layer: layerId,
+      samples: array(tuple([timestamp(), nullable(number())])),
+    }),
+    // People moving between places since the previous frame
+    flows: object({
+      layer: layerId,
+      timestamp: timestamp(),
+      flows: array(flow),
+    }),
+    alerts: object({ alerts: array(alert) }),
+    alert: object({ alert: alert }),
+    pois: object({ pois: array(poi) }),
+    zones: object({ zones: array(zone) }),
+    zone: object({
+      action: oneOf(["created", "updated", "deleted"]),
+      zone: zone,
+    }),
+    // Aggregated point values inside each zone, once per frame
+    zone_stats: object({ timestamp: timestamp(), stats: array(zoneStats) }),
+    poi: object({
+      action: oneOf(["created", "updated", "deleted"]),
+      poi: poi,
+    }),
+    pong: object({ serverTime: timestamp() }, { t: number() }),
+    error: object(
+      { code: string({ nonEmpty: true }), message: string() },
+      { details: array(string()) }
+    ),
+  };
+
+  // Validate a parsed message travelling in `direction` ("client" for
+  // client -> server, "server" for server -> client). Returns a list of
+  // problems; an empty list means the message is valid.
+  function validateMessage(message, direction) {
+    var schemas = direction === "server" ? SERVER_MESSAGES : CLIENT_MESSAGES;
+
+    if (!message || typeof message !== "object" || Array.isArray(message)) {
+      return ["message must be a JSON object"];
+    }
+    if (typeof message.type !== "string") {
+      return ["type is required"];
+    }
+    if (!has(schemas, message.type)) {
+      return ['unknown message type "' + message.type + '"'];
+    }
+    var schema = schemas[message.type];
+
+    // Without a prototype, a "__proto__" field is copied like any other
+    var body = Object.create(null);
+    Object.keys(message).forEach(function (key) {
+      if (key !== "type" && key !== "requestId") {
+        body[key] = message[key];
+      }
+    });
+    var errors = schema(body, "");
+    if (message.requestId !== undefined) {
+      errors = errors.concat(requestId(message.requestId, "requestId"));
+    }
+    return errors;
+  }
+
+  function isKnownType(type, direction) {
+    var schemas = direction === "server" ? SERVER_MESSAGES : CLIENT_MESSAGES;
+    return has(schemas, type);
+  }
+
+  function isCompatibleVersion(version) {
+    return version >= MIN_PROTOCOL_VERSION && version <= PROTOCOL_VERSION;
+  }
+
+  function createError(code, message, extras) {
+    var error = { type: "error", code: code, message: message };
+    Object.keys(extras || {}).forEach(function (key) {
+      if (extras[key] !== undefined) {
+        error[key] = extras[key];
+      }
+    });
+    return error;
+  }
+
+  return {
+    PROTOCOL_VERSION: PROTOCOL_VERSION,
+    MIN_PROTOCOL_VERSION: MIN_PROTOCOL_VERSION,
+    ERROR_CODES: ERROR_CODES,
+    CLOSE_CODES: CLOSE_CODES,
+    POI_CATEGORIES: POI_CATEGORIES,
+    validateMessage: validateMessage,
+    isKnownType: isKnownType,
+    isCompatibleVersion: isCompatibleVersion,
+    createError: createError,
+  };
+});
@@ -0,0 +1,154 @@
+// Service worker that keeps the map usable without a network connection
+//
+// - The page itself (HTML, scripts, styles, files under data/ and the
+//   Leaflet scripts from their CDNs) is fetched from the network while
+//   there is one and from the cache when there isn't, so a page that was
+//   opened once also opens offline.
+// - Map tiles are served from the cache before trying the network. Tiles
+//   saved for offline use from the offline panel (client/offline-control.js)
+//   stay until they are cleared there; tiles cached while browsing are
+//   capped at MAX_BROWSED_TILES, dropping the oldest first.
+//
+// Registered by client/heatmap-app.js. Bump VERSION when this file changes
+// so old caches are cleared out.
+
+var VERSION = "v1";
+var APP_CACHE = "heatmap-app-" + VERSION;
+var TILE_CACHE = "heatmap-tiles-" + VERSION;
+var MAX_BROWSED_TILES = 2000;
+
+// Tile URLs end in /{z}/{x}/{y}.png (or @2x.png for retina tiles)
+var TILE_PATH = /\/\d+\/\d+\/\d+(@2x)?\.(png|jpe?g|webp)$/;
+var CDN_HOSTS = ["unpkg.com", "cdnjs.cloudflare.com"];
+var SCOPE_PATH = new URL(self.registration.scope).pathname;
+
+// Trimming walks the whole cache, so it only happens every so often
+var TRIM_EVERY = 50;
+var tilesSinceTrim = 0;
+
+self.addEventListener("install", function () {
+  self.skipWaiting();
+});
+
+self.addEventListener("activate", function (event) {
+  event.waitUntil(
+    caches
+      .keys()
+      .then(function (keys) {
+        return Promise.all(
+          keys
+            .filter(function (key) {
+              return (
+                /^heatmap-(app|tiles)-/.test(key) &&
+                key !== APP_CACHE &&
+                key !== TILE_CACHE
+              );
+            })
+            .map(function (key) {
+              return caches.delete(key);
+            })
+        );
+      })
+      .then(function () {
+        return self.clients.claim();
+      })
+  );
+});
+
+function isTile(request, url) {
+  return request.destination === "image" && TILE_PATH.test(url.pathname);
+}
+
+function isAppFile(request, url) {
+  if (request.mode === "navigate") {
+    return true;
+  }
+  if (url.origin === self.location.origin) {
+    return (
+      ["script", "style", "font"].indexOf(request.destination) !== -1 ||
+      url.pathname.indexOf(SCOPE_PATH + "data/") === 0
+    );
+  }
+  return CDN_HOSTS.indexOf(url.hostname) !== -1;
+}
+
+// Drop the oldest browsed tiles once there are too many
+function trimTiles(cache) {
+  return cache.keys().then(function (keys) {
+    return Promise.all(
+      keys
+        .slice(0, Math.max(0, keys.length - MAX_BROWSED_TILES))
+        .map(function (key) {
+          return cache.delete(key);
+        })
+    );
+  });
+}
+
+// Tiles: any cache first (saved tiles live in a cache of their own), then
+// the network
+function serveTile(request) {
+  return caches
+    .match(request.url, { ignoreVary: true })
+    .then(function (cached) {
+      if (cached) {
+        return cached;
+      }
+      return fetch(request).then(function (response) {
+        if (response.ok) {
+          var copy = response.clone();
+          caches.open(TILE_CACHE).then(function (cache) {
+            return cache.put(request.url, copy).then(function () {
+              tilesSinceTrim++;
+              if (tilesSinceTrim >= TRIM_EVERY) {
+                tilesSinceTrim = 0;
+                return trimTiles(cache);
+              }
+            });
+          });
+        }
+        return response;
+      });
+    });
+}
+
+// The page: network first, falling back to the last copy seen. Local files
+// are stored without their query string, since index.html adds a new
+// cache-busting one on every load.
+function serveAppFile(request, url) {
+  var key =
+    url.origin === self.location.origin
+      ? url.origin + url.pathname
+      : request.url;
+  return fetch(request)
+    .then(function (response) {
+      if (response.ok || response.type === "opaque") {
+        var copy = response.clone();
+        caches.open(APP_CACHE).then(function (cache) {
+          return cache.put(key, copy);
+        });
+      }
+      return response;
+    })
+    .catch(function (error) {
+      return caches.match(key).then(function (cached) {
+        if (cached) {
+          return cached;
+        }
+        throw error;
+      });
+    });
+}
+
+self.addEventListener("fetch", function (event) {
+  var request = event.request;
+  if (request.method !== "GET") {
+    return;
+  }
+  var url = new URL(request.url);
+  if (isTile(request, url)) {
+    event.respondWith(serveTile(request));
+  } else if (isAppFile(request, url)) {
+    event.respondWith(serveAppFile(request, url));
+  }
+});
@@ -0,0 +1,147 @@
+// Threshold alerting (server/alerts.js)
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { createAlertEngine, validateRule } = require("../server/alerts");
+
+const AREA = { type: "bbox", bbox: [20, 70, 22, 72] };
+const START = Date.parse("2024-08-05T10:00:00.000Z");
+
+// Engine events are logged; keep the test output readable
+test.beforeEach(() => {
+  test.mock.method(console, "log", () => {});
+});
+test.afterEach(() => {
+  test.mock.restoreAll();
+});
+
+function engineFor(condition, extra) {
+  return createAlertEngine([
+    Object.assign({ id: "rule", area: AREA, condition }, extra),
+  ]);
+}
+
+// One point inside the area with the given intensity
+function frame(intensity) {
+  return [["p1", 21, 71, intensity]];
+}
+
+test("malformed rules are rejected", () => {
+  assert.match(validateRule({ area: AREA }), /needs an id/);
+  assert.match(
+    validateRule({ id: "r", area: AREA, condition: { type: "nope" } }),
+    /condition type must be one of/
+  );
+  assert.match(
+    validateRule({
+      id: "r",
+      area: AREA,
+      condition: { type: "intensity_above", value: 1 },
+      severity: "dire",
+    }),
+    /severity must be one of/
+  );
+  assert.throws(() => createAlertEngine([{ id: "r", area: AREA }]));
+});
+
+test("intensity_above fires once held for forSeconds and resolves later", () => {
+  const engine = engineFor(
+    { type: "intensity_above", value: 0.9, forSeconds: 30 },
+    { resolveAfterSeconds: 10 }
+  );
+
+  assert.deepStrictEqual(engine.evaluate(frame(0.95), START), []);
+  assert.deepStrictEqual(engine.evaluate(frame(0.95), START + 20000), []);
+  const [raised] = engine.evaluate(frame(0.95), START + 30000);
+  assert.strictEqual(raised.state, "active");
+  assert.strictEqual(raised.ruleId, "rule");
+  assert.strictEqual(raised.value, 0.95);
+
+  // Dropping below the threshold resolves only after resolveAfterSeconds
+  assert.deepStrictEqual(engine.evaluate(frame(0.5), START + 33000), []);
+  const [resolved] = engine.evaluate(frame(0.5), START + 43000);
+  assert.strictEqual(resolved.id, raised.id);
+  assert.strictEqual(resolved.state, "resolved");
+});
+
+test("rate_of_increase waits until its samples span the window", () => {
+  const engine = engineFor({
+    type: "rate_of_increase",
+    value: 0.2,
+    windowSeconds: 60,
+  });
+
+  // 0.50 -> 0.52 in 3s would read as 0.4/min
+  assert.deepStrictEqual(engine.evaluate(frame(0.5), START), []);
+  assert.deepStrictEqual(engine.evaluate(frame(0.52), START + 3000), []);
+  assert.deepStrictEqual(engine.evaluate(frame(0.53), START + 30000), []);
+  assert.deepStrictEqual(engine.list(), []);
+});
+
+test("rate_of_increase fires for a rise over the whole window", () => {
+  const engine = engineFor({
+    type: "rate_of_increase",
+    value: 0.2,
+    windowSeconds: 60,
+  });
+
+  for (let seconds = 0; seconds < 60; seconds += 3) {
+    assert.deepStrictEqual(
+      engine.evaluate(frame(0.5 + seconds / 200), START + seconds * 1000),
+      []
+    );
+  }
+  // 0.5 -> 0.8 over 60s is 0.3/min
+  const [raised] = engine.evaluate(frame(0.8), START + 60000);
+  assert.strictEqual(raised.state, "active");
+  assert.ok(Math.abs(raised.value - 0.3) < 1e-9, `rate ${raised.value}`);
+});
+
+test("rate_of_increase stays quiet for a slow rise", () => {
+  const engine = engineFor({
+    type: "rate_of_increase",
+    value: 0.2,
+    windowSeconds: 60,
+  });
+  for (let seconds = 0; seconds <= 180; seconds += 3) {
+    assert.deepStrictEqual(
+      engine.evaluate(frame(0.5 + seconds / 1200), START + seconds * 1000),
+      []
+    );
+  }
+});
+
+test("count_above_capacity compares the estimated head count", () => {
+  const engine = engineFor({
+    type: "count_above_capacity",
+    capacity: 500,
+    peoplePerUnit: 100,
+  });
+  assert.deepStrictEqual(engine.evaluate(frame(4), START), []);
+  const [raised] = engine.evaluate(
+    [
+      ["p1", 21, 71, 4],
+      ["p2", 21.5, 71.5, 2],
+      ["outside", 30, 80, 50],
+    ],
+    START + 3000
+  );
+  assert.strictEqual(raised.value, 600);
+  assert.strictEqual(raised.threshold, 500);
+});
+
+test("alerts are acknowledged, and cleared only once resolved", () => {
+  const engine = engineFor(
+    { type: "intensity_above", value: 0.9 },
+    { resolveAfterSeconds: 0 }
+  );
+  const [raised] = engine.evaluate(frame(1), START);
+
+  assert.strictEqual(engine.acknowledge(raised.id, "ops").acknowledged, true);
+  assert.strictEqual(engine.acknowledge("missing"), null);
+  assert.throws(() => engine.clear(raised.id), /Only resolved alerts/);
+
+  engine.evaluate(frame(0), START + 3000);
+  assert.strictEqual(engine.clear(raised.id).state, "cleared");
+  assert.deepStrictEqual(engine.list(), []);
+});
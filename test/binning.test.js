@@ -0,0 +1,82 @@
+// Level of detail by zoom (server/binning.js)
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { createBinner } = require("../server/binning");
+
+const OPTIONS = { enabled: true, shape: "hex", cellPixels: 30, rawZoom: 12 };
+
+// Two sensors a few metres apart and one in another town
+const POINTS = [
+  ["gate", 20.888, 70.401, 3],
+  ["queue", 20.8882, 70.4012, 1],
+  ["town", 21.5, 71.5, 2],
+];
+
+function binner(options) {
+  return createBinner(Object.assign({}, OPTIONS, options));
+}
+
+test("malformed binning settings are refused", () => {
+  assert.throws(() => binner({ shape: "circle" }), /binning.shape/);
+  assert.throws(() => binner({ cellPixels: 0 }), /binning.cellPixels/);
+  assert.throws(() => binner({ rawZoom: "12" }), /binning.rawZoom/);
+});
+
+test("clients zoomed out below rawZoom get bins at their whole zoom", () => {
+  const levels = binner();
+  assert.strictEqual(levels.levelFor(7), 7);
+  assert.strictEqual(levels.levelFor(9.6), 9);
+  assert.strictEqual(levels.levelFor(0), 0);
+  assert.strictEqual(levels.levelFor(12), null);
+  assert.strictEqual(levels.levelFor(15), null);
+  assert.strictEqual(levels.levelFor(null), null);
+  assert.strictEqual(levels.levelFor(undefined), null);
+  assert.strictEqual(binner({ enabled: false }).levelFor(7), null);
+});
+
+test("describe says how bins were made", () => {
+  assert.deepStrictEqual(binner().describe(7), {
+    shape: "hex",
+    zoom: 7,
+    cellPixels: 30,
+  });
+});
+
+test("nearby points are summed into one bin at their weighted centre", () => {
+  ["hex", "grid"].forEach((shape) => {
+    const bins = Array.from(binner({ shape }).bin(POINTS, 7).values());
+    assert.strictEqual(bins.length, 2, shape);
+
+    const [id, lat, lng, sum] = bins.find((bin) => bin[3] === 4);
+    assert.match(id, new RegExp(`^${shape}:7:-?\\d+:-?\\d+$`));
+    assert.ok(Math.abs(lat - 20.88805) < 1e-6, `lat ${lat}`);
+    assert.ok(Math.abs(lng - 70.40105) < 1e-6, `lng ${lng}`);
+    assert.strictEqual(sum, 4);
+  });
+});
+
+test("bins shrink as the zoom grows", () => {
+  const levels = binner();
+  assert.strictEqual(levels.bin(POINTS, 3).size, 1);
+  assert.strictEqual(levels.bin(POINTS, 7).size, 2);
+  assert.strictEqual(levels.bin(POINTS, 11).size, 2);
+  // Every zoom level names its cells differently
+  const ids3 = Array.from(levels.bin(POINTS, 3).keys());
+  const ids7 = Array.from(levels.bin(POINTS, 7).keys());
+  assert.ok(ids3.every((id) => !ids7.includes(id)));
+});
+
+test("cells whose points all read zero sit at their plain centre", () => {
+  const bins = binner().bin(
+    [
+      ["a", 20.888, 70.401, 0],
+      ["b", 20.8882, 70.4012, 0],
+    ],
+    7
+  );
+  const [bin] = Array.from(bins.values());
+  assert.strictEqual(bin[3], 0);
+  assert.ok(Math.abs(bin[1] - 20.8881) < 1e-6);
+  assert.ok(Math.abs(bin[2] - 70.4011) < 1e-6);
+});
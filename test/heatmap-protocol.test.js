@@ -0,0 +1,48 @@
+// Schema validation of untrusted messages (shared/heatmap-protocol.js)
+
+const test = require("node:test");
+const assert = require("node:assert");
+const protocol = require("../shared/heatmap-protocol");
+
+// Names Object.prototype has, which a plain lookup would find
+const PROTOTYPE_NAMES = [
+  "__proto__",
+  "constructor",
+  "valueOf",
+  "hasOwnProperty",
+  "isPrototypeOf",
+  "toString",
+];
+
+test("message types named after Object.prototype are unknown", () => {
+  ["client", "server"].forEach((direction) => {
+    PROTOTYPE_NAMES.forEach((type) => {
+      const message = JSON.parse(JSON.stringify({ type }));
+      assert.deepStrictEqual(
+        protocol.validateMessage(message, direction),
+        [`unknown message type "${type}"`],
+        `${direction} type ${type}`
+      );
+      assert.strictEqual(protocol.isKnownType(type, direction), false);
+    });
+  });
+});
+
+test("fields named after Object.prototype are rejected", () => {
+  PROTOTYPE_NAMES.forEach((field) => {
+    const message = JSON.parse(`{ "type": "ping", "${field}": 1 }`);
+    assert.deepStrictEqual(protocol.validateMessage(message, "client"), [
+      `${field} is not a known field`,
+    ]);
+  });
+});
+
+test("valid messages still pass", () => {
+  assert.deepStrictEqual(
+    protocol.validateMessage(
+      { type: "hello", protocolVersion: 1, requestId: 1 },
+      "client"
+    ),
+    []
+  );
+});
@@ -0,0 +1,59 @@
+// Downloading recorded frames (server/history-export.js)
+
+const test = require("node:test");
+const assert = require("node:assert");
+const http = require("http");
+const { createRouter } = require("../server/http");
+const { addHistoryExportRoute } = require("../server/history-export");
+
+const FRAME = {
+  timestamp: "2024-08-05T10:00:00.000Z",
+  points: [["p1", 21, 71, 5]],
+};
+
+let server = null;
+let baseUrl = null;
+
+test.before(async () => {
+  const router = createRouter();
+  addHistoryExportRoute({
+    router,
+    auth: { authenticate: () => "viewer" },
+    layers: [
+      {
+        id: "crowd",
+        history: { count: () => 1, frames: () => [FRAME] },
+      },
+    ],
+  });
+  server = http.createServer(router.handle);
+  await new Promise((resolve) => server.listen(0, resolve));
+  baseUrl = `http://localhost:${server.address().port}/history/export`;
+});
+test.after(() => server.close());
+
+function exportUrl(format) {
+  return (
+    `${baseUrl}?from=2024-08-05T09:00:00Z&to=2024-08-05T11:00:00Z` +
+    `&format=${encodeURIComponent(format)}`
+  );
+}
+
+test("recorded frames are exported as CSV", async () => {
+  const response = await fetch(exportUrl("csv"));
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.headers.get("content-type"), "text/csv");
+  assert.deepStrictEqual((await response.text()).split("\n"), [
+    "timestamp,layer,id,lat,lng,intensity,binning",
+    "2024-08-05T10:00:00.000Z,crowd,p1,21,71,5,",
+    "",
+  ]);
+});
+
+test("formats named after Object.prototype are refused with 400", async () => {
+  for (const format of ["constructor", "__proto__", "toString", "xml"]) {
+    const response = await fetch(exportUrl(format));
+    assert.strictEqual(response.status, 400, format);
+    assert.match((await response.json()).error, /"format" must be one of/);
+  }
+});
@@ -0,0 +1,45 @@
+// Turning source readings into points (server/sources/readings.js)
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { normalizeReading } = require("../server/sources/readings");
+const protocol = require("../shared/heatmap-protocol");
+
+test("readings with an empty id are keyed by position", () => {
+  const readings = [
+    ["", 21.1, 71.1, 3],
+    { id: "", lat: 21.1, lng: 71.1, intensity: 3 },
+    {
+      type: "Feature",
+      id: "",
+      geometry: { type: "Point", coordinates: [71.1, 21.1] },
+      properties: { intensity: 3 },
+    },
+  ];
+  readings.forEach((reading) => {
+    assert.deepStrictEqual(normalizeReading(reading), [
+      "21.10000,71.10000",
+      21.1,
+      71.1,
+      3,
+    ]);
+  });
+});
+
+test("normalized points pass the protocol's point schema", () => {
+  const points = [
+    ["s1", 21, 71, 5],
+    ["", 21.1, 71.1, 3],
+    [21.2, 71.2],
+  ].map(normalizeReading);
+  const message = {
+    type: "heatmap_delta",
+    layer: "crowd",
+    seq: 1,
+    timestamp: new Date().toISOString(),
+    add: points,
+    update: [],
+    remove: [],
+  };
+  assert.deepStrictEqual(protocol.validateMessage(message, "server"), []);
+});
@@ -0,0 +1,188 @@
+// HTTP API (server/rest-api.js), served from a router on a local port
+
+const test = require("node:test");
+const assert = require("node:assert");
+const http = require("http");
+const { createRouter } = require("../server/http");
+const { addRestRoutes } = require("../server/rest-api");
+
+const TOKENS = { "op-token": "operator", "view-token": "viewer" };
+
+// A layer as server/layers.js builds it, recording what it was sent
+function fakeLayer(id, sourceName, acceptsIngest) {
+  const points = new Map([["p1", ["p1", 21, 71, 5]]]);
+  return {
+    id,
+    source: { name: sourceName },
+    acceptsIngest,
+    history: null,
+    batches: [],
+    ingest(batch) {
+      this.batches.push(batch);
+    },
+    points: () => points,
+    publishedAt: () => Date.parse("2024-08-05T10:00:00.000Z"),
+    describe: () => ({ id, name: id, source: sourceName }),
+  };
+}
+
+const simulated = fakeLayer("footfall", "simulator", false);
+const pushed = fakeLayer("vehicles", "http ingest (POST /ingest)", true);
+
+let server = null;
+let baseUrl = null;
+
+test.before(async () => {
+  const router = createRouter();
+  addRestRoutes({
+    router,
+    auth: {
+      authenticate(req) {
+        const match = /^Bearer (.+)$/.exec(req.headers.authorization || "");
+        return match ? TOKENS[match[1]] || null : null;
+      },
+    },
+    layers: [simulated, pushed],
+    zoneStore: { list: () => [], stats: () => [] },
+    getClients: () => [],
+    getDeliveryStats: () => ({ framesDropped: 0, slowClientsDisconnected: 0 }),
+  });
+  server = http.createServer(router.handle);
+  await new Promise((resolve) => server.listen(0, resolve));
+  baseUrl = `http://localhost:${server.address().port}`;
+});
+test.after(() => server.close());
+
+test.beforeEach(() => {
+  simulated.batches = [];
+  pushed.batches = [];
+});
+
+async function request(method, pathAndQuery, options) {
+  const { token, body, contentType } = Object.assign(
+    { token: "op-token" },
+    options
+  );
+  const headers = {};
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+  if (body !== undefined) {
+    headers["Content-Type"] = contentType || "application/json";
+  }
+  const response = await fetch(baseUrl + pathAndQuery, {
+    method,
+    headers,
+    body,
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+function ingest(layer, body, options) {
+  return request(
+    "POST",
+    `/api/ingest?layer=${layer}`,
+    Object.assign({ body }, options)
+  );
+}
+
+test("ingest into an http-fed layer is accepted", async () => {
+  const reply = await ingest(
+    "vehicles",
+    JSON.stringify({
+      readings: [
+        ["v1", 21, 71, 2],
+        ["v2", 200, 71, 1],
+      ],
+      remove: ["old"],
+    })
+  );
+  assert.strictEqual(reply.status, 202);
+  assert.deepStrictEqual(reply.body, {
+    layer: "vehicles",
+    accepted: 1,
+    rejected: 1,
+  });
+  assert.deepStrictEqual(pushed.batches, [
+    { points: [["v1", 21, 71, 2]], remove: ["old"], replace: false },
+  ]);
+});
+
+test("CSV bodies are ingested too", async () => {
+  const reply = await ingest("vehicles", "id,lat,lng,intensity\nv1,21,71,2", {
+    contentType: "text/csv",
+  });
+  assert.strictEqual(reply.status, 202);
+  assert.deepStrictEqual(pushed.batches[0].points, [["v1", 21, 71, 2]]);
+});
+
+test("ingest into a layer whose source reports whole frames is a 409", async () => {
+  const reply = await ingest("footfall", JSON.stringify([["f1", 21, 71, 2]]));
+  assert.strictEqual(reply.status, 409);
+  assert.match(reply.body.error, /footfall.*simulator.*doesn't accept ingest/);
+  assert.deepStrictEqual(simulated.batches, []);
+});
+
+test("the layer defaults to the first, which refuses ingest", async () => {
+  const reply = await request("POST", "/api/ingest", { body: "[]" });
+  assert.strictEqual(reply.status, 409);
+});
+
+test("ingest needs an operator token and a known layer", async () => {
+  const body = JSON.stringify([["v1", 21, 71, 2]]);
+  assert.strictEqual(
+    (await ingest("vehicles", body, { token: null })).status,
+    401
+  );
+  assert.strictEqual(
+    (await ingest("vehicles", body, { token: "view-token" })).status,
+    403
+  );
+  assert.strictEqual((await ingest("trucks", body)).status, 404);
+  assert.deepStrictEqual(pushed.batches, []);
+});
+
+test("unreadable ingest bodies are a 400", async () => {
+  for (const body of ["{not json", "42", "null"]) {
+    const reply = await ingest("vehicles", body);
+    assert.strictEqual(reply.status, 400, body);
+    assert.ok(reply.body.error, body);
+  }
+  assert.deepStrictEqual(pushed.batches, []);
+});
+
+test("query parameters are validated", async () => {
+  const cases = [
+    ["/api/points?layer=vehicles&bbox=21,71,20", 400, /"bbox"/],
+    ["/api/points?layer=vehicles&bbox=a,b,c,d", 400, /"bbox"/],
+    ["/api/stats?layer=vehicles&lat=21", 400, /"lng" must be a number/],
+    ["/api/stats?layer=vehicles&lat=21&lng=x", 400, /"lng" must be a number/],
+    [
+      "/api/history?layer=vehicles&from=2024-08-05T09:00:00Z&to=2024-08-05T11:00:00Z",
+      503,
+      /History recording is disabled/,
+    ],
+  ];
+  for (const [url, status, error] of cases) {
+    const reply = await request("GET", url);
+    assert.strictEqual(reply.status, status, url);
+    assert.match(reply.body.error, error, url);
+  }
+});
+
+test("points are listed for a bbox", async () => {
+  const reply = await request(
+    "GET",
+    "/api/points?layer=vehicles&bbox=20,70,22,72",
+    {
+      token: "view-token",
+    }
+  );
+  assert.strictEqual(reply.status, 200);
+  assert.deepStrictEqual(reply.body.points, [["p1", 21, 71, 5]]);
+
+  const outside = await request("GET", "/api/points?bbox=0,0,1,1", {
+    token: "view-token",
+  });
+  assert.deepStrictEqual(outside.body.points, []);
+});
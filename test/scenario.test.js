@@ -0,0 +1,51 @@
+// Loading scripted scenarios (server/sources/scenario.js)
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadScenario } = require("../server/sources/scenario");
+
+const MINIMAL = {
+  durationMinutes: 60,
+  venues: [{ id: "temple", center: [20.888, 70.401] }],
+};
+
+let tempDir = null;
+
+test.before(() => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "heatmap-scenario-"));
+});
+test.after(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+function load(extra) {
+  const filePath = path.join(tempDir, "scenario.json");
+  fs.writeFileSync(filePath, JSON.stringify(Object.assign({}, MINIMAL, extra)));
+  return loadScenario(filePath);
+}
+
+test("the shipped scenarios load", () => {
+  const dir = path.join(__dirname, "..", "scenarios");
+  fs.readdirSync(dir).forEach((file) => {
+    assert.ok(loadScenario(path.join(dir, file)).venues.length > 0, file);
+  });
+});
+
+test("noise defaults to 0.1 and accepts 0 to 1", () => {
+  assert.strictEqual(load({}).noise, 0.1);
+  assert.strictEqual(load({ noise: 0 }).noise, 0);
+  assert.strictEqual(load({ noise: 1 }).noise, 1);
+});
+
+test("noise outside 0 to 1, or not a number, is refused", () => {
+  [1.5, -0.1, "0.2", null, true].forEach((noise) => {
+    assert.throws(
+      () => load({ noise }),
+      /noise must be a number from 0 to 1/,
+      JSON.stringify(noise)
+    );
+  });
+});
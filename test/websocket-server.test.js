@@ -0,0 +1,303 @@
+// The WebSocket protocol as websocket-server-example.js speaks it: one
+// server process fed over HTTP, talked to by a test client
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const net = require("net");
+const { spawn } = require("child_process");
+const WebSocket = require("ws");
+
+const ROOT = path.join(__dirname, "..");
+const MESSAGE_TIMEOUT_MS = 5000;
+
+let server = null;
+let port = null;
+let tempDir = null;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.on("error", reject);
+    probe.listen(0, () => {
+      const { port: free } = probe.address();
+      probe.close(() => resolve(free));
+    });
+  });
+}
+
+async function startServer() {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "heatmap-test-"));
+  const configPath = path.join(tempDir, "config.json");
+  fs.writeFileSync(
+    configPath,
+    JSON.stringify({
+      updateIntervalMs: 100,
+      history: { enabled: false },
+      pois: {
+        file: path.join(tempDir, "pois.geojson"),
+        seed: path.join(ROOT, "data", "pois.geojson"),
+      },
+      zones: { file: path.join(tempDir, "zones.json") },
+      layers: [{ id: "crowd", name: "Crowd", source: { type: "http" } }],
+    })
+  );
+  port = await freePort();
+  server = spawn(process.execPath, ["websocket-server-example.js"], {
+    cwd: ROOT,
+    env: Object.assign({}, process.env, {
+      HEATMAP_CONFIG: configPath,
+      PORT: String(port),
+    }),
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  let output = "";
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(
+      () => reject(new Error("Server did not start:\n" + output)),
+      MESSAGE_TIMEOUT_MS
+    );
+    server.stdout.on("data", (chunk) => {
+      output += chunk;
+      if (output.includes("WebSocket server started")) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+    server.stderr.on("data", (chunk) => {
+      output += chunk;
+    });
+    server.on("exit", (code) => {
+      clearTimeout(timer);
+      reject(new Error(`Server exited with ${code}:\n${output}`));
+    });
+  });
+}
+
+// A connected client; next(predicate) resolves with the first message,
+// received or still to come, that the predicate accepts, and log lists
+// every message in the order it arrived
+function connect() {
+  const ws = new WebSocket(`ws://localhost:${port}/heatmap-updates`);
+  const log = [];
+  const received = [];
+  const waiting = [];
+  ws.on("message", (data) => {
+    const message = JSON.parse(data);
+    log.push(message);
+    const index = waiting.findIndex((waiter) => waiter.predicate(message));
+    if (index === -1) {
+      received.push(message);
+    } else {
+      waiting.splice(index, 1)[0].resolve(message);
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    ws.on("error", reject);
+    ws.on("open", () =>
+      resolve({
+        log,
+        send(message) {
+          ws.send(JSON.stringify(message));
+        },
+        next(predicate) {
+          const index = received.findIndex(predicate);
+          if (index !== -1) {
+            return Promise.resolve(received.splice(index, 1)[0]);
+          }
+          return new Promise((resolveMessage, rejectMessage) => {
+            const waiter = { predicate, resolve: resolveMessage };
+            waiting.push(waiter);
+            setTimeout(() => {
+              if (waiting.includes(waiter)) {
+                waiting.splice(waiting.indexOf(waiter), 1);
+                rejectMessage(new Error("No matching message arrived"));
+              }
+            }, MESSAGE_TIMEOUT_MS);
+          });
+        },
+        close() {
+          ws.close();
+        },
+      })
+    );
+  });
+}
+
+async function ingest(body) {
+  const response = await fetch(`http://localhost:${port}/ingest`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  assert.strictEqual(response.status, 202);
+}
+
+function ofType(type) {
+  return (message) => message.type === type;
+}
+
+// A delta that touches the point with this id
+function deltaWith(id) {
+  return (message) =>
+    message.type === "heatmap_delta" &&
+    message.add.concat(message.update).some((point) => point[0] === id);
+}
+
+async function handshake(client) {
+  client.send({ type: "hello", protocolVersion: 1 });
+  const welcome = await client.next(ofType("welcome"));
+  const snapshot = await client.next(ofType("full_update"));
+  return { welcome, snapshot };
+}
+
+test.before(startServer);
+test.after(() => {
+  if (server) {
+    server.kill();
+  }
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+test("deltas follow the snapshot one sequence number at a time", async () => {
+  const client = await connect();
+  try {
+    const { welcome, snapshot } = await handshake(client);
+    assert.strictEqual(welcome.protocolVersion, 1);
+    assert.strictEqual(snapshot.layer, "crowd");
+
+    await ingest([["seq-a", 21, 71, 5]]);
+    const added = await client.next(deltaWith("seq-a"));
+    await ingest([["seq-a", 21, 71, 7]]);
+    const updated = await client.next(deltaWith("seq-a"));
+    await ingest({ readings: [], remove: ["seq-a"] });
+    const removed = await client.next(
+      (message) =>
+        message.type === "heatmap_delta" && message.remove.includes("seq-a")
+    );
+
+    assert.deepStrictEqual(added.add, [["seq-a", 21, 71, 5]]);
+    assert.deepStrictEqual(updated.update, [["seq-a", 21, 71, 7]]);
+    assert.ok(added.seq < updated.seq && updated.seq < removed.seq);
+
+    // Every frame brings a delta, each one sequence number on from the last
+    const seqs = client.log
+      .filter((message) => message.layer === "crowd")
+      .filter((message) => message.seq >= snapshot.seq)
+      .filter((message) => message.seq <= removed.seq)
+      .map((message) => message.seq);
+    assert.deepStrictEqual(
+      seqs,
+      seqs.map((seq, index) => snapshot.seq + index)
+    );
+  } finally {
+    client.close();
+  }
+});
+
+test("a resync gets a fresh snapshot that continues the sequence", async () => {
+  const client = await connect();
+  try {
+    const first = (await handshake(client)).snapshot;
+    await ingest([
+      ["resync-a", 21, 71, 2],
+      ["resync-b", 21.1, 71.1, 3],
+    ]);
+    const delta = await client.next(deltaWith("resync-b"));
+
+    // As a client would after missing the deltas since its first snapshot
+    client.send({ type: "resync", layer: "crowd", lastSeq: first.seq });
+    const snapshot = await client.next(
+      (message) => message.type === "full_update" && message.seq > delta.seq
+    );
+    const ids = snapshot.points.map((point) => point[0]);
+    assert.ok(ids.includes("resync-a") && ids.includes("resync-b"));
+
+    await ingest([["resync-a", 21, 71, 4]]);
+    const next = await client.next(deltaWith("resync-a"));
+    assert.ok(next.seq > snapshot.seq);
+    assert.deepStrictEqual(next.update, [["resync-a", 21, 71, 4]]);
+  } finally {
+    client.close();
+  }
+});
+
+test("a resync for an unknown layer is answered with an error", async () => {
+  const client = await connect();
+  try {
+    await handshake(client);
+    client.send({ type: "resync", layer: "nope", lastSeq: 1 });
+    const error = await client.next(ofType("error"));
+    assert.match(error.message, /Unknown layer: nope/);
+  } finally {
+    client.close();
+  }
+});
+
+test("point ids named after Object.prototype travel like any other", async () => {
+  const client = await connect();
+  try {
+    await handshake(client);
+    await ingest([
+      ["__proto__", 21.2, 71.2, 1],
+      ["constructor", 21.3, 71.3, 2],
+    ]);
+    const delta = await client.next(deltaWith("constructor"));
+    assert.deepStrictEqual(delta.add.map((point) => point[0]).sort(), [
+      "__proto__",
+      "constructor",
+    ]);
+  } finally {
+    client.close();
+  }
+});
+
+test("zooming out switches to binned snapshots, and back to raw", async () => {
+  const client = await connect();
+  try {
+    await handshake(client);
+    await ingest([
+      ["zoom-a", 20.888, 70.401, 3],
+      ["zoom-b", 20.8882, 70.4012, 1],
+    ]);
+    await client.next(deltaWith("zoom-b"));
+
+    client.send({ type: "set_zoom", zoom: 7.5 });
+    const binned = await client.next(
+      (message) => message.type === "full_update" && message.binning
+    );
+    assert.deepStrictEqual(binned.binning, {
+      shape: "hex",
+      zoom: 7,
+      cellPixels: 30,
+    });
+    assert.ok(binned.points.every((point) => point[0].startsWith("hex:7:")));
+    // Earlier tests left points elsewhere; this bin is the one near Somnath
+    const bin = binned.points.find(
+      (point) => Math.abs(point[1] - 20.888) < 0.01
+    );
+    assert.strictEqual(bin[3], 4, "the two nearby points share a bin");
+
+    // Staying within the level of detail keeps the deltas coming
+    client.send({ type: "set_zoom", zoom: 7.9 });
+    await ingest([["zoom-a", 20.888, 70.401, 5]]);
+    const delta = await client.next(
+      (message) =>
+        message.type === "heatmap_delta" &&
+        message.update.some((point) => point[0] === bin[0])
+    );
+    assert.ok(delta.seq > binned.seq);
+
+    client.send({ type: "set_zoom", zoom: 14 });
+    const raw = await client.next(
+      (message) => message.type === "full_update" && message.binning === null
+    );
+    const ids = raw.points.map((point) => point[0]);
+    assert.ok(ids.includes("zoom-a") && ids.includes("zoom-b"));
+  } finally {
+    client.close();
+  }
+});
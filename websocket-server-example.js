@@ -8,129 +8,939 @@
 //   node websocket-server-example.js
 //
 // The server will start on ws://localhost:8080/heatmap-updates
+//
+// Protocol:
+// Messages in both directions are defined and validated by
+// shared/heatmap-protocol.js. Clients open with a version handshake,
+//   { type: "hello", protocolVersion: 1 }  -> { type: "welcome", protocolVersion, role }
+// and receive nothing else until it succeeds. Invalid messages get a
+// structured { type: "error", code, message, details } reply.
+//
+// Data sources:
+// Points come from a pluggable source adapter (server/sources), selected in
+// heatmap.config.json (copy heatmap.config.example.json) or with env vars:
+//   HEATMAP_SOURCE=simulator node websocket-server-example.js   (default)
+//   HEATMAP_SOURCE=scenario HEATMAP_SOURCE_PATH=scenarios/somnath-shravan-monday.json node websocket-server-example.js
+//   HEATMAP_SOURCE=file HEATMAP_SOURCE_PATH=readings.csv node websocket-server-example.js
+//   HEATMAP_SOURCE=http node websocket-server-example.js   (POST readings to /ingest)
+//   HEATMAP_SOURCE=replay HEATMAP_SOURCE_PATH=recording.ndjson node websocket-server-example.js
+//
+// Layers:
+// Several named datasets (footfall, vehicles, ...) can be served side by
+// side, each from its own source, with a "layers" section in the config
+// (see server/layers.js). The welcome message lists them as
+// { id, name, source, unit }, and full_update, heatmap_delta and history
+// messages carry the id of the layer they belong to. Each layer has its own
+// delta sequence, so resync names the layer it needs:
+//   { type: "resync", layer: "vehicles", lastSeq: 41 }
+// Alerts and zone statistics are computed from the first layer.
+//
+// Clients choose which points they receive by subscribing to named regions
+// (see REGIONS) and/or arbitrary bounding boxes given as
+// [south, west, north, east]:
+//   { type: "subscribe", regions: ["gujarat"], bboxes: { viewport: [20.8, 70.3, 21.0, 70.5] }, replace: true }
+//   { type: "unsubscribe", regions: ["gujarat"], bboxes: ["viewport"] }
+// Clients that never subscribe receive the "gujarat" region. Every change is
+// answered with the client's current subscriptions and the regions on offer:
+//   { type: "subscriptions", regions, bboxes, availableRegions, regionBounds: { gujarat: [...] } }
+//
+// Level of detail:
+// Clients report the zoom level their map shows, and get it again on every
+// zoom change:
+//   { type: "set_zoom", zoom: 8 }
+// Below config.binning.rawZoom they are sent points summed into bins (see
+// server/binning.js) instead of every raw point; snapshots say how in
+// "binning", e.g. { shape: "hex", zoom: 8, cellPixels: 30 }, or null for
+// raw points. Crossing into another level replaces the client's points with
+// fresh snapshots. Clients that never say get raw points.
+//
+// History:
+// Every broadcast frame is recorded under data/history/<layer> (see
+// server/history.js) and can be read back by the map's timeline control:
+//   { type: "history_range", requestId: 1 }  -> { type: "history_range", layer, from, to, frameCount }
+//   { type: "history_frame", requestId: 2, at: "<ISO time>", layer: "vehicles" }  -> { type: "history_frame", layer, timestamp, points }
+// The map's inspect mode asks for the value at one spot over the last hour,
+// interpolated from raw points as in shared/heatmap-inspect.js:
+//   { type: "history_series", requestId: 3, lat, lng, radiusMeters, from, to, maxSamples: 60 }  -> { type: "history_series", layer, samples: [[timestamp, value | null], ...] }
+// Ranges of frames can be downloaded as CSV or GeoJSON over HTTP:
+//   GET /history/export?from=<ISO time>&to=<ISO time>&format=csv&layer=vehicles
+//
+// Alerts:
+// Rules in config.alerts (see server/alerts.js) are checked on every frame.
+// Clients get { type: "alerts", alerts: [...] } on connect and
+// { type: "alert", alert } whenever one is raised, resolved, acknowledged or
+// cleared, and may send { type: "alert_ack" | "alert_clear", alertId }.
+//
+// Points of interest:
+// POIs are stored by server/pois.js. Clients get { type: "pois", pois } on
+// connect and { type: "poi", action: "created" | "updated" | "deleted", poi }
+// whenever anyone changes one, and may send:
+//   { type: "poi_create", lat, lng, name, category, description }
+//   { type: "poi_update", id, name, ... }   { type: "poi_delete", id }
+//
+// Zones:
+// Named circle or polygon zones (server/zones.js) work the same way, with
+// { type: "zones" } / { type: "zone" } messages and zone_create,
+// zone_update and zone_delete requests. Every frame the points inside each
+// zone are aggregated and sent as
+//   { type: "zone_stats", timestamp, stats: [{ zoneId, count, sum, mean, peak }] }
+//
+// Flows:
+// Every frame, each layer's flows of people since the previous frame (see
+// server/flows.js) go to every client, for drawing as arrows:
+//   { type: "flows", layer, timestamp, flows: [{ id, from: [lat, lng], to: [lat, lng], volume, label? }] }
+//
+// Authentication:
+// Configure tokens in config.auth or via env vars (see server/auth.js), then
+// connect with ws://localhost:8080/heatmap-updates?token=<token>:
+//   HEATMAP_OPERATOR_TOKENS=s3cret HEATMAP_VIEWER_TOKENS=look node websocket-server-example.js
+// Viewers receive data; only operators may send control messages
+// (set_crowd_intensity, toggle_gathering, scenario_*, alert_ack,
+// alert_clear, poi_*, zone_*) or POST to the ingest endpoint. The welcome
+// message tells clients their role.
+//
+// HTTP API:
+// Scripts and monitoring can read the current points, zone stats and
+// history, and post readings, without speaking this protocol (see
+// server/rest-api.js):
+//   GET /api/health   GET /api/points?bbox=...   GET /api/stats
+//   GET /api/history?from=...&to=...   POST /api/ingest?layer=vehicles
+//   GET /api/clients
+//
+// Slow clients:
+// A client with more than config.delivery.maxBufferedBytes still queued
+// for it skips frames until the queue drains, and then gets one delta with
+// everything it missed; past disconnectBufferedBytes it is disconnected.
+// Skipped frames are counted per client (GET /api/clients). Messages can be
+// compressed with permessage-deflate (config.delivery.perMessageDeflate),
+// and clients that list "binary" in their hello's "encodings" get
+// snapshots, deltas and history frames in the binary format of
+// shared/heatmap-codec.js.
+//
+// Map tiles:
+// With config.tiles.dir set, a directory of XYZ tiles is served for the
+// map's "Local tiles" base layer (see server/tiles.js):
+//   GET /tiles/{z}/{x}/{y}.png
+//
+// Heartbeat:
+// The server pings every client each heartbeatIntervalMs and drops those
+// that didn't answer the previous ping. Clients can also check the link
+// themselves:
+//   { type: "ping", t: 123 }  -> { type: "pong", t: 123, serverTime }
 
+const http = require("http");
 const WebSocket = require("ws");
+const { loadConfig } = require("./server/config");
+const { createRouter } = require("./server/http");
+const { createLayers } = require("./server/layers");
+const { createBinner } = require("./server/binning");
+const { addHistoryExportRoute } = require("./server/history-export");
+const { addTileRoutes } = require("./server/tiles");
+const { addRestRoutes } = require("./server/rest-api");
+const { createAlertEngine } = require("./server/alerts");
+const { createPoiStore } = require("./server/pois");
+const { createZoneStore } = require("./server/zones");
+const { validateArea } = require("./server/geo");
+const { validateFlowOptions } = require("./server/flows");
+const { createAuthenticator, canSend } = require("./server/auth");
+const protocol = require("./shared/heatmap-protocol");
+const inspect = require("./shared/heatmap-inspect");
+const HeatmapCodec = require("./shared/heatmap-codec");
+
+const { ERROR_CODES } = protocol;
+
+// Clients must send { type: "hello" } within this time of connecting
+const HANDSHAKE_TIMEOUT_MS = 10000;
+
+// history_series replies are thinned to this many samples unless the client
+// asks for another number
+const DEFAULT_SERIES_SAMPLES = 60;
+
+const config = loadConfig();
+const auth = createAuthenticator(config.auth);
 
-// Create WebSocket server on port 8080
-const wss = new WebSocket.Server({ port: 8080 });
+if (!auth.enabled) {
+  console.warn(
+    "⚠️  Authentication is off: every client can send control messages. " +
+      "Configure tokens before exposing this server outside your LAN."
+  );
+}
+
+// HTTP routes (e.g. the ingest endpoint) share the port with the WebSocket
+const router = createRouter();
+const server = http.createServer(router.handle);
 
-console.log("WebSocket server started on ws://localhost:8080");
+// Reject connections without a valid token during the handshake
+const wss = new WebSocket.Server({
+  server,
+  // Small messages aren't worth compressing
+  perMessageDeflate: config.delivery.perMessageDeflate
+    ? { threshold: 1024 }
+    : false,
+  verifyClient: function (info, callback) {
+    const role = auth.authenticate(info.req);
+    if (!role) {
+      console.warn(
+        "Rejected unauthenticated connection from",
+        info.req.socket.remoteAddress
+      );
+      callback(false, 401, "Unauthorized");
+      return;
+    }
+    info.req.heatmapRole = role;
+    callback(true);
+  },
+});
 
-// Somnath Temple coordinates
-const SOMNATH_TEMPLE = {
-  lat: 20.8883,
-  lng: 70.4011,
+// Compare two point maps (id -> [id, lat, lng, intensity]) and return the
+// operations needed to turn `previous` into `next`
+function diffPoints(previous, next) {
+  const add = [];
+  const update = [];
+  const remove = [];
+
+  next.forEach((point, id) => {
+    const old = previous.get(id);
+    if (!old) {
+      add.push(point);
+    } else if (
+      old[1] !== point[1] ||
+      old[2] !== point[2] ||
+      old[3] !== point[3]
+    ) {
+      update.push(point);
+    }
+  });
+
+  previous.forEach((point, id) => {
+    if (!next.has(id)) {
+      remove.push(id);
+    }
+  });
+
+  return { add, update, remove };
+}
+
+// Named regions clients can subscribe to, as [south, west, north, east]
+const REGIONS = {
+  gujarat: [20.1, 68.1, 24.7, 74.5],
+  saurashtra: [20.7, 69.0, 23.0, 72.3],
+  kutch: [22.7, 68.1, 24.7, 71.3],
+  somnath: [20.85, 70.35, 20.93, 70.45],
+  maharashtra: [15.6, 72.6, 22.1, 80.9],
+  rajasthan: [23.0, 69.5, 30.2, 78.3],
+  "madhya-pradesh": [21.0, 74.0, 26.9, 82.8],
 };
 
-// Base heatmap data for Gujarat
-const baseHeatmapData = [
-  [23.0225, 72.5714, 0.7], // Ahmedabad
-  [22.3072, 70.8022, 0.6], // Jamnagar
-  [21.1702, 72.8311, 0.7], // Surat
-  [23.1815, 69.6692, 0.5], // Kutch
-  [22.4707, 70.0583, 0.6], // Rajkot
-  [23.2156, 72.6369, 0.7], // Gandhinagar
-  [21.7645, 72.1519, 0.6], // Vadodara
-  [23.0333, 72.6167, 0.7], // Kalol
-  [22.7, 72.8667, 0.5], // Mehsana
-];
+// Region used for clients that never send a subscribe message
+const DEFAULT_REGION = "gujarat";
+
+function isInBbox(point, bbox) {
+  return (
+    point[1] >= bbox[0] &&
+    point[1] <= bbox[2] &&
+    point[2] >= bbox[1] &&
+    point[2] <= bbox[3]
+  );
+}
+
+// The layer a client message refers to: the named one, or the first layer
+// when the message doesn't say. Returns undefined for an unknown id.
+function findLayer(id) {
+  return id === undefined ? layers[0] : layers.find((layer) => layer.id === id);
+}
+
+// Numbers clients in logs and GET /api/clients
+let nextClientId = 1;
+
+// Per-client state: what the client subscribed to, and for each layer the
+// points it was last sent and the sequence number of that delta. Every
+// delta moves the layer's sequence on by one; a client that sees a gap asks
+// for a fresh snapshot of that layer.
+function createSession(role, address) {
+  return {
+    id: nextClientId++,
+    role: role,
+    address: address,
+    connectedAt: new Date().toISOString(),
+    // Set once the client completes the protocol version handshake
+    ready: false,
+    regions: new Set([DEFAULT_REGION]),
+    bboxes: new Map(),
+    // layer id -> { seq, sent }
+    layers: new Map(),
+    // Zoom level of the client's map, from set_zoom
+    zoom: null,
+    // Cleared before each heartbeat ping, set again by the pong
+    isAlive: true,
+    // "json", or "binary" for point messages if the client asked for it
+    encoding: "json",
+    // Broadcast frames sent, and skipped because the client was behind
+    framesSent: 0,
+    framesDropped: 0,
+  };
+}
+
+function getLayerState(session, layer) {
+  if (!session.layers.has(layer.id)) {
+    session.layers.set(layer.id, { seq: 0, sent: new Map() });
+  }
+  return session.layers.get(layer.id);
+}
+
+// Points of a frame that fall inside a client's subscriptions
+function getVisiblePoints(session, points) {
+  const areas = [];
+  session.regions.forEach((region) => areas.push(REGIONS[region]));
+  session.bboxes.forEach((bbox) => areas.push(bbox));
+
+  const visible = new Map();
+  points.forEach((point) => {
+    if (areas.some((bbox) => isInBbox(point, bbox))) {
+      visible.set(point[0], point);
+    }
+  });
+  return visible;
+}
+
+function describeSubscriptions(session) {
+  const bboxes = {};
+  session.bboxes.forEach((bbox, id) => {
+    bboxes[id] = bbox;
+  });
+  return {
+    type: "subscriptions",
+    regions: Array.from(session.regions),
+    bboxes: bboxes,
+    availableRegions: Object.keys(REGIONS),
+    regionBounds: REGIONS,
+  };
+}
+
+// Apply a (schema-validated) subscribe/unsubscribe message to a session.
+// Returns an error string if the message names an unknown region.
+function updateSubscriptions(session, data) {
+  const regions = data.regions || (data.region ? [data.region] : []);
+  const bboxes =
+    data.bboxes || (data.bbox ? { [data.id || "bbox"]: data.bbox } : {});
+
+  if (data.type === "subscribe") {
+    const unknown = regions.filter((region) => !REGIONS[region]);
+    if (unknown.length > 0) {
+      return "Unknown region(s): " + unknown.join(", ");
+    }
+
+    if (data.replace) {
+      session.regions.clear();
+      session.bboxes.clear();
+    }
+    regions.forEach((region) => session.regions.add(region));
+    Object.keys(bboxes).forEach((id) => session.bboxes.set(id, bboxes[id]));
+  } else {
+    if (data.all) {
+      session.regions.clear();
+      session.bboxes.clear();
+    }
+    regions.forEach((region) => session.regions.delete(region));
+    // Bbox subscriptions are removed by id
+    (Array.isArray(data.bboxes)
+      ? data.bboxes
+      : data.id
+      ? [data.id]
+      : []
+    ).forEach((id) => session.bboxes.delete(id));
+  }
+
+  return null;
+}
+
+function buildSnapshotMessage(session, layer, message) {
+  const state = getLayerState(session, layer);
+  const level = binner.levelFor(session.zoom);
+  state.sent = getVisiblePoints(session, layer.points(level));
+  state.seq++;
+
+  return {
+    type: "full_update",
+    layer: layer.id,
+    seq: state.seq,
+    points: Array.from(state.sent.values()),
+    timestamp: new Date(layer.publishedAt()).toISOString(),
+    message: message,
+    binning: level === null ? null : binner.describe(level),
+  };
+}
+
+// A snapshot of every layer, e.g. after the subscriptions were replaced
+function sendSnapshots(ws, session, message) {
+  layers.forEach((layer) =>
+    send(
+      ws,
+      buildSnapshotMessage(session, layer, `${message} ${layer.source.name}`)
+    )
+  );
+}
+
+// Validate an outgoing message against the shared protocol schema and send
+// it. A message that fails validation is a server bug (or a source that
+// slipped bad data through) and is logged instead of sent.
+function send(ws, message) {
+  const errors = protocol.validateMessage(message, "server");
+  if (errors.length > 0) {
+    console.error(`Refusing to send invalid "${message.type}":`, errors);
+    return false;
+  }
+  if (ws.readyState === WebSocket.OPEN) {
+    ws.send(encodeMessage(clients.get(ws), message));
+  }
+  return true;
+}
+
+// A message as a client takes it: binary if it asked for that and the
+// message carries points, JSON text otherwise
+function encodeMessage(session, message) {
+  const binary =
+    session && session.encoding === "binary"
+      ? HeatmapCodec.encode(message)
+      : null;
+  return binary || JSON.stringify(message);
+}
+
+function sendError(ws, code, message, extras) {
+  send(ws, protocol.createError(code, message, extras));
+}
+
+// Send a client only the points of a layer that changed inside its
+// subscriptions
+function sendDelta(ws, session, layer, extra) {
+  const state = getLayerState(session, layer);
+  const visible = getVisiblePoints(
+    session,
+    layer.points(binner.levelFor(session.zoom))
+  );
+  const delta = diffPoints(state.sent, visible);
+  state.sent = visible;
+  state.seq++;
+
+  send(
+    ws,
+    Object.assign(
+      {
+        type: "heatmap_delta",
+        layer: layer.id,
+        seq: state.seq,
+        add: delta.add,
+        update: delta.update,
+        remove: delta.remove,
+        timestamp: new Date(layer.publishedAt()).toISOString(),
+      },
+      extra
+    )
+  );
+  return delta;
+}
+
+// Answer the timeline's history queries; replies echo the client's requestId
+function handleHistoryMessage(ws, session, data) {
+  const layer = findLayer(data.layer);
+  if (!layer) {
+    sendError(ws, ERROR_CODES.NOT_FOUND, "Unknown layer: " + data.layer, {
+      requestId: data.requestId,
+    });
+    return;
+  }
+  const history = layer.history;
+  if (!history) {
+    sendError(
+      ws,
+      ERROR_CODES.UNAVAILABLE,
+      "History recording is disabled on this server",
+      { requestId: data.requestId }
+    );
+    return;
+  }
+
+  if (data.type === "history_range") {
+    send(
+      ws,
+      Object.assign(
+        { type: "history_range", requestId: data.requestId, layer: layer.id },
+        history.range()
+      )
+    );
+  } else if (data.type === "history_frame") {
+    const frame = history.frameAt(Date.parse(data.at));
+    const level = binner.levelFor(session.zoom);
+    const points = !frame
+      ? []
+      : level === null
+      ? frame.points
+      : binner.bin(frame.points, level);
+    send(ws, {
+      type: "history_frame",
+      requestId: data.requestId,
+      layer: layer.id,
+      timestamp: frame ? frame.timestamp : null,
+      points: Array.from(getVisiblePoints(session, points).values()),
+      binning: level === null ? null : binner.describe(level),
+    });
+  } else if (data.type === "history_series") {
+    const frames = history.frames(
+      Date.parse(data.from),
+      Date.parse(data.to),
+      data.maxSamples || DEFAULT_SERIES_SAMPLES
+    );
+    send(ws, {
+      type: "history_series",
+      requestId: data.requestId,
+      layer: layer.id,
+      samples: frames.map((frame) => [
+        frame.timestamp,
+        inspect.interpolate(
+          frame.points,
+          data.lat,
+          data.lng,
+          data.radiusMeters
+        ),
+      ]),
+    });
+  }
+}
+
+// Send a message to every client that has completed the handshake, except
+// those in `skip`
+function broadcast(message, skip) {
+  const errors = protocol.validateMessage(message, "server");
+  if (errors.length > 0) {
+    console.error(`Refusing to broadcast invalid "${message.type}":`, errors);
+    return;
+  }
+  const data = JSON.stringify(message);
+  clients.forEach((session, client) => {
+    if (
+      session.ready &&
+      client.readyState === WebSocket.OPEN &&
+      !(skip && skip.has(client))
+    ) {
+      client.send(data);
+    }
+  });
+}
+
+// Clients too far behind to be sent this frame. They skip frames until
+// what is queued for them drains; the next delta, diffed from what they
+// were last sent, then carries everything they missed. Clients past the
+// disconnect limit are dropped rather than held in memory.
+function findLaggingClients() {
+  const lagging = new Set();
+  clients.forEach((session, client) => {
+    if (!session.ready || client.readyState !== WebSocket.OPEN) {
+      return;
+    }
+    if (client.bufferedAmount > config.delivery.disconnectBufferedBytes) {
+      console.warn(
+        `Client ${session.id} has ${client.bufferedAmount} bytes waiting; ` +
+          "disconnecting it"
+      );
+      deliveryStats.slowClientsDisconnected++;
+      client.terminate();
+    } else if (client.bufferedAmount > config.delivery.maxBufferedBytes) {
+      lagging.add(client);
+      session.framesDropped++;
+      deliveryStats.framesDropped++;
+    } else {
+      session.framesSent++;
+    }
+  });
+  return lagging;
+}
 
-// Track crowd gathering at Somnath Temple
-let somnathCrowdIntensity = 0.5; // Start with low intensity
-let crowdGatheringActive = true; // Set to false to stop gathering simulation
-let updateCount = 0;
+// A connected client as listed by GET /api/clients
+function describeClient(session, client) {
+  return {
+    id: session.id,
+    address: session.address,
+    role: session.role,
+    connectedAt: session.connectedAt,
+    encoding: session.encoding,
+    compressed: client.extensions.includes("permessage-deflate"),
+    bufferedBytes: client.bufferedAmount,
+    framesSent: session.framesSent,
+    framesDropped: session.framesDropped,
+  };
+}
 
-// Function to generate heatmap data points around Somnath Temple
-// More people = more data points with higher intensity
-function generateSomnathHeatPoints(intensity) {
-  const points = [];
-  const numPoints = Math.floor(intensity * 15) + 5; // 5-20 points based on intensity
+// Acknowledge or clear an alert on behalf of a client and tell everyone
+function handleAlertMessage(ws, data) {
+  let alert;
+  try {
+    alert =
+      data.type === "alert_ack"
+        ? alertEngine.acknowledge(data.alertId)
+        : alertEngine.clear(data.alertId);
+  } catch (error) {
+    sendError(ws, ERROR_CODES.CONFLICT, error.message, {
+      requestId: data.requestId,
+    });
+    return;
+  }
 
-  // Main temple point (always highest)
-  points.push([SOMNATH_TEMPLE.lat, SOMNATH_TEMPLE.lng, intensity]);
+  if (!alert) {
+    sendError(ws, ERROR_CODES.NOT_FOUND, "Unknown alert: " + data.alertId, {
+      requestId: data.requestId,
+    });
+    return;
+  }
+  broadcast({ type: "alert", alert: alert });
+}
 
-  // Generate surrounding points to show crowd spread
-  for (let i = 0; i < numPoints - 1; i++) {
-    // Random offset within ~500 meters of temple
-    const latOffset = (Math.random() - 0.5) * 0.01; // ~1km range
-    const lngOffset = (Math.random() - 0.5) * 0.01;
+// Create, edit or delete a POI and tell every client about it
+function handlePoiMessage(ws, data) {
+  let poi;
+  let action;
+  try {
+    if (data.type === "poi_create") {
+      poi = poiStore.create(data);
+      action = "created";
+    } else if (data.type === "poi_update") {
+      poi = poiStore.update(data.id, data);
+      action = "updated";
+    } else {
+      poi = poiStore.remove(data.id);
+      action = "deleted";
+    }
+  } catch (error) {
+    sendError(ws, ERROR_CODES.CONFLICT, error.message, {
+      requestId: data.requestId,
+    });
+    return;
+  }
+
+  if (!poi) {
+    sendError(ws, ERROR_CODES.NOT_FOUND, "Unknown POI: " + data.id, {
+      requestId: data.requestId,
+    });
+    return;
+  }
+  console.log(`POI ${action}: ${poi.name} (${poi.id})`);
+  broadcast({ type: "poi", action: action, poi: poi });
+}
 
-    // Intensity decreases slightly from center
-    const pointIntensity = intensity * (0.7 + Math.random() * 0.3);
+function buildZoneStatsMessage() {
+  return {
+    type: "zone_stats",
+    timestamp: new Date(layers[0].publishedAt()).toISOString(),
+    stats: zoneStore.stats(layers[0].points().values()),
+  };
+}
 
-    points.push([
-      SOMNATH_TEMPLE.lat + latOffset,
-      SOMNATH_TEMPLE.lng + lngOffset,
-      Math.min(1.0, pointIntensity),
-    ]);
+// Create, edit or delete a zone and tell every client about it
+function handleZoneMessage(ws, data) {
+  const areaError = data.area ? validateArea(data.area) : null;
+  if (areaError) {
+    sendError(ws, ERROR_CODES.INVALID_MESSAGE, areaError, {
+      requestId: data.requestId,
+    });
+    return;
   }
 
-  return points;
+  let zone;
+  let action;
+  try {
+    if (data.type === "zone_create") {
+      zone = zoneStore.create(data);
+      action = "created";
+    } else if (data.type === "zone_update") {
+      zone = zoneStore.update(data.id, data);
+      action = "updated";
+    } else {
+      zone = zoneStore.remove(data.id);
+      action = "deleted";
+    }
+  } catch (error) {
+    sendError(ws, ERROR_CODES.CONFLICT, error.message, {
+      requestId: data.requestId,
+    });
+    return;
+  }
+
+  if (!zone) {
+    sendError(ws, ERROR_CODES.NOT_FOUND, "Unknown zone: " + data.id, {
+      requestId: data.requestId,
+    });
+    return;
+  }
+  console.log(`Zone ${action}: ${zone.name} (${zone.id})`);
+  broadcast({ type: "zone", action: action, zone: zone });
+  // Don't leave a new zone without numbers until the next frame
+  broadcast(buildZoneStatsMessage());
 }
 
-// Function to get current heatmap data
-function getCurrentHeatmapData() {
-  const somnathPoints = generateSomnathHeatPoints(somnathCrowdIntensity);
-  return [...baseHeatmapData, ...somnathPoints];
+// Complete the version handshake and send the client its initial state
+function handleHello(ws, session, data) {
+  if (!protocol.isCompatibleVersion(data.protocolVersion)) {
+    console.warn(
+      "Rejected client speaking protocol version",
+      data.protocolVersion
+    );
+    sendError(
+      ws,
+      ERROR_CODES.UNSUPPORTED_VERSION,
+      `Server speaks protocol versions ${protocol.MIN_PROTOCOL_VERSION}-` +
+        `${protocol.PROTOCOL_VERSION}, client sent ${data.protocolVersion}`
+    );
+    ws.close(protocol.CLOSE_CODES.UNSUPPORTED_VERSION, "Unsupported version");
+    return;
+  }
+
+  session.ready = true;
+  if (config.delivery.binary && (data.encodings || []).includes("binary")) {
+    session.encoding = "binary";
+  }
+  send(ws, {
+    type: "welcome",
+    protocolVersion: protocol.PROTOCOL_VERSION,
+    role: session.role,
+    serverTime: new Date().toISOString(),
+    layers: layers.map((layer) => layer.describe()),
+    encoding: session.encoding,
+  });
+
+  // Send initial snapshots once the client is ready; deltas follow from here
+  sendSnapshots(ws, session, "Initial heatmap data from");
+
+  // Current alerts, so a new viewer sees what is already going on
+  send(ws, { type: "alerts", alerts: alertEngine.list() });
+  send(ws, { type: "pois", pois: poiStore.list() });
+  send(ws, { type: "zones", zones: zoneStore.list() });
+  send(ws, buildZoneStatsMessage());
 }
 
-// Track connected clients
-const clients = new Set();
+// Dispatch a validated message from a client that completed the handshake
+function handleClientMessage(ws, session, data) {
+  // Viewers may not change state that every other client sees
+  if (!canSend(session.role, data.type)) {
+    console.warn(`Rejected ${data.type} from ${session.role} client`);
+    sendError(
+      ws,
+      ERROR_CODES.FORBIDDEN,
+      `"${data.type}" requires the operator role`,
+      { requestId: data.requestId }
+    );
+    return;
+  }
+
+  switch (data.type) {
+    case "hello":
+      sendError(ws, ERROR_CODES.INVALID_MESSAGE, "Handshake already done");
+      break;
+
+    // Handle request for data (legacy single-region form of subscribe)
+    case "request_data": {
+      const error = updateSubscriptions(session, {
+        type: "subscribe",
+        region: data.region || DEFAULT_REGION,
+        replace: true,
+      });
+      if (error) {
+        sendError(ws, ERROR_CODES.NOT_FOUND, error);
+        return;
+      }
+      sendSnapshots(ws, session, "Heatmap data from");
+      break;
+    }
+
+    // Subscribe to / unsubscribe from named regions or bounding boxes.
+    // The resulting additions and removals go out as a normal delta.
+    case "subscribe":
+    case "unsubscribe": {
+      const error = updateSubscriptions(session, data);
+      if (error) {
+        sendError(ws, ERROR_CODES.NOT_FOUND, error);
+        return;
+      }
+      send(ws, describeSubscriptions(session));
+      layers.forEach((layer) => sendDelta(ws, session, layer));
+      break;
+    }
+
+    // Client missed a delta (sequence gap) and needs the full state of
+    // that layer again
+    case "resync": {
+      const layer = findLayer(data.layer);
+      if (!layer) {
+        sendError(ws, ERROR_CODES.NOT_FOUND, "Unknown layer: " + data.layer);
+        return;
+      }
+      console.log(
+        `Resync of layer ${layer.id} requested (client at seq ` +
+          `${data.lastSeq}, server at ${getLayerState(session, layer).seq})`
+      );
+      send(ws, buildSnapshotMessage(session, layer, "Resync snapshot"));
+      break;
+    }
+
+    // The client's map zoomed. Crossing into another level of detail
+    // changes every point id, so it gets fresh snapshots rather than deltas.
+    case "set_zoom": {
+      const previous = binner.levelFor(session.zoom);
+      session.zoom = data.zoom;
+      if (binner.levelFor(session.zoom) !== previous) {
+        sendSnapshots(ws, session, `Detail for zoom ${data.zoom} from`);
+      }
+      break;
+    }
+
+    // Application-level heartbeat for clients (browsers can't see
+    // protocol-level pings)
+    case "ping":
+      send(ws, {
+        type: "pong",
+        t: data.t,
+        serverTime: new Date().toISOString(),
+        requestId: data.requestId,
+      });
+      break;
+
+    case "history_range":
+    case "history_frame":
+    case "history_series":
+      handleHistoryMessage(ws, session, data);
+      break;
+
+    case "alert_ack":
+    case "alert_clear":
+      handleAlertMessage(ws, data);
+      break;
+
+    case "poi_create":
+    case "poi_update":
+    case "poi_delete":
+      handlePoiMessage(ws, data);
+      break;
+
+    case "zone_create":
+    case "zone_update":
+    case "zone_delete":
+      handleZoneMessage(ws, data);
+      break;
+
+    // Anything else is a control message for a data source (e.g.
+    // set_crowd_intensity / toggle_gathering for the simulator, scenario_*
+    // for scripted scenarios), offered to each layer's source until one
+    // handles it
+    default:
+      if (
+        !layers.some(
+          (layer) =>
+            layer.source.handleMessage && layer.source.handleMessage(ws, data)
+        )
+      ) {
+        sendError(
+          ws,
+          ERROR_CODES.UNAVAILABLE,
+          `"${data.type}" is not supported by any data source`,
+          { requestId: data.requestId }
+        );
+      }
+  }
+}
+
+// Track connected clients and their sessions
+const clients = new Map();
+
+// Since the server started, for GET /api/health
+const deliveryStats = { framesDropped: 0, slowClientsDisconnected: 0 };
 
 wss.on("connection", function connection(ws, req) {
-  console.log("New client connected:", req.socket.remoteAddress);
-  clients.add(ws);
-
-  // Send initial data when client connects
-  ws.send(
-    JSON.stringify({
-      type: "full_update",
-      data: getCurrentHeatmapData(),
-      message:
-        "Initial heatmap data - Somnath Temple crowd intensity: " +
-        somnathCrowdIntensity.toFixed(2),
-    })
+  const session = createSession(req.heatmapRole, req.socket.remoteAddress);
+  console.log(
+    "New client connected:",
+    req.socket.remoteAddress,
+    "as",
+    session.role
   );
+  clients.set(ws, session);
+
+  // Nothing is sent until the client says which protocol version it speaks
+  const handshakeTimer = setTimeout(function () {
+    if (!session.ready) {
+      sendError(
+        ws,
+        ERROR_CODES.HANDSHAKE_REQUIRED,
+        'No { type: "hello", protocolVersion } received'
+      );
+      ws.close(protocol.CLOSE_CODES.HANDSHAKE_TIMEOUT, "Handshake timeout");
+    }
+  }, HANDSHAKE_TIMEOUT_MS);
+
+  ws.on("pong", function () {
+    session.isAlive = true;
+  });
 
   // Handle incoming messages from client
   ws.on("message", function incoming(message) {
+    session.isAlive = true;
+    let data;
+    try {
+      data = JSON.parse(message);
+    } catch (error) {
+      sendError(ws, ERROR_CODES.INVALID_JSON, "Message is not valid JSON");
+      return;
+    }
+    console.log("Received:", data);
+
+    // Validation and handling both see untrusted input; whatever they
+    // throw is answered with an error rather than taking the server down
     try {
-      const data = JSON.parse(message);
-      console.log("Received:", data);
-
-      // Handle request for data
-      if (data.type === "request_data" && data.region === "gujarat") {
-        ws.send(
-          JSON.stringify({
-            type: "full_update",
-            data: getCurrentHeatmapData(),
-            message:
-              "Somnath Temple crowd intensity: " +
-              somnathCrowdIntensity.toFixed(2),
-          })
+      // Reject anything that doesn't match the shared schema, with details
+      const errors = protocol.validateMessage(data, "client");
+      if (errors.length > 0) {
+        const known = data && protocol.isKnownType(data.type, "client");
+        sendError(
+          ws,
+          known ? ERROR_CODES.INVALID_MESSAGE : ERROR_CODES.UNKNOWN_TYPE,
+          known ? `Invalid "${data.type}" message` : "Unknown message type",
+          {
+            requestId:
+              data && Number.isInteger(data.requestId) && data.requestId > 0
+                ? data.requestId
+                : undefined,
+            details: errors,
+          }
         );
+        return;
       }
 
-      // Handle manual crowd control (optional)
-      if (data.type === "set_crowd_intensity") {
-        somnathCrowdIntensity = Math.max(0, Math.min(1.0, data.intensity));
-        console.log("Crowd intensity manually set to:", somnathCrowdIntensity);
+      if (!session.ready) {
+        if (data.type === "hello") {
+          clearTimeout(handshakeTimer);
+          handleHello(ws, session, data);
+        } else {
+          sendError(
+            ws,
+            ERROR_CODES.HANDSHAKE_REQUIRED,
+            'Send { type: "hello", protocolVersion } first',
+            { requestId: data.requestId }
+          );
+        }
+        return;
       }
 
-      if (data.type === "toggle_gathering") {
-        crowdGatheringActive = data.active;
-        console.log(
-          "Crowd gathering:",
-          crowdGatheringActive ? "ACTIVE" : "PAUSED"
-        );
-      }
+      handleClientMessage(ws, session, data);
     } catch (error) {
-      console.error("Error parsing message:", error);
+      console.error("Error handling message:", error);
+      sendError(
+        ws,
+        ERROR_CODES.INVALID_MESSAGE,
+        "The server could not handle this message"
+      );
     }
   });
 
   ws.on("close", function close() {
     console.log("Client disconnected");
+    clearTimeout(handshakeTimer);
     clients.delete(ws);
   });
 
@@ -140,86 +950,143 @@ wss.on("connection", function connection(ws, req) {
   });
 });
 
-// Simulate people gathering at Somnath Temple
-// Updates every 3 seconds for smoother real-time effect
-setInterval(function () {
-  if (clients.size > 0) {
-    // Simulate crowd gathering (gradually increase intensity)
-    if (crowdGatheringActive) {
-      updateCount++;
-
-      // Gradually increase intensity over time
-      // Reaches maximum (1.0) after ~5 minutes (100 updates * 3 seconds)
-      const targetIntensity = Math.min(1.0, 0.5 + (updateCount / 100) * 0.5);
-
-      // Add some realistic variation (crowd fluctuates)
-      const variation = (Math.random() - 0.5) * 0.05; // Small random variation
-      somnathCrowdIntensity = Math.max(
-        0.3,
-        Math.min(1.0, targetIntensity + variation)
-      );
+// Bins for zoomed-out clients (see server/binning.js)
+const binner = createBinner(config.binning);
 
-      // Occasionally simulate peak times (festivals, special events)
-      if (Math.random() < 0.1) {
-        // 10% chance
-        somnathCrowdIntensity = Math.min(1.0, somnathCrowdIntensity + 0.2);
-        console.log("🌟 Peak crowd detected at Somnath Temple!");
-      }
-    }
+// Create the configured layers and start their data sources. Each layer
+// records its frames for historical playback (see server/history.js).
+const layers = createLayers(
+  config.layers,
+  { router, auth },
+  { history: config.history, binner, flows: validateFlowOptions(config.flows) }
+);
+layers.forEach((layer) => {
+  layer.start();
+  console.log(`Layer ${layer.id}: data source ${layer.source.name}`);
+});
+addHistoryExportRoute({ router, auth, layers });
+addTileRoutes({ router }, config.tiles);
 
-    // Get current heatmap data with updated Somnath intensity
-    const currentData = getCurrentHeatmapData();
+// Alert rules checked against every frame (see server/alerts.js)
+const alertEngine = createAlertEngine(config.alerts.rules);
 
-    // Add small random variations to other locations (simulate normal activity)
-    const updatedData = currentData.map((point) => {
-      const [lat, lng, intensity] = point;
+// Points of interest shared between clients (see server/pois.js)
+const poiStore = createPoiStore(config.pois);
 
-      // Don't modify Somnath Temple points (they're already updated)
-      const isSomnathArea =
-        Math.abs(lat - SOMNATH_TEMPLE.lat) < 0.02 &&
-        Math.abs(lng - SOMNATH_TEMPLE.lng) < 0.02;
+// Zones and their per-frame statistics (see server/zones.js)
+const zoneStore = createZoneStore(config.zones);
 
-      if (isSomnathArea) {
-        return point; // Keep Somnath points as-is
-      }
+// The current state over plain HTTP (see server/rest-api.js)
+addRestRoutes({
+  router,
+  auth,
+  layers,
+  zoneStore,
+  getClients: () =>
+    Array.from(clients, ([client, session]) => describeClient(session, client)),
+  getDeliveryStats: () => deliveryStats,
+});
 
-      // Small random variation for other locations
-      const variation = (Math.random() - 0.5) * 0.1;
-      const newIntensity = Math.max(0.1, Math.min(1.0, intensity + variation));
-      return [lat, lng, newIntensity];
-    });
+// Drop clients whose connection silently died (no pong since the last ping)
+const heartbeatTimer = setInterval(function () {
+  clients.forEach((session, client) => {
+    if (!session.isAlive) {
+      console.log("Client missed heartbeat; terminating connection");
+      client.terminate();
+      return;
+    }
+    session.isAlive = false;
+    client.ping();
+  });
+}, config.heartbeatIntervalMs);
 
-    // Send update to all connected clients
-    const message = JSON.stringify({
-      type: "heatmap_update",
-      data: updatedData,
-      timestamp: new Date().toISOString(),
-      somnathIntensity: somnathCrowdIntensity.toFixed(3),
-      crowdCount: Math.floor(somnathCrowdIntensity * 1000), // Estimated crowd size
+// Broadcast the latest source data to subscribed clients
+// Updates every 3 seconds (updateIntervalMs) for smoother real-time effect.
+// With history enabled frames are produced and recorded even when nobody is
+// watching, so there are no gaps to play back later.
+setInterval(function () {
+  if (clients.size > 0 || config.history.enabled) {
+    // Every layer publishes a frame with the same timestamp, so recorded
+    // layers line up on playback
+    const now = Date.now();
+    layers.forEach((layer) => {
+      layer.tick();
+      layer.publish(now);
     });
 
-    clients.forEach((client) => {
-      if (client.readyState === WebSocket.OPEN) {
-        client.send(message);
+    alertEngine
+      .evaluate(layers[0].points().values(), now)
+      .forEach((alert) => broadcast({ type: "alert", alert: alert }));
+
+    // Alerts above go to everyone; the rest of the frame skips clients
+    // that are behind
+    const lagging = findLaggingClients();
+    if (clients.size > 0) {
+      broadcast(buildZoneStatsMessage(), lagging);
+      if (config.flows.enabled) {
+        layers.forEach((layer) =>
+          broadcast(
+            {
+              type: "flows",
+              layer: layer.id,
+              timestamp: new Date(now).toISOString(),
+              flows: layer.flows(),
+            },
+            lagging
+          )
+        );
       }
+    }
+
+    // Send each client only what changed inside its subscriptions
+    let pointsSent = 0;
+    layers.forEach((layer) => {
+      const stats = layer.source.stats ? layer.source.stats() : {};
+      clients.forEach((session, client) => {
+        if (
+          session.ready &&
+          client.readyState === WebSocket.OPEN &&
+          !lagging.has(client)
+        ) {
+          const delta = sendDelta(client, session, layer, stats);
+          pointsSent +=
+            delta.add.length + delta.update.length + delta.remove.length;
+        }
+      });
     });
 
+    if (clients.size === 0) {
+      return;
+    }
+
+    const pointCount = layers.reduce(
+      (total, layer) => total + layer.points().size,
+      0
+    );
     console.log(
-      `📊 Update #${updateCount} - Somnath Temple intensity: ${somnathCrowdIntensity.toFixed(
-        3
-      )} ` +
-        `(Estimated crowd: ~${Math.floor(
-          somnathCrowdIntensity * 1000
-        )} people) - ` +
-        `Sent to ${clients.size} client(s)`
+      `📡 ${pointCount} point(s) in ${layers.length} layer(s) - ` +
+        `${pointsSent} point change(s) sent to ${clients.size} client(s)` +
+        (lagging.size > 0
+          ? `, ${lagging.size} slow client(s) skipped this frame`
+          : "")
     );
   }
-}, 3000); // Update every 3 seconds for smoother real-time updates
+}, config.updateIntervalMs);
+
+server.listen(config.port, function () {
+  console.log(
+    `WebSocket server started on ws://localhost:${config.port} ` +
+      `(HTTP on http://localhost:${config.port})`
+  );
+});
 
 // Handle server shutdown gracefully
 process.on("SIGINT", function () {
   console.log("\nShutting down WebSocket server...");
+  layers.forEach((layer) => layer.stop());
+  clearInterval(heartbeatTimer);
   wss.close(function () {
+    server.close();
     console.log("WebSocket server closed");
     process.exit(0);
   });